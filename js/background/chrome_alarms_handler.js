@@ -0,0 +1,175 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Singleton class for chrome.alarms callback methods
+ * 
+ * @class ChromeAlarmsHandler
+ */
+class ChromeAlarmsHandler {
+  /**
+   * Add static methods of this class as listeners
+   * 
+   * @static
+   * @memberof ChromeAlarmsHandler
+   */
+  static addListeners() {
+    chrome.alarms.onAlarm.addListener(ChromeAlarmsHandler.onAlarm)
+  }
+
+  /**
+   * Create the periodic alarms, unless they already exist (alarms persist while the event page is unloaded)
+   * 
+   * @static
+   * @memberof ChromeAlarmsHandler
+   */
+  static createAlarms() {
+    chrome.alarms.get(ChromeAlarmsHandler.ALARM_NAME.PURGE_TRASH, alarm => {
+      if (alarm) {
+        return
+      }
+
+      chrome.alarms.create(ChromeAlarmsHandler.ALARM_NAME.PURGE_TRASH, {
+        periodInMinutes: ChromeAlarmsHandler.PURGE_TRASH_PERIOD
+      })
+    })
+
+    // unhandled promises
+    ChromeAlarmsHandler.createSyncAlarm()
+    ChromeAlarmsHandler.createBackupAlarm()
+  }
+
+  /**
+   * Create the alarm restarting the sync while a remote database is stored, or clear it if there isn't one
+   * 
+   * @static
+   * @returns {Promise}
+   * @memberof ChromeAlarmsHandler
+   */
+  static createSyncAlarm() {
+    return Promise.all([
+      new ChromeRemoteDBStorage().getRemoteDB(),
+      new Promise(resolve => chrome.alarms.get(ChromeAlarmsHandler.ALARM_NAME.SYNC, alarm => resolve(alarm))),
+    ]).then(([remoteDB, alarm]) => {
+      if (!remoteDB) {
+        return new Promise(resolve => chrome.alarms.clear(ChromeAlarmsHandler.ALARM_NAME.SYNC, () => resolve()))
+      }
+
+      if (alarm && alarm.periodInMinutes === ChromeAlarmsHandler.SYNC_PERIOD) {
+        return
+      }
+
+      chrome.alarms.create(ChromeAlarmsHandler.ALARM_NAME.SYNC, {
+        periodInMinutes: ChromeAlarmsHandler.SYNC_PERIOD
+      })
+    })
+  }
+
+  /**
+   * Create (or clear) the alarm of automatic backups, according to their schedule.
+   * The next backup is one period after the last, or now if that's passed
+   * 
+   * @static
+   * @returns {Promise}
+   * @memberof ChromeAlarmsHandler
+   */
+  static createBackupAlarm() {
+    const storage = new ChromeBackupStorage()
+
+    return Promise.all([
+      storage.getSchedule(),
+      storage.getBackupState(),
+      new Promise(resolve => chrome.alarms.get(ChromeAlarmsHandler.ALARM_NAME.BACKUP, alarm => resolve(alarm))),
+    ]).then(([{ period }, { lastBackupDate }, alarm]) => {
+      const periodInMinutes = ChromeBackupStorage.PERIOD_MINUTES[period]
+
+      if (!periodInMinutes) {
+        return new Promise(resolve => chrome.alarms.clear(ChromeAlarmsHandler.ALARM_NAME.BACKUP, () => resolve()))
+      }
+
+      if (alarm && alarm.periodInMinutes === periodInMinutes) {
+        return
+      }
+
+      chrome.alarms.create(ChromeAlarmsHandler.ALARM_NAME.BACKUP, {
+        when: Math.max(Date.now(), (lastBackupDate || 0) + periodInMinutes * 60 * 1000),
+        periodInMinutes: periodInMinutes,
+      })
+    })
+  }
+
+  /**
+   * Permanently remove the highlights that have been in the trash of any collection for longer than the retention period (if any)
+   * 
+   * @static
+   * @returns {Promise}
+   * @memberof ChromeAlarmsHandler
+   */
+  static purgeTrash() {
+    return Promise.all([
+      new ChromeStorage().get(ChromeStorage.KEYS.TRASH_RETENTION_DAYS),
+      new ChromeCollectionStorage().getAll(),
+    ]).then(([days, collections]) => {
+      if (!days) {
+        return
+      }
+
+      const date = Date.now() - days * 24 * 60 * 60 * 1000
+
+      return PromiseUtils.serial(collections.map(({ id }) => () => new DB(id).purgeTrashItems(date)))
+    })
+  }
+
+  /**
+   * Fired when an alarm has elapsed
+   * 
+   * @static
+   * @param {{name: string}} alarm
+   * @returns {Promise}
+   * @memberof ChromeAlarmsHandler
+   */
+  static onAlarm(alarm) {
+    switch (alarm.name) {
+      case ChromeAlarmsHandler.ALARM_NAME.SYNC:
+        // wakes the event page, restarting the sync if it stopped
+        return DBSync.start()
+
+      case ChromeAlarmsHandler.ALARM_NAME.BACKUP:
+        return ScheduledBackup.run()
+
+      case ChromeAlarmsHandler.ALARM_NAME.PURGE_TRASH:
+        return ChromeAlarmsHandler.purgeTrash()
+
+      default:
+        return Promise.resolve()
+    }
+  }
+}
+
+// static properties
+
+ChromeAlarmsHandler.ALARM_NAME = {
+  SYNC: 'sync',
+  BACKUP: 'backup',
+  PURGE_TRASH: 'purgeTrash',
+}
+
+// minutes between restarts of the sync (if it stopped while the event page was unloaded)
+ChromeAlarmsHandler.SYNC_PERIOD = 30
+
+// minutes between purges of expired highlights from the trash
+ChromeAlarmsHandler.PURGE_TRASH_PERIOD = 24 * 60
@@ -53,8 +53,12 @@ class ChromeCommandsHandler {
         case ChromeCommandsHandler.COMMAND.UNDO:
           return highlighter.undo()
 
+        case ChromeCommandsHandler.COMMAND.REDO:
+          return highlighter.redo()
+
         case ChromeCommandsHandler.COMMAND.DELETE:
-          return tabs.getHoveredHighlightID().then(docId => {
+          // the hovered highlight may be in any frame
+          return tabs.findFrame(t => t.getHoveredHighlightID({ ping: false })).then(({ value: docId }) => {
             if (!docId) {
               return
             }
@@ -73,12 +77,13 @@ class ChromeCommandsHandler {
 
           const index = parseInt(match[1])
           const storage = new ChromeStorage()
+          const collectionId = new ChromeCollectionStorage().getCollectionId(activeTab.url)
 
           // name of class that new highlight should adopt
           let highlightClassName
 
           // convert to object
-          return new ChromeHighlightStorage().getAll().then(items => {
+          return new ChromeHighlightStorage(collectionId).getAll().then(items => {
             const highlightDefinitions = items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
 
             if (!highlightDefinitions || highlightDefinitions.length <= index) {
@@ -92,25 +97,27 @@ class ChromeCommandsHandler {
             //     return Promise.reject(new Error());
             // }
 
-            return tabs.getSelectionRange()
-          }).then(xrange => {
-            if (!xrange) {
-              return Promise.reject(new Error())
-            }
-
+            // the selection may be in any frame
+            return tabs.findFrame(t => {
+              return t.getSelectionRange({ ping: false }).then(xrange => xrange && !xrange.collapsed && xrange)
+            })
+          }).then(({ tabs: frameTabs, value: xrange }) => {
             // non collapsed selection means create new highlight
-            if (!xrange.collapsed) {
+            if (xrange) {
               // requires selection text
-              return tabs.getRangeText(xrange).then(text => {
+              return Promise.all([
+                frameTabs.getRangeText(xrange),
+                new ChromeMatchRuleStorage().formatMatch(activeTab.url),
+              ]).then(([text, match]) => {
                 if (!text) {
                   return Promise.reject(new Error())
                 }
 
                 // create new document for highlight,
                 // then update DOM
-                return highlighter.create(
+                return new Highlighter(activeTab.id, frameTabs.frameId).create(
                   xrange,
-                  DB.formatMatch(activeTab.url),
+                  match,
                   text,
                   highlightClassName
                 )
@@ -122,13 +129,13 @@ class ChromeCommandsHandler {
                   }
 
                   // clear selection
-                  return tabs.selectHighlight()
+                  return frameTabs.selectHighlight()
                 })
               })
             } else {
               // collapsed selection range means update 
               // the hovered highlight (if possible)
-              return tabs.getHoveredHighlightID().then(docId => {
+              return tabs.findFrame(t => t.getHoveredHighlightID({ ping: false })).then(({ tabs: frameTabs, value: docId }) => {
                 if (!docId) {
                   return
                 }
@@ -137,7 +144,7 @@ class ChromeCommandsHandler {
                 // it. If not, remove the highlight.
 
                 /// get doc associated with highlight, identified by id
-                return new DB().getDocument(docId).then(doc => {
+                return new DB(collectionId).getDocument(docId).then(doc => {
                   if (doc[DB.DOCUMENT.NAME.CLASS_NAME] !== highlightClassName) {
                     // different class. update.
                     return highlighter.update(doc._id, highlightClassName)
@@ -152,7 +159,7 @@ class ChromeCommandsHandler {
 
                     // remove the highlight, then select the text it spanned
                     return highlighter.delete(doc._id).then(() => {
-                      return tabs.selectRange(doc[DB.DOCUMENT.NAME.RANGE])
+                      return frameTabs.selectRange(doc[DB.DOCUMENT.NAME.RANGE])
                     })
                   })
                 })
@@ -170,6 +177,7 @@ ChromeCommandsHandler.COMMAND = {
   // delete the highlight of the highlight hovered on the currently active tab
   DELETE: 'delete_hovered_highlight',
   UNDO: 'undo_last_create_highlight',
+  REDO: 'redo',
   // formatted
   APPLY: 'apply_highlight'
 }
@@ -29,6 +29,7 @@ class ChromeContextMenusHandler {
    */
   static addListeners() {
     chrome.contextMenus.onClicked.addListener(ChromeContextMenusHandler.onClicked)
+    chrome.tabs.onActivated.addListener(ChromeContextMenusHandler.onTabActivated)
   }
 
   /**
@@ -69,10 +70,12 @@ class ChromeContextMenusHandler {
    * Create (or recreate) a context menu, based on currently stored highlight definitions, and commands
    * 
    * @static
+   * @param {string|Promise<string>} [collectionId] - id of collection whose highlight definitions are listed (or a promise resolving to it).
+   *  Defaults to the active collection
    * @returns {Promise}
    * @memberof ChromeContextMenusHandler
    */
-  static createSelectionMenu() {
+  static createSelectionMenu(collectionId) {
     // id of root of context menu
     let parentId, allCommands
 
@@ -94,7 +97,7 @@ class ChromeContextMenusHandler {
       allCommands = c
 
       // get all highlight definitions
-      return new ChromeHighlightStorage().getAll().then(items => {
+      return new ChromeHighlightStorage(collectionId).getAll().then(items => {
         return items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
       })
     }).then(highlightDefinitions => {
@@ -192,6 +195,21 @@ class ChromeContextMenusHandler {
   
   //
 
+  /**
+   * Called when the active tab of a window changes. The menu lists the highlight definitions of its page's collection
+   * 
+   * @static
+   * @callback
+   * @param {{tabId: number, windowId: number}} activeInfo
+   * @returns {Promise}
+   * @memberof ChromeContextMenusHandler
+   */
+  static onTabActivated({ tabId }) {
+    return ChromeContextMenusHandler.createSelectionMenu(new ChromeTabs(tabId).getCollectionId()).catch(e => {
+      console.error(e)
+    })
+  }
+
   /**
    * Called when context menu clicked
    * 
@@ -199,6 +217,7 @@ class ChromeContextMenusHandler {
    * @prop {string|number} [menuItemId]
    * @prop {boolean} editable
    * @prop {string} [frameUrl]
+   * @prop {number} [frameId] - id of the frame where the click took place. 0 is the top level frame
    * @prop {string} [selectionText]
    * 
    * @static
@@ -232,27 +251,28 @@ class ChromeContextMenusHandler {
               break
             }
 
-            // can't create highlight in frames that aren't top level frames, or in editable textareas
-            if (info.frameUrl && info.frameUrl !== tab.url){
-              window.alert(chrome.i18n.getMessage("alert_create_highlight_in_subframe"))
-              break
-            }
-
-            // get the selection range (_xpath) from content script
-            const tabs = new ChromeTabs(tab.id)
+            // get the selection range (_xpath) from content script of the frame where the click took place
+            const tabs = new ChromeTabs(tab.id, info.frameId || 0)
             
             // highlight definition class name
             const className = match[2]
             
-            return tabs.getSelectionRange().then(xrange => {
-                if (xrange.collapsed) {
+            let xrange
+
+            return tabs.getSelectionRange().then(r => {
+                if (r.collapsed) {
                     return Promise.reject(new Error())
                 }
-                
-                // create new document for highlight, then update DOM
-                return new Highlighter(tab.id).create(
+
+                xrange = r
+
+                // The match is always that of the page, even if the highlight is in a subframe
+                return new ChromeMatchRuleStorage().formatMatch(tab.url)
+            }).then(match => {
+                // create new document for highlight, then update DOM.
+                return new Highlighter(tab.id, tabs.frameId).create(
                     xrange,
-                    DB.formatMatch(tab.url, info.frameUrl),
+                    match,
                     info.selectionText, 
                     className
                 )
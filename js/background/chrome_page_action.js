@@ -43,6 +43,18 @@ class ChromePageAction {
     })
   }
 
+  /**
+   * Gets the title of the page action
+   * 
+   * @returns {Promise<string>}
+   * @memberof ChromePageAction
+   */
+  getTitle() {
+    return new Promise(resolve => {
+      chrome.pageAction.getTitle({ tabId: this.tabId }, title => resolve(title))
+    })
+  }
+
   /**
    * @typedef {Object} IconDetails
    * @prop {number} [tabId] - (override) The id of the tab for which you want to modify the page action.
@@ -64,6 +76,29 @@ class ChromePageAction {
     })
   }
 
+  /**
+   * Show the state of the sync with the remote database as a coloured badge over the corner of the icon.
+   * The icon is the warning icon if its title is the warning title (see ChromeWebNavigationHandler.showInvalidDocumentsWarning())
+   * 
+   * @param {string} state - one of ChromeRemoteDBStorage.SYNC_STATE
+   * @returns {Promise}
+   * @memberof ChromePageAction
+   */
+  setSyncState(state) {
+    return this.getTitle().then(title => {
+      const path = title === chrome.i18n.getMessage("page_action_title_not_in_dom") ?
+        ChromePageAction.ICON_PATH.WARNING :
+        ChromePageAction.ICON_PATH.DEFAULT
+      const color = ChromePageAction.SYNC_BADGE_COLOR[state]
+
+      if (!color) {
+        return this.setIcon({ path: path })
+      }
+
+      return ChromePageAction.createBadgedImageData(path, color).then(imageData => this.setIcon({ imageData: imageData }))
+    })
+  }
+
   /**
    * Shows or hides the page action. The page action is shown whenever the tab is selected
    * 
@@ -77,4 +112,80 @@ class ChromePageAction {
       chrome.pageAction.hide(this.tabId)
     }
   }
-}
\ No newline at end of file
+
+  // static
+
+  /**
+   * Show the state of the sync on the page action of every tab
+   * 
+   * @static
+   * @param {string} state - one of ChromeRemoteDBStorage.SYNC_STATE
+   * @returns {Promise}
+   * @memberof ChromePageAction
+   */
+  static setSyncStateOfAllTabs(state) {
+    return ChromeTabs.query({}).then(tabs => {
+      return Promise.all(tabs.map(tab => new ChromePageAction(tab.id).setSyncState(state).catch(e => console.warn(e))))
+    })
+  }
+
+  /**
+   * Draw icons with a coloured dot over their bottom right corner
+   * 
+   * @static
+   * @param {Object<string, string>} path - dictionary {size -> relative image path} of icons
+   * @param {string} color - css colour of dot
+   * @returns {Promise<Object<string, ImageData>>} dictionary {size -> ImageData}
+   * @memberof ChromePageAction
+   */
+  static createBadgedImageData(path, color) {
+    return Promise.all(Object.entries(path).map(([size, p]) => {
+      return new Promise((resolve, reject) => {
+        const img = new Image()
+
+        img.onload = () => {
+          const length = parseInt(size)
+          const radius = length * ChromePageAction.SYNC_BADGE_RADIUS
+          const canvas = document.createElement('canvas')
+          canvas.width = canvas.height = length
+
+          const context = canvas.getContext('2d')
+          context.drawImage(img, 0, 0, length, length)
+
+          context.beginPath()
+          context.arc(length - radius, length - radius, radius, 0, 2 * Math.PI)
+          context.fillStyle = color
+          context.fill()
+
+          resolve([size, context.getImageData(0, 0, length, length)])
+        }
+
+        img.onerror = () => reject(new Error(`Unable to load icon "${p}"`))
+        img.src = chrome.runtime.getURL(p)
+      })
+    })).then(entries => Object.fromEntries(entries))
+  }
+}
+
+// static properties
+
+ChromePageAction.ICON_PATH = {
+  DEFAULT: {
+    19: "static/images/19.png",
+    38: "static/images/38.png",
+  },
+  WARNING: {
+    19: "static/images/popup/19_warning.png",
+    38: "static/images/popup/38_warning.png",
+  },
+}
+
+// colour of badge for each state of the sync. States without a colour have no badge
+ChromePageAction.SYNC_BADGE_COLOR = {
+  active: '#337ab7',
+  paused: '#f0ad4e',
+  error: '#d9534f',
+}
+
+// radius of badge, relative to size of icon
+ChromePageAction.SYNC_BADGE_RADIUS = 0.22
\ No newline at end of file
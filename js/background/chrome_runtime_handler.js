@@ -29,6 +29,7 @@ class ChromeRuntimeHandler {
    */
   static addListeners() {
     chrome.runtime.onStartup.addListener(ChromeRuntimeHandler.onStartup)
+    chrome.runtime.onInstalled.addListener(ChromeRuntimeHandler.onInstalled)
     chrome.runtime.onMessage.addListener(ChromeRuntimeHandler.onMessage)
   }
 
@@ -42,8 +43,34 @@ class ChromeRuntimeHandler {
    * @memberof ChromeRuntimeHandler
    */
   static onStartup() {
-    // remove entries in which the number of 'create' doc == number of 'delete' docs
-    return new DB().removeAllSuperfluousDocuments()
+    // the purge alarm may not have elapsed for a while if the browser wasn't running
+    return ChromeAlarmsHandler.purgeTrash()
+  }
+
+  /**
+   * Fired when the extension is first installed, when the extension is updated to a new version, and when Chrome is updated to a new version.
+   * 
+   * @static
+   * @param {{reason: string, previousVersion: string}} details
+   * @returns {Promise}
+   * @memberof ChromeRuntimeHandler
+   */
+  static onInstalled(details) {
+    // versions up to LEGACY_DB_VERSION kept their documents in the database of a local server, so sync with it until told otherwise
+    if (details.reason !== 'update' ||
+      ChromeRuntimeHandler.compareVersions(details.previousVersion, ChromeRuntimeHandler.LEGACY_DB_VERSION) > 0) {
+      return Promise.resolve()
+    }
+
+    const storage = new ChromeRemoteDBStorage()
+
+    return storage.isRemoteDBSet().then(isSet => {
+      if (isSet) {
+        return
+      }
+
+      return storage.setRemoteDB({ url: DB.LEGACY_REMOTE_NAME })
+    })
   }
 
   /**
@@ -81,6 +108,66 @@ class ChromeRuntimeHandler {
         })
         break
 
+      case ChromeRuntimeHandler.MESSAGE.REPAIR_HIGHLIGHT:
+        // the content script found the highlight by other means than its range, which is replaced so the next playback is direct
+        asynchronous = true
+
+        new DB(new ChromeCollectionStorage().getCollectionId(sender.tab.url)).updateCreateDocument(message.highlightId, {
+          range: message.range,
+          text: message.text,
+          selectors: message.selectors,
+        }).then(({ ok }) => {
+          if (!ok) {
+            return Promise.reject(new Error("Response not OK"))
+          }
+
+          console.info(`Repaired range of 'create' doc ${message.highlightId}`)
+          return new ChromeOrphanStorage().removeOrphan(message.highlightId)
+        }).then(() => {
+          sendResponse(true)
+        }).catch(() => {
+          sendResponse(false)
+        })
+        break
+
+      case ChromeRuntimeHandler.MESSAGE.GET_COLLECTION_ID:
+        // the content script styles highlights with the definitions of its page's collection
+        asynchronous = true
+
+        new ChromeCollectionStorage().getCollectionId(sender.tab.url).then(collectionId => {
+          sendResponse(collectionId)
+        }).catch(() => {
+          sendResponse(ChromeCollectionStorage.DEFAULT_ID)
+        })
+        break
+
+      case ChromeRuntimeHandler.MESSAGE.BACK_UP:
+        // back up now (from options page), responding with the new state of backups
+        asynchronous = true
+
+        ScheduledBackup.run().then(backupState => {
+          sendResponse(backupState)
+        }).catch(e => {
+          console.error(e)
+          sendResponse({ error: e.message })
+        })
+        break
+
+      case ChromeRuntimeHandler.MESSAGE.PLAYBACK_DOCUMENTS:
+        // the page rendered its text after it completed loading, so wasn't ready for playback then
+        asynchronous = true
+
+        ChromeWebNavigationHandler.onCompleted({
+          tabId: sender.tab.id,
+          frameId: sender.frameId || 0,
+          url: sender.url,
+        }).then(() => {
+          sendResponse(true)
+        }).catch(() => {
+          sendResponse(false)
+        })
+        break
+
       default:
         throw `Unhandled message: sender=${sender}, id=${message.id}`
     }
@@ -91,11 +178,44 @@ class ChromeRuntimeHandler {
     
     return asynchronous
   }
+
+  /**
+   * Compare dotted version strings (e.g. '5.0.7') numerically
+   * 
+   * @private
+   * @static
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} negative if a precedes b, positive if it follows it, else 0
+   * @memberof ChromeRuntimeHandler
+   */
+  static compareVersions(a, b) {
+    const as = String(a).split('.').map(n => parseInt(n, 10) || 0)
+    const bs = String(b).split('.').map(n => parseInt(n, 10) || 0)
+
+    for (let i = 0; i < Math.max(as.length, bs.length); i++) {
+      const difference = (as[i] || 0) - (bs[i] || 0)
+
+      if (difference !== 0) {
+        return difference
+      }
+    }
+
+    return 0
+  }
 }
 
 // static properties
 
+// last version whose documents were in the database of a local server
+ChromeRuntimeHandler.LEGACY_DB_VERSION = '5.0.7'
+
 // messages sent to the event page (from content script)
 ChromeRuntimeHandler.MESSAGE = {
   DELETE_HIGHLIGHT: 'delete_highlight',
+  REPAIR_HIGHLIGHT: 'repair_highlight',
+  PLAYBACK_DOCUMENTS: 'playback_documents',
+  GET_COLLECTION_ID: 'get_collection_id',
+  // (from options page)
+  BACK_UP: 'back_up',
 }
@@ -41,13 +41,38 @@ class ChromeStorageHandler {
    * @memberof ChromeStorageHandler
    */
   static onChanged(changes, areaName) {
-    // Content of context menu depends on the highlight styles
-    if (areaName !== 'sync' || !changes.highlightDefinitions) {
+    // (re)start sync with new remote database, and only wake the event page to restart it while there is one
+    if (areaName === 'local' && changes.remoteDB) {
+      return Promise.all([
+        DBSync.start(),
+        ChromeAlarmsHandler.createSyncAlarm(),
+      ])
+    }
+
+    // reschedule automatic backups
+    if (areaName === 'local' && changes.backupSchedule) {
+      return ChromeAlarmsHandler.createBackupAlarm()
+    }
+
+    // every collection syncs with its own remote database. Collections changes also change the menu (below)
+    if (areaName === 'sync' && changes[ChromeCollectionStorage.KEYS.COLLECTIONS]) {
+      // unhandled promise
+      DBSync.start()
+    }
+
+    // Content of context menu depends on the highlight styles of the active tab's collection
+    if (areaName !== 'sync' || !Object.keys(changes).some(key => ChromeHighlightStorage.isDefinitionsKey(key) || [
+      ChromeCollectionStorage.KEYS.COLLECTIONS,
+      ChromeCollectionStorage.KEYS.ACTIVE_COLLECTION,
+      ChromeCollectionStorage.KEYS.COLLECTION_RULES,
+    ].includes(key))) {
       return Promise.resolve()
     }
 
     // recreate menu
     // unhandled promise
-    return ChromeContextMenusHandler.createSelectionMenu()
+    return ChromeTabs.queryActiveTab().then(tab => {
+      return ChromeContextMenusHandler.createSelectionMenu(tab ? new ChromeTabs(tab.id).getCollectionId() : undefined)
+    })
   }
 }
@@ -31,6 +31,59 @@ class ChromeWebNavigationHandler {
         chrome.webNavigation.onCompleted.addListener(ChromeWebNavigationHandler.onCompleted, {
             url: [{schemes: ChromeWebNavigationHandler.COMPLETED_URL_SCHEMES}]
         })
+
+        // client-side route changes of single-page apps
+        for (const event of [
+            chrome.webNavigation.onHistoryStateUpdated,
+            chrome.webNavigation.onReferenceFragmentUpdated,
+        ]) {
+            event.addListener(ChromeWebNavigationHandler.onHistoryStateUpdated, {
+                url: [{schemes: ChromeWebNavigationHandler.COMPLETED_URL_SCHEMES}]
+            })
+        }
+
+        chrome.webNavigation.onBeforeNavigate.addListener(ChromeWebNavigationHandler.onBeforeNavigate, {
+            url: ChromeWebNavigationHandler.PDF_PATH_SUFFIXES.map(pathSuffix => ({
+                schemes: ChromeWebNavigationHandler.COMPLETED_URL_SCHEMES,
+                pathSuffix: pathSuffix
+            }))
+        })
+
+        chrome.tabs.onRemoved.addListener(ChromeWebNavigationHandler.onTabRemoved)
+    }
+
+    /**
+     * Fired when a tab is closed. Forget the match of its page
+     *
+     * @static
+     * @param {number} tabId
+     * @memberof ChromeWebNavigationHandler
+     */
+    static onTabRemoved(tabId) {
+        ChromeWebNavigationHandler.matches.delete(tabId)
+    }
+
+    /**
+     * Fired when a navigation is about to occur. Only fired for urls of pdfs, which are opened in the extension's
+     * pdf viewer instead of the browser's (whose document content scripts can't access)
+     *
+     * @static
+     * @param {Details} details
+     * @return {Promise}
+     * @memberof ChromeWebNavigationHandler
+     */
+    static onBeforeNavigate(details) {
+        if (details.frameId !== 0) {
+            return Promise.resolve()
+        }
+
+        return new ChromeStorage().get(ChromeStorage.KEYS.OPEN_PDF_IN_VIEWER).then(value => {
+            if (!value) {
+                return
+            }
+
+            return new ChromeTabs(details.tabId).update(DB.getPdfViewerUrl(details.url))
+        })
     }
 
     /**
@@ -51,19 +104,24 @@ class ChromeWebNavigationHandler {
     static onCompleted(details) {
         // 0 indicates the navigation happens in the tab content window
         if (details.frameId !== 0) {
-            return Promise.resolve()
+            return ChromeWebNavigationHandler.onSubframeCompleted(details)
         }
 
         // get all the documents with our desired highlight key, in increasing order
-        // query for all documents with this key
-        const db = new DB()
+        // query for all documents with this key, in the database of the page's collection
+        const collectionId = new ChromeCollectionStorage().getCollectionId(details.url)
+        const db = new DB(collectionId)
         const tabs = new ChromeTabs(details.tabId)
-        const match = DB.formatMatch(details.url)
 
-        let matchedDocs
+        let match, matchedDocs
 
-        // create selection and page action menus (#highlights unknown currently)
-        return ChromeContextMenusHandler.createSelectionMenu().then(() => {
+        return new ChromeMatchRuleStorage().formatMatch(details.url).then(m => {
+            match = m
+            ChromeWebNavigationHandler.matches.set(details.tabId, match)
+
+            // create selection and page action menus (#highlights unknown currently)
+            return ChromeContextMenusHandler.createSelectionMenu(collectionId)
+        }).then(() => {
             return db.getMatchingDocuments(match)
         }).then(docs => {
             matchedDocs = docs
@@ -90,49 +148,256 @@ class ChromeWebNavigationHandler {
                 })
             }
         }).then(() => {
-            // set of ids of 'create' documents that reported errors, and did NOT have a corresponding
-            // 'delete' document (i.e. implying it's not really an error)
-            const invalidDocIds = new Set()
-
-            return tabs.executeDefaultScript().then(() => {
-                return tabs.playbackDocuments(matchedDocs, errorDoc => {
-                    // method only called if there's an error. called multiple times
-                    if (errorDoc[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE) {
-                        invalidDocIds.add(errorDoc._id)
-                    }
-                })
-            }).then(sum => {
-                const pageAction = new ChromePageAction(details.tabId)
+            // the extension's own pages (i.e. pdf viewer) can't be scripted, so include the scripts themselves
+            if (details.url.startsWith(chrome.runtime.getURL(''))) {
+                return
+            }
 
-                pageAction.setVisibility(sum > 0)
+            return tabs.executeDefaultScript()
+        }).then(() => {
+            // highlights in subframes are played back when their frame completes
+            return ChromeWebNavigationHandler.playbackDocuments(
+                tabs,
+                match,
+                matchedDocs.filter(d => !d[DB.DOCUMENT.NAME.FRAME])
+            )
+        }).then(invalidDocIds => {
+            const pageAction = new ChromePageAction(details.tabId)
 
-                if (invalidDocIds.size === 0) {
+            // visible if any frame of the page has highlights
+            const sum = matchedDocs.reduce((sum, d) => sum + (d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE ? 1 : -1), 0)
+            pageAction.setVisibility(sum > 0)
+
+            if (invalidDocIds.size > 0) {
+                return ChromeWebNavigationHandler.showInvalidDocumentsWarning(pageAction, invalidDocIds)
+            }
+        }).then(() => {
+            return new ChromeRemoteDBStorage().getSyncState()
+        }).then(({state}) => {
+            return new ChromePageAction(details.tabId).setSyncState(state)
+        })
+    }
+
+    /**
+     * Completion of a subframe's document. Its highlights are the documents of the page (top level frame) created in a frame with the same url.
+     *
+     * @static
+     * @param {Details} details
+     * @return {Promise}
+     * @memberof ChromeWebNavigationHandler
+     */
+    static onSubframeCompleted(details) {
+        const tabs = new ChromeTabs(details.tabId, details.frameId)
+        const frameMatch = DB.formatMatch(details.url)
+
+        let tab, match, frameDocs
+
+        // documents are keyed by the match of the page, not the frame
+        return tabs.get().then(t => {
+            tab = t
+
+            return new ChromeMatchRuleStorage().formatMatch(tab.url)
+        }).then(m => {
+            match = m
+
+            return new DB(new ChromeCollectionStorage().getCollectionId(tab.url)).getMatchingDocuments(match)
+        }).then(docs => {
+            frameDocs = docs.filter(d => {
+                const frame = d[DB.DOCUMENT.NAME.FRAME]
+                return frame && DB.formatMatch(frame.url) === frameMatch
+            })
+
+            // frames without highlights (i.e. ads & widgets) aren't scripted. The scripts are injected by the first message
+            // sent to the frame, if a highlight is created in it
+            if (frameDocs.length === 0) {
+                return
+            }
+
+            return tabs.executeDefaultScript().then(() => tabs.getFramePath()).then(path => {
+                // frames with the same url are told apart by the path of their element (if both are known)
+                return ChromeWebNavigationHandler.playbackDocuments(tabs, match, frameDocs.filter(d => {
+                    const framePath = d[DB.DOCUMENT.NAME.FRAME].path
+                    return !path || !framePath || framePath === path
+                }))
+            }).then(invalidDocIds => {
+                if (invalidDocIds.size > 0) {
+                    return ChromeWebNavigationHandler.showInvalidDocumentsWarning(new ChromePageAction(details.tabId), invalidDocIds)
+                }
+            })
+        })
+    }
+
+    /**
+     * Fired when the url of a document changes without it being reloaded, i.e. the history API or fragment was used to
+     * change the route of a single-page app. Also the listener for `onReferenceFragmentUpdated`.
+     *
+     * @static
+     * @param {Details} details
+     * @return {Promise}
+     * @memberof ChromeWebNavigationHandler
+     */
+    static onHistoryStateUpdated(details) {
+        // the match of a page is formed by the url of its top level frame only
+        if (details.frameId !== 0) {
+            return Promise.resolve()
+        }
+
+        const tabId = details.tabId
+        const routeChanges = ChromeWebNavigationHandler.routeChanges
+
+        // serialized per tab, so a route change handled late can't replace the highlights of a newer route
+        const promise = (routeChanges.get(tabId) || Promise.resolve()).then(() => {
+            return ChromeWebNavigationHandler.changeRoute(details)
+        }).catch(e => console.error(e)).then(() => {
+            // forget the tab once its last route change is handled
+            if (routeChanges.get(tabId) === promise) {
+                routeChanges.delete(tabId)
+            }
+        })
+
+        routeChanges.set(tabId, promise)
+
+        return promise
+    }
+
+    /**
+     * Replace the highlights of the previous route of a page with those of its current one
+     *
+     * @private
+     * @static
+     * @param {Details} details
+     * @return {Promise}
+     * @memberof ChromeWebNavigationHandler
+     */
+    static changeRoute(details) {
+        const collectionId = new ChromeCollectionStorage().getCollectionId(details.url)
+        const tabs = new ChromeTabs(details.tabId)
+
+        let match, createDocs
+
+        return new ChromeMatchRuleStorage().formatMatch(details.url).then(m => {
+            match = m
+
+            // i.e. a link to an anchor of the page, or a route whose url only differs in a part the match doesn't include
+            if (match === ChromeWebNavigationHandler.matches.get(details.tabId)) {
+                return
+            }
+
+            // without injected scripts the page hasn't completed yet, and its highlights are played back when it does
+            return tabs.getHighlightIds({ ping: false }).catch(() => null).then(highlightIds => {
+                if (!highlightIds) {
                     return
                 }
 
-                // remove 'create' docs for which a matching 'delete' doc exists
-                for (const doc of matchedDocs.filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.DELETE)) {
-                    invalidDocIds.delete(doc.correspondingDocumentId)
+                return ChromeContextMenusHandler.createSelectionMenu(collectionId).then(() => {
+                    return new DB(collectionId).getMatchingDocuments(match, { excludeDeletedDocs: true })
+                }).then(docs => {
+                    createDocs = docs
+
+                    // marks left over from the previous route (if the app didn't replace the content containing them)
+                    const docIds = new Set(createDocs.map(d => d._id))
+
+                    return PromiseUtils.serial(highlightIds
+                        .filter(id => !docIds.has(id))
+                        .map(id => () => tabs.removeHighlight(id, { ping: false }))
+                    )
+                }).then(() => {
+                    // the app usually renders the content of the new route after changing its url
+                    return tabs.waitForRender({
+                        quietPeriod: ChromeWebNavigationHandler.ROUTE_RENDER.QUIET_PERIOD,
+                        timeout: ChromeWebNavigationHandler.ROUTE_RENDER.TIMEOUT,
+                    }, { ping: false })
+                }).then(() => {
+                    return tabs.getHighlightIds({ ping: false })
+                }).then(highlightIds => {
+                    const ids = new Set(highlightIds)
+
+                    // highlights still in the DOM (i.e. rendered by the previous route too) aren't played back again.
+                    // highlights in subframes are played back when their frame completes
+                    return ChromeWebNavigationHandler.playbackDocuments(
+                        tabs,
+                        match,
+                        createDocs.filter(d => !d[DB.DOCUMENT.NAME.FRAME] && !ids.has(d._id))
+                    )
+                }).then(invalidDocIds => {
+                    const pageAction = new ChromePageAction(details.tabId)
+
+                    ChromeWebNavigationHandler.matches.set(details.tabId, match)
+
+                    // visible if any frame of the page has highlights
+                    pageAction.setVisibility(createDocs.length > 0)
 
-                    if (invalidDocIds.size === 0) {
-                        break
+                    if (invalidDocIds.size > 0) {
+                        return ChromeWebNavigationHandler.showInvalidDocumentsWarning(pageAction, invalidDocIds)
                     }
-                }
 
-                // any remaining entries are genuinely invalid
-                if (invalidDocIds.size > 0) {
-                    console.info(`Problem playing ${invalidDocIds.size} 'create' doc(s) ${JSON.stringify(Array.from(invalidDocIds), null, ' ')}`)
+                    // any warning was about the previous route
+                    pageAction.setTitle(chrome.i18n.getMessage("page_action_default_title"))
+                }).then(() => {
+                    return new ChromeRemoteDBStorage().getSyncState()
+                }).then(({state}) => {
+                    return new ChromePageAction(details.tabId).setSyncState(state)
+                })
+            })
+        })
+    }
 
-                    pageAction.setTitle(chrome.i18n.getMessage("page_action_title_not_in_dom"))
+    /**
+     * Play back documents in the (frame of the) tab, into which the default scripts have been injected,
+     * and remember the 'create' documents that couldn't be played back (orphans)
+     *
+     * @static
+     * @param {ChromeTabs} tabs - tab (& frame) to play back documents in
+     * @param {string} match - match of documents
+     * @param {Object[]} docs - documents to play back
+     * @return {Promise<Set<string>>} ids of orphaned 'create' documents
+     * @memberof ChromeWebNavigationHandler
+     */
+    static playbackDocuments(tabs, match, docs) {
+        // set of ids of 'create' documents that reported errors, and did NOT have a corresponding
+        // 'delete' document (i.e. implying it's not really an error)
+        const invalidDocIds = new Set()
+
+        return tabs.playbackDocuments(docs, errorDoc => {
+            // method only called if there's an error. called multiple times
+            if (errorDoc[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE) {
+                invalidDocIds.add(errorDoc._id)
+            }
+        }).then(() => {
+            // remove 'create' docs for which a matching 'delete' doc exists
+            for (const doc of docs.filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.DELETE)) {
+                invalidDocIds.delete(doc.correspondingDocumentId)
 
-                    return pageAction.setIcon({
-                        path: {
-                            19: "static/images/popup/19_warning.png",
-                            38: "static/images/popup/38_warning.png",
-                        }
-                    })
+                if (invalidDocIds.size === 0) {
+                    break
                 }
-            })
+            }
+
+            // any remaining entries are genuinely invalid (orphans). Remember them (or forget previous ones) for the popup
+            const createDocIds = docs
+                .filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE)
+                .map(d => d._id)
+
+            return new ChromeOrphanStorage().updateOrphans(match, createDocIds, Array.from(invalidDocIds))
+        }).then(() => invalidDocIds)
+    }
+
+    /**
+     * Show the page action's warning icon & title, signifying some highlights couldn't be played back
+     *
+     * @static
+     * @param {ChromePageAction} pageAction
+     * @param {Set<string>} invalidDocIds - ids of orphaned 'create' documents
+     * @return {Promise}
+     * @memberof ChromeWebNavigationHandler
+     */
+    static showInvalidDocumentsWarning(pageAction, invalidDocIds) {
+        console.info(`Problem playing ${invalidDocIds.size} 'create' doc(s) ${JSON.stringify(Array.from(invalidDocIds), null, ' ')}`)
+
+        pageAction.setTitle(chrome.i18n.getMessage("page_action_title_not_in_dom"))
+
+        return pageAction.setIcon({
+            path: ChromePageAction.ICON_PATH.WARNING
         })
     }
 }
@@ -144,4 +409,24 @@ ChromeWebNavigationHandler.COMPLETED_URL_SCHEMES = [
     'http',
     'https',
     'file'
+]
+
+// ms to wait for the content of a single-page app's new route to render
+ChromeWebNavigationHandler.ROUTE_RENDER = {
+    // without any change to the document
+    QUIET_PERIOD: 500,
+    // at most
+    TIMEOUT: 5000,
+}
+
+// promise of the last route change of each tab (by id) still being handled
+ChromeWebNavigationHandler.routeChanges = new Map()
+
+// match of the page of each tab (by id), as last played back
+ChromeWebNavigationHandler.matches = new Map()
+
+// path suffixes of urls opened in the pdf viewer
+ChromeWebNavigationHandler.PDF_PATH_SUFFIXES = [
+    '.pdf',
+    '.PDF'
 ]
\ No newline at end of file
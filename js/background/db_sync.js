@@ -0,0 +1,260 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Singleton class managing the live sync between the local database of each collection and its remote database (if any).
+ * The event page is unloaded when idle, which stops the sync, so it's (re)started whenever the page loads,
+ * and periodically by an alarm (see ChromeAlarmsHandler).
+ * 
+ * @class DBSync
+ */
+class DBSync {
+  /**
+   * Start syncing every collection with the stored remote database, unless already syncing them with it.
+   * Stops syncing if there is no remote database.
+   * 
+   * @static
+   * @returns {Promise}
+   * @memberof DBSync
+   */
+  static start() {
+    // calls are serialized, so concurrent calls don't start more than one sync
+    DBSync.queue = DBSync.queue.then(() => {
+      return Promise.all([
+        new ChromeRemoteDBStorage().getRemoteDB(),
+        new ChromeCollectionStorage().getAll(),
+      ])
+    }).then(([remoteDB, collections]) => {
+      // a new collection also needs syncing
+      const key = remoteDB ? JSON.stringify([remoteDB, collections.map(c => c.id)]) : null
+
+      if (DBSync.handlers.size > 0 && key === DBSync.remoteDBKey) {
+        return
+      }
+
+      DBSync.stop()
+
+      if (!remoteDB) {
+        return DBSync.setState({ state: ChromeRemoteDBStorage.SYNC_STATE.DISABLED, error: undefined })
+      }
+
+      const options = {}
+
+      if (remoteDB.username) {
+        options.auth = {
+          username: remoteDB.username,
+          password: remoteDB.password,
+        }
+      }
+
+      return Promise.all(collections.map(({ id }) => {
+        const db = new DB(id)
+        const url = ChromeRemoteDBStorage.formatCollectionUrl(remoteDB.url, id)
+
+        return db.syncDB(new PouchDB(url, options), {
+          live: true,
+          retry: true,
+          back_off_function: DBSync.backOff,
+        }).then(({ handler }) => {
+          DBSync.handlers.set(id, handler)
+          DBSync.dbs.set(id, db)
+
+          handler
+            .on('active', () => DBSync.onActive(id, handler))
+            .on('paused', err => DBSync.onPaused(id, handler, err))
+            .on('error', err => DBSync.onError(handler, err))
+        })
+      })).then(() => {
+        DBSync.remoteDBKey = key
+
+        return DBSync.setState({ state: ChromeRemoteDBStorage.SYNC_STATE.ACTIVE, error: undefined })
+      })
+    }).catch(e => {
+      console.error(e)
+
+      // handlers that did start are stopped, so the next call starts them all again
+      DBSync.stop()
+
+      return DBSync.setState({ state: ChromeRemoteDBStorage.SYNC_STATE.ERROR, error: e.message })
+    })
+
+    return DBSync.queue
+  }
+
+  /**
+   * Stop syncing
+   * 
+   * @static
+   * @memberof DBSync
+   */
+  static stop() {
+    for (const handler of DBSync.handlers.values()) {
+      handler.cancel()
+    }
+
+    DBSync.handlers.clear()
+    DBSync.dbs.clear()
+    DBSync.idleIds.clear()
+
+    DBSync.remoteDBKey = null
+  }
+
+  /**
+   * Delay before retrying to reach the remote database, which doubles with every failed attempt
+   * 
+   * @static
+   * @param {number} delay - previous delay (ms), or 0 if first attempt
+   * @returns {number} next delay (ms)
+   * @memberof DBSync
+   */
+  static backOff(delay) {
+    return delay === 0 ? DBSync.BACK_OFF.MIN : Math.min(delay * 2, DBSync.BACK_OFF.MAX)
+  }
+
+  /**
+   * Update the stored state of the sync, and the page action of every tab if it changed
+   * 
+   * @static
+   * @param {Object} values - properties of ChromeRemoteDBStorage.SyncState to change
+   * @returns {Promise}
+   * @memberof DBSync
+   */
+  static setState(values) {
+    return new ChromeRemoteDBStorage().updateSyncState(values).then(({ state }) => {
+      if (state === DBSync.lastState) {
+        return
+      }
+
+      DBSync.lastState = state
+
+      return ChromePageAction.setSyncStateOfAllTabs(state)
+    })
+  }
+
+  // handler events
+
+  /**
+   * Replication of a collection resumed
+   * 
+   * @static
+   * @param {string} collectionId - id of collection
+   * @param {Object} handler - handler of the collection's sync
+   * @returns {Promise}
+   * @memberof DBSync
+   */
+  static onActive(collectionId, handler) {
+    if (DBSync.handlers.get(collectionId) !== handler) {
+      return Promise.resolve()
+    }
+
+    DBSync.idleIds.delete(collectionId)
+
+    return DBSync.setState({ state: ChromeRemoteDBStorage.SYNC_STATE.ACTIVE })
+  }
+
+  /**
+   * Replication of a collection paused, either because the databases are the same, or because the remote database is unreachable
+   * 
+   * @static
+   * @param {string} collectionId - id of collection
+   * @param {Object} handler - handler of the collection's sync
+   * @param {Error} [err] - undefined if the databases are the same
+   * @returns {Promise}
+   * @memberof DBSync
+   */
+  static onPaused(collectionId, handler, err) {
+    // events of a cancelled sync
+    if (DBSync.handlers.get(collectionId) !== handler) {
+      return Promise.resolve()
+    }
+
+    if (err) {
+      DBSync.idleIds.delete(collectionId)
+
+      return DBSync.setState({
+        state: ChromeRemoteDBStorage.SYNC_STATE.PAUSED,
+        error: err.message || err.toString(),
+      })
+    }
+
+    DBSync.idleIds.add(collectionId)
+
+    // idle only once every collection is the same as its remote database
+    if (DBSync.idleIds.size < DBSync.dbs.size) {
+      return Promise.resolve()
+    }
+
+    const ids = Array.from(DBSync.dbs.keys())
+
+    // changes of each local database after its sequence are pending
+    return Promise.all(ids.map(id => DBSync.dbs.get(id).infoDB())).then(infos => {
+      const lastSyncedSeqs = {}
+
+      ids.forEach((id, index) => {
+        lastSyncedSeqs[id] = infos[index].update_seq
+      })
+
+      return DBSync.setState({
+        state: ChromeRemoteDBStorage.SYNC_STATE.IDLE,
+        lastSyncedDate: Date.now(),
+        lastSyncedSeqs: lastSyncedSeqs,
+        error: undefined,
+      })
+    })
+  }
+
+  /**
+   * Replication of a collection stopped by an error that retrying can't fix. The sync of every collection is restarted by the next alarm
+   * 
+   * @static
+   * @param {Object} handler - handler that stopped
+   * @param {Error} err
+   * @returns {Promise}
+   * @memberof DBSync
+   */
+  static onError(handler, err) {
+    if (Array.from(DBSync.handlers.values()).includes(handler)) {
+      DBSync.stop()
+    }
+
+    return DBSync.setState({
+      state: ChromeRemoteDBStorage.SYNC_STATE.ERROR,
+      error: err.message || err.reason || err.toString(),
+    })
+  }
+}
+
+// static properties
+
+// handler of the current sync of each collection (by id)
+DBSync.handlers = new Map()
+// local database of each synced collection (by id), whose PouchDB instance is kept while syncing
+DBSync.dbs = new Map()
+// ids of collections whose databases are the same as their remote database
+DBSync.idleIds = new Set()
+// stringified remote database & ids of collections of current sync
+DBSync.remoteDBKey = null
+// state last shown by page actions
+DBSync.lastState = null
+// promise of last call to start()
+DBSync.queue = Promise.resolve()
+
+// delays (ms) before retrying to reach the remote database
+DBSync.BACK_OFF = {
+  MIN: 1000,
+  MAX: 10 * 60 * 1000,
+}
@@ -22,7 +22,15 @@ ChromeStorageHandler.addListeners()
 ChromeCommandsHandler.addListeners()
 ChromeWebNavigationHandler.addListeners()
 ChromeContextMenusHandler.addListeners()
+ChromeAlarmsHandler.addListeners()
 
 // constant menus
 
-ChromeContextMenusHandler.createPageActionMenu()
\ No newline at end of file
+ChromeContextMenusHandler.createPageActionMenu()
+// constant alarms
+
+ChromeAlarmsHandler.createAlarms()
+
+// sync with remote database (if any). Unloading the event page stops it, so it starts whenever the page loads
+
+DBSync.start()
@@ -0,0 +1,145 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Singleton class for automatic backups, saved into a subfolder of the downloads folder.
+ * Only the most recent backups are kept.
+ * 
+ * @class ScheduledBackup
+ */
+class ScheduledBackup {
+  /**
+   * Back up the database & highlight styles now, then remove the oldest backups
+   * 
+   * @static
+   * @returns {Promise<ChromeBackupStorage.BackupState>} new state
+   * @memberof ScheduledBackup
+   */
+  static run() {
+    const storage = new ChromeBackupStorage()
+
+    return Promise.all([
+      storage.getSchedule(),
+      Backup.create(),
+    ]).then(([schedule, ldjson]) => {
+      const fileName = ScheduledBackup.formatFileName(schedule.folder, new Date())
+
+      return ScheduledBackup.download(ldjson, fileName).then(downloadId => {
+        return storage.getBackupState().then(({ downloadIds }) => {
+          const keptIds = downloadIds.concat(downloadId)
+          const removedIds = keptIds.splice(0, Math.max(0, keptIds.length - Math.max(1, schedule.count)))
+
+          return Promise.all(removedIds.map(id => ScheduledBackup.removeDownload(id))).then(() => {
+            return storage.updateBackupState({
+              lastBackupDate: Date.now(),
+              lastBackupFileName: fileName,
+              downloadIds: keptIds,
+              error: undefined,
+            })
+          })
+        })
+      })
+    }).catch(e => {
+      console.error(e)
+      return storage.updateBackupState({ error: e.message })
+    })
+  }
+
+  /**
+   * Save a backup into a file. It's downloaded from an object url, as data urls are limited to 2MB
+   * 
+   * @static
+   * @param {string} ldjson - backup
+   * @param {string} fileName - path of file, relative to downloads folder
+   * @returns {Promise<number>} id of download
+   * @memberof ScheduledBackup
+   */
+  static download(ldjson, fileName) {
+    const url = URL.createObjectURL(new Blob([ldjson], { type: Backup.MEDIA_TYPE }))
+
+    return new Promise((resolve, reject) => {
+      chrome.downloads.download({
+        url: url,
+        filename: fileName,
+        conflictAction: 'uniquify',
+        saveAs: false,
+      }, downloadId => {
+        if (chrome.runtime.lastError) {
+          URL.revokeObjectURL(url)
+          reject(new Error(chrome.runtime.lastError.message))
+          return
+        }
+
+        // the url is needed until the download completes (or fails)
+        const onChanged = ({ id, state }) => {
+          if (id !== downloadId || !state || state.current === 'in_progress') {
+            return
+          }
+
+          chrome.downloads.onChanged.removeListener(onChanged)
+          URL.revokeObjectURL(url)
+        }
+
+        chrome.downloads.onChanged.addListener(onChanged)
+        resolve(downloadId)
+      })
+    })
+  }
+
+  /**
+   * Delete the file of a download, and remove it from the downloads history.
+   * Files the user already deleted or moved are ignored
+   * 
+   * @static
+   * @param {number} downloadId
+   * @returns {Promise}
+   * @memberof ScheduledBackup
+   */
+  static removeDownload(downloadId) {
+    return new Promise(resolve => {
+      chrome.downloads.removeFile(downloadId, () => {
+        // ignore error
+        void chrome.runtime.lastError
+
+        chrome.downloads.erase({ id: downloadId }, () => resolve())
+      })
+    })
+  }
+
+  /**
+   * Form the path of the file of a backup
+   * 
+   * @static
+   * @param {string} folder - subfolder of downloads folder, which may contain nested folders
+   * @param {Date} date - date of backup
+   * @returns {string}
+   * @memberof ScheduledBackup
+   */
+  static formatFileName(folder, date) {
+    // the path must be relative, and not contain characters invalid on any platform
+    const segments = folder.split(/[\\/]/)
+      .map(s => s.trim().replace(/[<>:"|?*\u0000-\u001f]/g, '_'))
+      .filter(s => s.length > 0 && s !== '.' && s !== '..')
+
+    const pad = n => n.toString().padStart(2, '0')
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`
+
+    segments.push(`${chrome.i18n.getMessage("advanced_database_export_file_name")} ${stamp}.${Backup.FILE_EXTENSION}`)
+
+    return segments.join('/')
+  }
+}
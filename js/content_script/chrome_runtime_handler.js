@@ -53,6 +53,9 @@ class ChromeRuntimeHandler {
    * @prop {Object} range - xrange
    * @prop {string} [highlightId]
    * @prop {string} [className]
+   * @prop {string} [note]
+   * @prop {string} [text]
+   * @prop {Object[]} [selectors]
    * @prop {string} [xpathExpression]
    * @prop {string} [attributeName]
    * 
@@ -65,6 +68,12 @@ class ChromeRuntimeHandler {
    * @memberof ChromeRuntimeHandler
    */
   onMessage(message, sender, sendResponse) {
+    // in the extension's own pages (i.e. pdf viewer) messages sent to the event page are received too, and must be left
+    // for it to answer
+    if (!Object.values(ChromeTabs.MESSAGE_ID).includes(message.id)) {
+      return false
+    }
+
     let response
     let asynchronous = false
 
@@ -76,23 +85,30 @@ class ChromeRuntimeHandler {
 
       case ChromeTabs.MESSAGE_ID.CREATE_HIGHLIGHT:
         // return true if created
-        response = ( /** @type {function(Object, string, string, number): boolean} */ (xrange, highlightId, className, version) => {
-          let range
-
-          // this is likely to cause exception when the underlying DOM has changed
-          try {
-            range = RangeUtils.toRange(xrange, this.document)
-            if (!range) {
-              throw new Error(`Unable to parse xrange`)
-            }
-          } catch (err) {
-            console.error(`*********************Exception Parsing XPath*********************\nHighlightID:${highlightId} \nXPath ${xrange.startContainerPath} \nErrorMsg: ${err.message}`)
+        response = ( /** @type {function(Object, string, string, number, string, Object[]): boolean} */ (xrange, highlightId, className, version, text, selectors) => {
+          const { range, isReanchored } = this.anchorRange(xrange, highlightId, { text, selectors })
+          if (!range) {
             return false
           }
 
+          if (isReanchored) {
+            // describe the range found by its text before it's marked (as it was when the highlight was created),
+            // so the event page can store it, and the XPath resolves directly next time
+            const repairedXRange = RangeUtils.toObject(range)
+            delete repairedXRange.collapsed
+
+            // unhandled promise
+            ChromeRuntimeHandler.repairHighlight(
+              highlightId,
+              repairedXRange,
+              range.toString(),
+              new TextAnchor(this.document).toSelectors(range)
+            ).catch(e => console.error(e))
+          }
+
           const elms = this.createHighlight(range, highlightId, className, version)
           return elms.length > 0
-        })(message.range, message.highlightId, message.className, message.version || 4)
+        })(message.range, message.highlightId, message.className, message.version || 4, message.text, message.selectors)
         break
 
       case ChromeTabs.MESSAGE_ID.UPDATE_HIGHLIGHT:
@@ -100,6 +116,10 @@ class ChromeRuntimeHandler {
         response = this.updateHighlight(message.highlightId, message.className).length > 0
         break
 
+      case ChromeTabs.MESSAGE_ID.UPDATE_HIGHLIGHT_NOTE:
+        response = this.updateHighlightNote(message.highlightId, message.note).length > 0
+        break
+
       case ChromeTabs.MESSAGE_ID.REMOVE_HIGHLIGHT:
         response = this.removeHighlight(message.highlightId).length > 0
         break
@@ -133,6 +153,21 @@ class ChromeRuntimeHandler {
         response = RangeUtils.toObject(this.getSelectionRange())
         break
 
+      case ChromeTabs.MESSAGE_ID.GET_RANGE_SELECTORS:
+        response = ((xrange) => {
+          let range
+
+          try {
+            range = RangeUtils.toRange(xrange, this.document)
+          } catch (e) {
+            return null
+          }
+
+          // return selectors of range, or null if fail
+          return range ? new TextAnchor(this.document).toSelectors(range) : null
+        })(message.range)
+        break
+
       case ChromeTabs.MESSAGE_ID.GET_RANGE_TEXT:
         response = ((xrange) => {
           const range = RangeUtils.toRange(xrange, this.document)
@@ -143,7 +178,7 @@ class ChromeRuntimeHandler {
         break
 
       case ChromeTabs.MESSAGE_ID.SCROLL_TO_HIGHLIGHT:
-        response = this.scrollToHighlight(message.highlightId)
+        response = this.scrollToHighlight(message.highlightId, { flash: message.flash })
         break
 
       case ChromeTabs.MESSAGE_ID.GET_HIGHLIGHT_OFFSET:
@@ -178,6 +213,21 @@ class ChromeRuntimeHandler {
         response = this.getHoveredHighlightID()
         break
 
+      case ChromeTabs.MESSAGE_ID.GET_FRAME_PATH:
+        // frameElement is null for the top level frame, and frames whose parent isn't same-origin
+        response = (window.frameElement && NodeUtils.path(window.frameElement)) || null
+        break
+
+      case ChromeTabs.MESSAGE_ID.GET_HIGHLIGHT_IDS:
+        response = this.getHighlightIds()
+        break
+
+      case ChromeTabs.MESSAGE_ID.WAIT_FOR_RENDER:
+        // respond when the document stops changing
+        this.waitForRender(message.quietPeriod, message.timeout).then(() => sendResponse(true))
+        asynchronous = true
+        break
+
       default:
         console.error(`Unhandled message`, message)
         break
@@ -193,6 +243,46 @@ class ChromeRuntimeHandler {
 
   //
 
+  /**
+   * Get the range a highlight should occupy.
+   * The XPath range is used if it resolves, and its text is the same as the highlight's.
+   * Otherwise the text is searched for (approximately), with the help of the selectors if present.
+   * 
+   * @private
+   * @param {Object} xrange - range with XPath containers
+   * @param {string} highlightId - id of highlight (for logging)
+   * @param {Object} [fallback] - { text, selectors } of the highlight's 'create' document
+   * @returns {{range: Range|null, isReanchored: boolean}} range (null if the highlight can't be anchored), and true if it wasn't found via the XPath range
+   * @memberof ChromeRuntimeHandler
+   */
+  anchorRange(xrange, highlightId, { text, selectors } = {}) {
+    let range = null
+
+    // this is likely to cause exception when the underlying DOM has changed
+    try {
+      range = RangeUtils.toRange(xrange, this.document)
+    } catch (err) {
+      console.error(`*********************Exception Parsing XPath*********************\nHighlightID:${highlightId} \nXPath ${xrange.startContainerPath} \nErrorMsg: ${err.message}`)
+    }
+
+    const quote = TextAnchor.getSelector(selectors, TextAnchor.SELECTOR_TYPE.TEXT_QUOTE)
+    const exact = (quote && quote.exact) || text
+
+    // without text there's nothing to verify or search for
+    if (typeof exact !== 'string' || exact.length === 0 ||
+      (range && TextAnchor.isSameText(range.toString(), exact))) {
+      return { range, isReanchored: false }
+    }
+
+    // documents created before selectors existed can still be searched for by their text
+    range = new TextAnchor(this.document).toRange(quote ? selectors : [{
+      type: TextAnchor.SELECTOR_TYPE.TEXT_QUOTE,
+      exact: exact
+    }])
+
+    return { range, isReanchored: range !== null }
+  }
+
   /**
    * Mark a range of the document
    * 
@@ -250,11 +340,39 @@ class ChromeRuntimeHandler {
    */
   updateHighlight(highlightId, newClassName) {
     // don't remove these classes
-    const whitelist = [this.styleSheetManager.sharedHighlightClassName]
+    const whitelist = [
+      this.styleSheetManager.sharedHighlightClassName,
+      StyleSheetManager.CLASS_NAME.NOTE
+    ]
 
     return new Marker(this.document).update(highlightId, newClassName, whitelist)
   }
 
+  /**
+   * Set or clear the note of a highlight, shown as the tooltip of its mark elements
+   * 
+   * @private
+   * @param {string} highlightId - #id of any mark element
+   * @param {string} [note] - note text. If falsy, remove any existing note
+   * @returns {HTMLElement[]} - marked elements
+   * @memberof ChromeRuntimeHandler
+   */
+  updateHighlightNote(highlightId, note) {
+    const elms = new Marker(this.document).getMarkElements(highlightId)
+
+    for (const elm of elms) {
+      if (note) {
+        elm.title = note
+        elm.classList.add(StyleSheetManager.CLASS_NAME.NOTE)
+      } else {
+        elm.removeAttribute('title')
+        elm.classList.remove(StyleSheetManager.CLASS_NAME.NOTE)
+      }
+    }
+
+    return elms
+  }
+
   /**
    * Remove a highlight from the DOM
    * NB: this is NOT the static version, which requests the event page delete the highlight from the page and the DB
@@ -346,17 +464,26 @@ class ChromeRuntimeHandler {
    * Scroll element into view
    * 
    * @param {string} highlightId - #id of (first) highlight in chain
+   * @param {Object} [options]
+   * @param {boolean} [options.flash] - flash every element of the highlight, to show where it is
    * @returns {boolean} true if element selectable
    * @memberof ChromeRuntimeHandler
    */
-  scrollToHighlight(highlightId) {
+  scrollToHighlight(highlightId, { flash = false } = {}) {
     const elm = document.getElementById(highlightId)
 
     if (!elm) {
       return false
     }
 
-    elm.scrollIntoView()
+    elm.scrollIntoView({ block: flash ? 'center' : 'start' })
+
+    if (flash) {
+      for (const markElm of new Marker(this.document).getMarkElements(highlightId)) {
+        markElm.animate(ChromeRuntimeHandler.FLASH_ANIMATION.KEYFRAMES, ChromeRuntimeHandler.FLASH_ANIMATION.OPTIONS)
+      }
+    }
+
     return true
   }
 
@@ -415,6 +542,56 @@ class ChromeRuntimeHandler {
     // return elm && this.styleSheetManager.elementContainsSharedHighlightClass(elm)
   }
 
+  /**
+   * Get the ids of all the highlights in the DOM
+   * 
+   * @returns {string[]} #id of the first mark element of each highlight
+   * @memberof ChromeRuntimeHandler
+   */
+  getHighlightIds() {
+    // only the first mark element of a highlight has an id
+    return Array.from(this.document.querySelectorAll(`.${this.styleSheetManager.sharedHighlightClassName}[id]`))
+      .map(elm => elm.id)
+  }
+
+  /**
+   * Wait for the document to finish rendering, i.e. after a client-side route change of a single-page app
+   * 
+   * @param {number} quietPeriod - ms without any change to the document after which it's considered rendered
+   * @param {number} timeout - maximum ms to wait, for documents that never stop changing
+   * @returns {Promise} resolves when rendered
+   * @memberof ChromeRuntimeHandler
+   */
+  waitForRender(quietPeriod, timeout) {
+    return new Promise(resolve => {
+      let quietTimer
+
+      const done = () => {
+        observer.disconnect()
+
+        clearTimeout(quietTimer)
+        clearTimeout(timeoutTimer)
+
+        resolve()
+      }
+
+      // every change restarts the quiet period
+      const observer = new MutationObserver(() => {
+        clearTimeout(quietTimer)
+        quietTimer = setTimeout(done, quietPeriod)
+      })
+
+      observer.observe(this.document.documentElement, {
+        childList: true,
+        characterData: true,
+        subtree: true,
+      })
+
+      quietTimer = setTimeout(done, quietPeriod)
+      const timeoutTimer = setTimeout(done, timeout)
+    })
+  }
+
   // messages to event page
 
   /**
@@ -460,6 +637,62 @@ class ChromeRuntimeHandler {
 
     return ChromeRuntimeHandler.sendMessage(message)
   }
+
+  /**
+   * Send 'repair highlight' message to event page, telling it to store the range at which a highlight was found
+   * after its stored range failed to resolve
+   * 
+   * @static
+   * @private 
+   * @param {string} highlightId 
+   * @param {Object} xrange - new range, with XPath containers
+   * @param {string} text - text of new range
+   * @param {Object[]} selectors - text quote & position selectors of new range
+   * @returns {Promise<boolean>} true if repaired
+   * @memberof ChromeRuntimeHandler
+   */
+  static repairHighlight(highlightId, xrange, text, selectors) {
+    const message = {
+      id: ChromeRuntimeHandler.MESSAGE_ID.REPAIR_HIGHLIGHT,
+      highlightId: highlightId,
+      range: xrange,
+      text: text,
+      selectors: selectors,
+    }
+
+    return ChromeRuntimeHandler.sendMessage(message)
+  }
+
+  /**
+   * Send 'playback documents' message to event page, telling it to play back the highlights of the page.
+   * Used by pages that render their text after loading (i.e. pdf viewer)
+   * 
+   * @static
+   * @returns {Promise<boolean>} true if played back
+   * @memberof ChromeRuntimeHandler
+   */
+  static playbackDocuments() {
+    const message = {
+      id: ChromeRuntimeHandler.MESSAGE_ID.PLAYBACK_DOCUMENTS,
+    }
+
+    return ChromeRuntimeHandler.sendMessage(message)
+  }
+
+  /**
+   * Send 'get collection id' message to event page, asking it for the id of the collection of the page's highlights
+   * 
+   * @static
+   * @returns {Promise<string>} id of collection
+   * @memberof ChromeRuntimeHandler
+   */
+  static getCollectionId() {
+    const message = {
+      id: ChromeRuntimeHandler.MESSAGE_ID.GET_COLLECTION_ID,
+    }
+
+    return ChromeRuntimeHandler.sendMessage(message)
+  }
 }
 
 // static properties
@@ -467,6 +700,15 @@ class ChromeRuntimeHandler {
 // id for messages sent TO background page
 ChromeRuntimeHandler.MESSAGE_ID = {
   DELETE_HIGHLIGHT: 'delete_highlight',
+  REPAIR_HIGHLIGHT: 'repair_highlight',
+  PLAYBACK_DOCUMENTS: 'playback_documents',
+  GET_COLLECTION_ID: 'get_collection_id',
+}
+
+// flashing a highlight that was scrolled to
+ChromeRuntimeHandler.FLASH_ANIMATION = {
+  KEYFRAMES: [{ opacity: 1 }, { opacity: 0.2 }, { opacity: 1 }],
+  OPTIONS: { duration: 500, iterations: 3 },
 }
 
 ChromeRuntimeHandler.DATA_ATTRIBUTE_NAME = {
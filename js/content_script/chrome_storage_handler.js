@@ -28,6 +28,8 @@ class ChromeStorageHandler {
    */
   constructor(styleSheetManager) {
     this.styleSheetManager = styleSheetManager
+    // highlight definitions & shared style last applied to the style element
+    this.items = {}
   }
 
   /**
@@ -60,24 +62,34 @@ class ChromeStorageHandler {
     if (areaName !== 'sync') {
       return Promise.resolve()
     }
+
+    // ignore changes that don't affect styles. changes isn't defined when we manually call this (to fill the empty style element)
+    if (typeof changes === 'object' && !Object.keys(changes).some(ChromeStorageHandler.isStyleKey)) {
+      return Promise.resolve()
+    }
     
     let enableHighlightBoxShadow
 
-    // if changes isn't defined (which only happens when we manually call this), load values from storage
-    return (typeof changes === 'object' ?
-      Promise.resolve(changes) :
-      new ChromeHighlightStorage().getAll().then(items => {
-        // form changes object with the current values from storage
-        return {
-          [ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE]: {
-              newValue: items[ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE]
-          },
-          [ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]: {
-              newValue: items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
-          },
+    // the definitions are those of the page's collection, which may have changed, so always load values from storage.
+    // If the event page can't be asked for the collection, the active collection is assumed
+    return ChromeRuntimeHandler.getCollectionId().catch(() => undefined).then(collectionId => {
+      return new ChromeHighlightStorage(collectionId).getAll()
+    }).then(items => {
+      // form changes object with the values last applied, and the current values from storage
+      changes = {}
+
+      for (const key of [
+        ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE,
+        ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS,
+      ]) {
+        changes[key] = {
+          oldValue: this.items[key],
+          newValue: items[key],
         }
-      }).then(c => changes = c)
-    ).then(() => {
+      }
+
+      this.items = items
+    }).then(() => {
       return new ChromeStorage().get(ChromeStorage.KEYS.ENABLE_HIGHLIGHT_BOX_SHADOW)
     }).then(enable => {
       enableHighlightBoxShadow = enable 
@@ -136,4 +148,23 @@ class ChromeStorageHandler {
       this.styleSheetManager.textualizeStyleElement()
     })
   } // end onStorageChange()
+
+  // static
+
+  /**
+   * Does a change to the value of a key (of the sync area) affect the styles of the page's highlights
+   * 
+   * @static
+   * @param {string} key - storage key
+   * @returns {boolean}
+   * @memberof ChromeStorageHandler
+   */
+  static isStyleKey(key) {
+    return ChromeHighlightStorage.isDefinitionsKey(key) || [
+      ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE,
+      ChromeCollectionStorage.KEYS.COLLECTIONS,
+      ChromeCollectionStorage.KEYS.ACTIVE_COLLECTION,
+      ChromeCollectionStorage.KEYS.COLLECTION_RULES,
+    ].includes(key)
+  }
 }
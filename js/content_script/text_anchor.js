@@ -0,0 +1,521 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Methods for describing a range by its text (W3C TextQuoteSelector & TextPositionSelector),
+ * and for finding that text again when the XPath of the range no longer resolves.
+ * Offsets refer to the concatenated data of the document body's text nodes, or of the page's text nodes
+ * if the document is paged (i.e. the pdf viewer) and the range is within a single page.
+ *
+ * @class TextAnchor
+ */
+class TextAnchor {
+  /**
+   * Creates an instance of TextAnchor.
+   * @param {Document} document
+   * @memberof TextAnchor
+   */
+  constructor(document) {
+    this.document = document
+  }
+
+  /**
+   * @typedef {Object} TextQuoteSelector
+   * @prop {string} type - 'TextQuoteSelector'
+   * @prop {string} exact - text of range
+   * @prop {string} prefix - text immediately before range
+   * @prop {string} suffix - text immediately after range
+   */
+
+  /**
+   * @typedef {Object} TextPositionSelector
+   * @prop {string} type - 'TextPositionSelector'
+   * @prop {number} start - offset of first character of range in the document's (or page's) text
+   * @prop {number} end - offset after the last character of range in the document's (or page's) text
+   */
+
+  /**
+   * @typedef {Object} FragmentSelector
+   * @prop {string} type - 'FragmentSelector'
+   * @prop {string} conformsTo - specification of value (PDF fragment identifiers)
+   * @prop {string} value - 'page=' followed by number of page
+   */
+
+  /**
+   * Describe a range by its text and position in the document's text
+   *
+   * @param {Range} range - range to describe
+   * @returns {Array<FragmentSelector|TextQuoteSelector|TextPositionSelector>} selectors, or empty array if range can't be described.
+   *  The fragment selector is only present for ranges within a single page of a paged document.
+   * @memberof TextAnchor
+   */
+  toSelectors(range) {
+    const page = TextAnchor.getPageElement(range.startContainer)
+    const isInPage = page !== null && page === TextAnchor.getPageElement(range.endContainer)
+
+    const { text, nodes } = this._index(isInPage ? page : undefined)
+
+    const start = this._textOffset(nodes, text.length, range.startContainer, range.startOffset)
+    const end = this._textOffset(nodes, text.length, range.endContainer, range.endOffset)
+
+    if (end <= start) {
+      return []
+    }
+
+    const selectors = [
+      {
+        type: TextAnchor.SELECTOR_TYPE.TEXT_QUOTE,
+        exact: text.slice(start, end),
+        prefix: text.slice(Math.max(0, start - TextAnchor.CONTEXT_LENGTH), start),
+        suffix: text.slice(end, end + TextAnchor.CONTEXT_LENGTH),
+      },
+      {
+        type: TextAnchor.SELECTOR_TYPE.TEXT_POSITION,
+        start: start,
+        end: end,
+      }
+    ]
+
+    if (isInPage) {
+      selectors.unshift({
+        type: TextAnchor.SELECTOR_TYPE.FRAGMENT,
+        conformsTo: TextAnchor.PDF_FRAGMENT_SPECIFICATION,
+        value: `page=${page.getAttribute(TextAnchor.PAGE_NUMBER_ATTRIBUTE_NAME)}`,
+      })
+    }
+
+    return selectors
+  }
+
+  /**
+   * Find the range best described by selectors, searching approximately if the text isn't exactly in the document.
+   * If the selectors identify a page of the document, it is searched before the rest of the document.
+   *
+   * @param {Array<FragmentSelector|TextQuoteSelector|TextPositionSelector>} selectors - selectors as created by `toSelectors()`.
+   *  Only the quote selector is required.
+   * @returns {Range|null} range, or null if not found
+   * @memberof TextAnchor
+   */
+  toRange(selectors) {
+    const quote = TextAnchor.getSelector(selectors, TextAnchor.SELECTOR_TYPE.TEXT_QUOTE)
+    if (!quote || !quote.exact) {
+      return null
+    }
+
+    const position = TextAnchor.getSelector(selectors, TextAnchor.SELECTOR_TYPE.TEXT_POSITION)
+    const page = this._getPageElement(TextAnchor.getSelector(selectors, TextAnchor.SELECTOR_TYPE.FRAGMENT))
+
+    let { text, nodes } = this._index(page || undefined)
+    let match = TextAnchor.search(text, quote, position && position.start)
+
+    if (!match && page) {
+      // position is relative to the page, so means nothing in the document's text
+      ({ text, nodes } = this._index())
+      match = TextAnchor.search(text, quote)
+    }
+
+    if (!match) {
+      return null
+    }
+
+    const range = this.document.createRange()
+
+    range.setStart(...this._boundary(nodes, match.start, false))
+    range.setEnd(...this._boundary(nodes, match.end, true))
+
+    return range
+  }
+
+  //
+
+  /**
+   * Get the text of the document body (or an element of it), and the text nodes from which it is formed
+   *
+   * @private
+   * @param {Element} [root] - element to index. Defaults to the document's body
+   * @returns {{text: string, nodes: Array<{node: Text, start: number}>}}
+   * @memberof TextAnchor
+   */
+  _index(root = this.document.body || this.document.documentElement) {
+    const nodes = []
+
+    const walker = this.document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => {
+        for (let elm = node.parentElement; elm && elm !== root; elm = elm.parentElement) {
+          if (TextAnchor.IGNORED_TAG_NAMES.includes(elm.tagName)) {
+            return NodeFilter.FILTER_REJECT
+          }
+        }
+
+        return NodeFilter.FILTER_ACCEPT
+      }
+    })
+
+    let text = ""
+
+    while (walker.nextNode()) {
+      nodes.push({ node: walker.currentNode, start: text.length })
+      text += walker.currentNode.data
+    }
+
+    return { text, nodes }
+  }
+
+  /**
+   * Get the page element identified by a fragment selector
+   *
+   * @private
+   * @param {FragmentSelector} [fragment]
+   * @returns {Element|null} page element, or null if the selector doesn't identify a page of the document
+   * @memberof TextAnchor
+   */
+  _getPageElement(fragment) {
+    const match = fragment && /^page=(\d+)$/.exec(fragment.value)
+    if (!match) {
+      return null
+    }
+
+    return this.document.querySelector(`[${TextAnchor.PAGE_NUMBER_ATTRIBUTE_NAME}="${match[1]}"]`)
+  }
+
+  /**
+   * Convert a range boundary point to an offset in the document's text
+   *
+   * @private
+   * @param {Array<{node: Text, start: number}>} nodes - indexed text nodes
+   * @param {number} length - length of document text
+   * @param {Node} container - container of boundary point
+   * @param {number} offset - offset of boundary point
+   * @returns {number} offset in text
+   * @memberof TextAnchor
+   */
+  _textOffset(nodes, length, container, offset) {
+    const point = this.document.createRange()
+    point.setStart(container, offset)
+
+    for (const { node, start } of nodes) {
+      if (node === container) {
+        return start + offset
+      }
+
+      // first text node starting at or after the boundary point
+      if (point.comparePoint(node, 0) >= 0) {
+        return start
+      }
+    }
+
+    return length
+  }
+
+  /**
+   * Convert an offset in the document's text to a range boundary point
+   *
+   * @private
+   * @param {Array<{node: Text, start: number}>} nodes - indexed text nodes
+   * @param {number} offset - offset in text
+   * @param {boolean} isEnd - true if the point ends a range, in which case it prefers the end of a text node to the start of the next
+   * @returns {Array} [container, offset] arguments
+   * @memberof TextAnchor
+   */
+  _boundary(nodes, offset, isEnd) {
+    for (const { node, start } of nodes) {
+      const end = start + node.length
+
+      if (isEnd ? (offset > start && offset <= end) : (offset >= start && offset < end)) {
+        return [node, offset - start]
+      }
+    }
+
+    const { node } = nodes[nodes.length - 1]
+    return [node, node.length]
+  }
+
+  // static
+
+  /**
+   * Get a selector of a type
+   *
+   * @static
+   * @param {Object[]} [selectors]
+   * @param {string} type - value of SELECTOR_TYPE
+   * @returns {Object|undefined}
+   * @memberof TextAnchor
+   */
+  static getSelector(selectors, type) {
+    return Array.isArray(selectors) ? selectors.find(s => s.type === type) : undefined
+  }
+
+  /**
+   * Get the page element containing a node, if the document is paged
+   *
+   * @static
+   * @param {Node} node
+   * @returns {Element|null} page element, or null if the node isn't in a page
+   * @memberof TextAnchor
+   */
+  static getPageElement(node) {
+    const elm = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement
+
+    return (elm && elm.closest(`[${TextAnchor.PAGE_NUMBER_ATTRIBUTE_NAME}]`)) || null
+  }
+
+  /**
+   * Compare text ignoring differences in whitespace
+   *
+   * @static
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   * @memberof TextAnchor
+   */
+  static isSameText(a, b) {
+    return TextAnchor.normalize(a).text.trim() === TextAnchor.normalize(b).text.trim()
+  }
+
+  /**
+   * Collapse each run of whitespace to a single space
+   *
+   * @static
+   * @param {string} text
+   * @returns {{text: string, offsets: number[]}} normalized text, and the offset in the original text of each of its characters
+   * @memberof TextAnchor
+   */
+  static normalize(text) {
+    let normalized = ""
+    const offsets = []
+
+    for (let i = 0; i < text.length; i++) {
+      if (/\s/.test(text[i])) {
+        if (normalized.endsWith(" ")) {
+          continue
+        }
+
+        normalized += " "
+      } else {
+        normalized += text[i]
+      }
+
+      offsets.push(i)
+    }
+
+    return { text: normalized, offsets }
+  }
+
+  /**
+   * Find the best match of a quote in text. In order of preference:
+   *  1 - exact occurrences of the quote
+   *  2 - occurrences of the quote ignoring whitespace differences
+   *  3 - approximate matches, found from the head and tail of the quote, if the text is similar enough
+   * Candidates are ranked by how well their context matches prefix & suffix, then by distance from the expected position.
+   *
+   * @static
+   * @param {string} text - text to search
+   * @param {TextQuoteSelector} quote - quote to find
+   * @param {number} [expectedStart] - expected offset of match in text
+   * @returns {{start: number, end: number}|null} offsets of match in text, or null if not found
+   * @memberof TextAnchor
+   */
+  static search(text, { exact, prefix = "", suffix = "" }, expectedStart) {
+    if (!exact) {
+      return null
+    }
+
+    const score = ({ start, end }, similarity = 1) => {
+      // length of the common part of prefix and text before candidate, from its end
+      let p = 0
+      while (p < prefix.length && start - p > 0 && prefix[prefix.length - 1 - p] === text[start - 1 - p]) {
+        p++
+      }
+
+      let s = 0
+      while (s < suffix.length && end + s < text.length && suffix[s] === text[end + s]) {
+        s++
+      }
+
+      const proximity = typeof expectedStart === 'number' ?
+        1 - Math.min(1, Math.abs(start - expectedStart) / Math.max(1, text.length)) :
+        0
+
+      return similarity * 2 +
+        (prefix.length > 0 ? p / prefix.length : 0) +
+        (suffix.length > 0 ? s / suffix.length : 0) +
+        proximity * 0.5
+    }
+
+    const best = (candidates, similarity) => {
+      let result = null
+      let bestScore = -1
+
+      for (const candidate of candidates) {
+        const value = score(candidate, similarity ? similarity(candidate) : 1)
+
+        if (value > bestScore) {
+          bestScore = value
+          result = candidate
+        }
+      }
+
+      return result
+    }
+
+    // 1 - exact
+    const candidates = TextAnchor._indexesOf(text, exact).map(start => ({ start, end: start + exact.length }))
+    if (candidates.length > 0) {
+      return best(candidates)
+    }
+
+    // 2 - ignoring whitespace
+    const normalizedText = TextAnchor.normalize(text)
+    const normalizedExact = TextAnchor.normalize(exact).text.trim()
+    if (normalizedExact.length === 0) {
+      return null
+    }
+
+    const toOriginal = (start, end) => ({
+      start: normalizedText.offsets[start],
+      end: normalizedText.offsets[end - 1] + 1,
+    })
+
+    const normalizedCandidates = TextAnchor._indexesOf(normalizedText.text, normalizedExact)
+      .map(start => toOriginal(start, start + normalizedExact.length))
+    if (normalizedCandidates.length > 0) {
+      return best(normalizedCandidates)
+    }
+
+    // 3 - approximate: the head and tail of the quote survive, with a change between them
+    const chunkLength = TextAnchor.APPROXIMATE_CHUNK_LENGTH
+    if (normalizedExact.length < chunkLength * 2) {
+      return null
+    }
+
+    const head = normalizedExact.slice(0, chunkLength)
+    const tail = normalizedExact.slice(-chunkLength)
+    const tailStarts = TextAnchor._indexesOf(normalizedText.text, tail)
+    const approximateCandidates = []
+
+    for (const headStart of TextAnchor._indexesOf(normalizedText.text, head).slice(0, TextAnchor.MAX_APPROXIMATE_CANDIDATES)) {
+      // nearest tail after head whose length is comparable with the quote
+      const tailStart = tailStarts.find(t => t >= headStart + chunkLength)
+      if (typeof tailStart === 'undefined') {
+        continue
+      }
+
+      const length = tailStart + chunkLength - headStart
+      if (Math.abs(length - normalizedExact.length) > normalizedExact.length * TextAnchor.MAX_LENGTH_DIFFERENCE) {
+        continue
+      }
+
+      approximateCandidates.push(Object.assign({
+        normalizedStart: headStart,
+        normalizedEnd: headStart + length,
+      }, toOriginal(headStart, headStart + length)))
+    }
+
+    const similarity = ({ normalizedStart, normalizedEnd }) => TextAnchor.similarity(
+      normalizedExact,
+      normalizedText.text.slice(normalizedStart, normalizedEnd)
+    )
+
+    const result = best(approximateCandidates.filter(c => similarity(c) >= TextAnchor.MIN_SIMILARITY), similarity)
+
+    return result && { start: result.start, end: result.end }
+  }
+
+  /**
+   * Similarity of two strings, as the Dice coefficient of their character bigrams
+   *
+   * @static
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} 0 (nothing in common) to 1 (same)
+   * @memberof TextAnchor
+   */
+  static similarity(a, b) {
+    if (a === b) {
+      return 1
+    }
+
+    if (a.length < 2 || b.length < 2) {
+      return 0
+    }
+
+    const bigrams = new Map()
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.substr(i, 2)
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1)
+    }
+
+    let intersection = 0
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.substr(i, 2)
+      const count = bigrams.get(bigram) || 0
+
+      if (count > 0) {
+        bigrams.set(bigram, count - 1)
+        intersection++
+      }
+    }
+
+    return (2 * intersection) / (a.length + b.length - 2)
+  }
+
+  /**
+   * Get the offsets of every occurrence of a string
+   *
+   * @static
+   * @private
+   * @param {string} text
+   * @param {string} searchString
+   * @returns {number[]}
+   * @memberof TextAnchor
+   */
+  static _indexesOf(text, searchString) {
+    const indexes = []
+
+    for (let i = text.indexOf(searchString); i !== -1; i = text.indexOf(searchString, i + 1)) {
+      indexes.push(i)
+    }
+
+    return indexes
+  }
+}
+
+// static properties
+
+TextAnchor.SELECTOR_TYPE = {
+  FRAGMENT: 'FragmentSelector',
+  TEXT_QUOTE: 'TextQuoteSelector',
+  TEXT_POSITION: 'TextPositionSelector',
+}
+
+// specification to which the value of a page fragment selector conforms
+TextAnchor.PDF_FRAGMENT_SPECIFICATION = 'http://tools.ietf.org/rfc/rfc3778'
+
+// attribute of the elements of a paged document (i.e. the pdf viewer) containing each page
+TextAnchor.PAGE_NUMBER_ATTRIBUTE_NAME = 'data-page-number'
+
+// number of characters of context stored either side of the quote
+TextAnchor.CONTEXT_LENGTH = 32
+
+// text of these elements isn't part of the document's text
+TextAnchor.IGNORED_TAG_NAMES = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']
+
+// approximate matching
+TextAnchor.APPROXIMATE_CHUNK_LENGTH = 16
+TextAnchor.MAX_APPROXIMATE_CANDIDATES = 100
+TextAnchor.MAX_LENGTH_DIFFERENCE = 0.25
+TextAnchor.MIN_SIMILARITY = 0.75
@@ -18,7 +18,13 @@
 const appModule = angular.module('optionsApp', [
     'stylesControllers',
     'bookmarksControllers',
+    'searchControllers',
     'advancedControllers',
+    'syncControllers',
+    'matchRulesControllers',
+    'templatesControllers',
+    'trashControllers',
+    'collectionsControllers',
     'aboutControllers',
 
     'ui-rangeSlider',
@@ -75,6 +75,10 @@ angular.module('aboutControllers', []).controller('about', ["$scope", function (
       href: "http://jquery.com/",
       text: "jQuery"
     },
+    {
+      href: "https://mozilla.github.io/pdf.js/",
+      text: "PDF.js"
+    },
     {
       href: "http://pouchdb.com/",
       text: "PouchDB"
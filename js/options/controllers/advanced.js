@@ -26,79 +26,155 @@ angular.module('advancedControllers', []).controller('advanced', ["$scope", func
 		constructor(scope) {
 			this.scope = scope
 
+			// merge with existing highlights (rather than replace them)
+			this.scope.importMode = Controller.IMPORT_MODE.MERGE
+
+			// filters of exported highlights. classNames maps the class name of each style to true if checked
+			this.scope.exportFilters = { domain: "", classNames: {} }
+			this.scope.highlightDefinitions = []
+
+			// spreadsheet export. columns maps each column to true if checked. The 'tab' delimiter is the tab character
+			this.scope.csvColumns = Object.values(HighlightExport.CSV_COLUMN)
+			this.scope.csvOptions = {
+				columns: this.scope.csvColumns.reduce((columns, column) => Object.assign(columns, { [column]: true }), {}),
+				delimiter: ',',
+				encoding: HighlightExport.CSV_ENCODING.UTF8_BOM,
+			}
+
+			// automatic backups
+			this.scope.backupSchedule = Object.assign({}, ChromeBackupStorage.DEFAULT_SCHEDULE)
+			this.scope.backupState = { downloadIds: [] }
+			this.scope.isBackupScheduleModified = false
+			this.scope.isBackingUp = false
+
 			for (const func of [
 				this.onClickExport,
-				this.onFilesChange
+				this.onFilesChange,
+				this.onClickCommitImport,
+				this.onClickCancelImport,
+				this.onClickSaveBackupSchedule,
+				this.onClickExportMarkdownVault,
+				this.onClickExportWebAnnotations,
+				this.onClickExportCSV,
+				this.isAnyCSVColumnChecked,
+				this.onWebAnnotationFilesChange,
+				this.onClickBackUpNow,
 			]) {
 				this.scope[func.name] = func.bind(this)
 			}
 
 			// TODO: move this to html
-			document.querySelector('#files').addEventListener('change', this.onFilesChange)
+			document.querySelector('#files').addEventListener('change', this.scope.onFilesChange)
+			document.querySelector('#web-annotation-files').addEventListener('change', this.scope.onWebAnnotationFilesChange)
 		}
 
-    /**
-     * @typedef {Object} Header
-     * @prop {string} magic
-     * @prop {number} version
-     */
+		/**
+		 * Async initializer
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		init() {
+			const backupStorage = new ChromeBackupStorage()
+
+			// the event page updates the state after each backup
+			chrome.storage.onChanged.addListener((changes, areaName) => {
+				if (areaName !== 'local' || !changes[ChromeBackupStorage.KEYS.BACKUP_STATE]) {
+					return
+				}
+
+				this.scope.backupState = changes[ChromeBackupStorage.KEYS.BACKUP_STATE].newValue || { downloadIds: [] }
+				this.scope.$apply()
+			})
+
+			return Promise.all([
+				new ChromeHighlightStorage().getAll(),
+				backupStorage.getSchedule(),
+				backupStorage.getBackupState(),
+			]).then(([items, backupSchedule, backupState]) => {
+				this.scope.highlightDefinitions = items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
+				this.scope.backupSchedule = backupSchedule
+				this.scope.backupState = backupState
+
+				// any later change is a modification
+				this.scope.$watch('backupSchedule', (newSchedule, oldSchedule) => {
+					if (newSchedule !== oldSchedule) {
+						this.scope.isBackupScheduleModified = true
+					}
+				}, true)
+
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * @typedef {Object} MergePalette
+		 * @prop {string} collectionId - id of the collection whose own styles are merged, or of the default collection for the shared styles
+		 * @prop {string} title - title of the collection
+		 * @prop {HighlightDefinitionFactory.HighlightDefinition[]} addedDefinitions - styles whose class name doesn't exist
+		 * @prop {HighlightDefinitionFactory.HighlightDefinition[]} skippedDefinitions - styles that already exist
+		 * @prop {Array<{definition: Object, otherDefinition: Object, resolution: string}>} conflicts - styles with an existing class name,
+		 *	but a different look, and how each is resolved (one of Controller.CONFLICT_RESOLUTION)
+		 */
+
+		/**
+		 * @typedef {Object} MergePreview
+		 * @prop {Array<{collection: ChromeCollectionStorage.Collection, docs: DB.Document[], paletteId: string|null}>} collections - all
+		 *	documents of the backup by collection, and the id of the palette their styles merge into (null if the collection is added
+		 *	with its own styles)
+		 * @prop {number} addedCount - number of highlights whose documents aren't already in the database
+		 * @prop {number} skippedCount - number of highlights whose documents are (duplicates)
+		 * @prop {MergePalette[]} palettes - styles merged into the shared styles (first), and into those of existing collections with their own
+		 */
+
+		/**
+		 * @typedef {Object} ImportPreview
+		 * @prop {string} fileName
+		 * @prop {Backup.ParsedBackup} backup
+		 * @prop {string} mode - mode of import (one of Controller.IMPORT_MODE)
+		 * @prop {string[]} issues - descriptions of the issues of the backup
+		 */
 
     /**
      * A file was selected for import
      * 
      * @memberof Controller
      */
-		onFilesChange() {
-			// @ts-ignore
-			const file = /** @type {DataTransfer} */ (event.target).files[0]
-			const reader = new FileReader()
+		onFilesChange(event) {
+			const input = /** @type {HTMLInputElement} */ (event.target)
+			const file = input.files[0]
+
+			if (!file) {
+				return
+			}
 
-			// definitions have to be parsed before they're used
-			let storageItems
+			const reader = new FileReader()
 
 			// Closure to capture the file information.
 			reader.onload = () => {
-				// newline delimited json
-				const ldjson = /** @type {FileReader} */ (event.target).result
-
-				// 将JSON数据中的 /r/n 替换 为 /n
-				var jsonStr = ldjson
-				jsonStr = jsonStr.replaceAll("\r\n", "\n");
-				const jsonObjects = jsonStr.split('\n').filter(line => line.length > 0)
-
-				// newline delimited json
-				return new Promise((resolve, reject) => {
-					// validate header
-
-					/** @type {Header} */
-					const header = JSON.parse(jsonObjects.shift())
-
-					if (header.magic !== Controller.MAGIC || header.version !== 1) {
-						reject({
-							status: 403,
-							message: "Invalid File"
-						});
-					} else {
-						resolve()
+				// allow the same file to be selected again
+				input.value = ''
+
+				return new Promise(resolve => {
+					resolve(Backup.parse(/** @type {string} */ (reader.result)))
+				}).then(backup => {
+					/** @type {ImportPreview} */
+					this.scope.importPreview = {
+						fileName: file.name,
+						backup: backup,
+						mode: this.scope.importMode,
+						issues: backup.issues.map(issue => Controller.formatIssue(issue)),
 					}
-				}).then(() => {
-					//     return new Promise(resolve => { chrome.runtime.getBackgroundPage(p => resolve(p)) })
-					// }).then(({factory}) => {
-					// the first line-delimited json object is the storage highlights object. 
-					// Don't use them until the database loads successfully remainder is the database
-					storageItems = JSON.parse(jsonObjects.shift());						
-
-					// load remainder, which is just the replicated stream
-					return new DB().loadDB(jsonObjects.join('\n'))
-				}).then(() => {
-					// set associated styles. null items are removed (implying default should be used)
-					return new ChromeHighlightStorage().setAll(storageItems)
-				}).then(() => {
-					location.reload();
-				}).catch(function (err) {
-					// error loading or replicating tmp db to main db
-					console.error(`Error importing backup\n\nStatus: ${err.status}\nMessage: ${err.message}`)
-					// alert(`Error importing backup\n\nStatus: ${err.status}\nMessage: ${err.message}`)
+
+					if (this.scope.importMode === Controller.IMPORT_MODE.MERGE) {
+						return this.previewMerge(backup)
+					}
+
+					this.scope.$apply()
+				}).catch(err => {
+					// not a backup, or error reading its documents
+					console.error(err)
+					alert(`${chrome.i18n.getMessage('advanced_database_import_failed')}\n\n${err.message}`)
 				})
 			}
 
@@ -107,53 +183,440 @@ angular.module('advancedControllers', []).controller('advanced', ["$scope", func
 			// reader.readAsDataURL(file);
 		}
 
-		onClickExport() {
-			/** @type {Header} */
-			const header = {
-				magic: Controller.MAGIC,
-				version: 1,
+		/**
+		 * Replace the databases and highlight definitions of the collections of a backup with those of the backup
+		 * 
+		 * @private
+		 * @param {Backup.ParsedBackup} backup
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		replace({ storageItems, collections }) {
+			// the databases load via the same temporary database, so in turn.
+			// Don't use the storage items until the databases load successfully
+			return PromiseUtils.serial(collections.map(({ collection, dump }) => () => {
+				return new DB(collection.id).loadDB(dump)
+			})).then(() => {
+				return Backup.restoreCollections(collections, { replace: true })
+			}).then(() => {
+				// set associated styles. null items are removed (implying default should be used)
+				return new ChromeHighlightStorage(ChromeCollectionStorage.DEFAULT_ID).setAll(storageItems)
+			}).then(() => {
+				location.reload();
+			})
+		}
+
+		/**
+		 * Show what merging a backup would add, skip, and which styles conflict, without changing anything
+		 * 
+		 * @private
+		 * @param {Backup.ParsedBackup} backup
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		previewMerge({ storageItems, collections }) {
+			const isCreateDoc = doc => doc[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE
+			const sharedDefinitions = storageItems[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] || []
+
+			return new ChromeCollectionStorage().getAll().then(existingCollections => {
+				// the dumps are read via the same temporary database, so in turn
+				return PromiseUtils.serial(collections.map(({ collection, dump }) => () => {
+					const db = new DB(collection.id)
+					const existingCollection = existingCollections.find(c => c.id === collection.id)
+
+					return Promise.all([
+						db.readDumpDB(dump),
+						existingCollection ? new ChromeHighlightStorage(collection.id).hasOwnDefinitions() : Promise.resolve(false),
+					]).then(([docs, hasOwnDefinitions]) => {
+						// every document of a collection that doesn't exist is new
+						return (existingCollection ?
+							db.partitionDocuments(docs) :
+							Promise.resolve({ newDocs: docs, existingDocs: [] })
+						).then(partition => [Object.assign({
+							collection: collection,
+							docs: docs,
+							// the styles a collection with its own are added with it
+							paletteId: hasOwnDefinitions ? collection.id :
+								(!existingCollection && Array.isArray(collection[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS])) ? null :
+									ChromeCollectionStorage.DEFAULT_ID,
+							title: existingCollection && existingCollection.title,
+						}, partition)])
+					})
+				}))
+			}).then(partitions => {
+				const paletteIds = new Set([ChromeCollectionStorage.DEFAULT_ID, ...partitions.map(p => p.paletteId).filter(id => id !== null)])
+
+				return PromiseUtils.serial(Array.from(paletteIds).map(paletteId => () => {
+					// the imported styles used by highlights merging into the palette. The shared styles always merge into the shared ones
+					const otherDefinitions = paletteId === ChromeCollectionStorage.DEFAULT_ID ? sharedDefinitions.slice() : []
+
+					for (const { collection } of partitions.filter(p => p.paletteId === paletteId)) {
+						for (const d of collection[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] || sharedDefinitions) {
+							if (!otherDefinitions.some(o => o.className === d.className)) {
+								otherDefinitions.push(d)
+							}
+						}
+					}
+
+					return new ChromeHighlightStorage(paletteId).getAll().then(items => {
+						const { added, skipped, conflicts } = ChromeHighlightStorage.compareHighlightDefinitions(
+							items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS],
+							otherDefinitions
+						)
+						const partition = partitions.find(p => p.paletteId === paletteId)
+
+						/** @type {MergePalette} */
+						const palette = {
+							collectionId: paletteId,
+							title: partition ? partition.title : '',
+							addedDefinitions: added,
+							skippedDefinitions: skipped,
+							conflicts: conflicts.map(c => Object.assign({ resolution: Controller.CONFLICT_RESOLUTION.KEEP }, c)),
+						}
+
+						return [palette]
+					})
+				})).then(palettes => {
+					/** @type {MergePreview} */
+					this.scope.mergePreview = {
+						collections: partitions.map(({ collection, docs, paletteId }) => ({ collection, docs, paletteId })),
+						addedCount: [].concat(...partitions.map(p => p.newDocs)).filter(isCreateDoc).length,
+						skippedCount: [].concat(...partitions.map(p => p.existingDocs)).filter(isCreateDoc).length,
+						palettes: palettes,
+					}
+
+					this.scope.$apply()
+				})
+			})
+		}
+
+		/**
+		 * Add the new documents & styles of the previewed merge, resolving conflicting styles
+		 * 
+		 * @private
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		merge() {
+			/** @type {MergePreview} */
+			const preview = this.scope.mergePreview
+
+			// definitions to set, and class names of imported documents that change, by palette id
+			const definitionsById = new Map()
+			const classNamesById = new Map()
+
+			for (const { collectionId, addedDefinitions, conflicts } of preview.palettes) {
+				const definitions = addedDefinitions.slice()
+				const classNames = {}
+
+				for (const { otherDefinition, resolution } of conflicts) {
+					switch (resolution) {
+						case Controller.CONFLICT_RESOLUTION.REPLACE:
+							definitions.push(otherDefinition)
+							break
+
+						case Controller.CONFLICT_RESOLUTION.COPY: {
+							const definition = Object.assign({}, otherDefinition, {
+								className: StringUtils.newUUID({ beginWithLetter: true }),
+								title: chrome.i18n.getMessage('advanced_database_merge_copy_title', [otherDefinition.title]),
+							})
+
+							classNames[otherDefinition.className] = definition.className
+							definitions.push(definition)
+							break
+						}
+
+						default:
+							// imported highlights use the existing style
+							break
+					}
+				}
+
+				definitionsById.set(collectionId, definitions)
+				classNamesById.set(collectionId, classNames)
 			}
 
-			// start with header
-			let ldjson = JSON.stringify(header)
+			return PromiseUtils.serial(preview.collections.map(({ collection, docs, paletteId }) => () => {
+				return new DB(collection.id).mergeDocuments(docs, classNamesById.get(paletteId) || {})
+			})).then(() => {
+				return Backup.restoreCollections(this.scope.importPreview.backup.collections)
+			}).then(() => {
+				return PromiseUtils.serial(Array.from(definitionsById).map(([collectionId, definitions]) => () => {
+					return new ChromeHighlightStorage(collectionId).set(definitions)
+				}))
+			}).then(() => {
+				location.reload()
+			})
+		}
+
+		/**
+		 * Clicked 'import' button of the import preview, confirming the import
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickCommitImport() {
+			/** @type {ImportPreview} */
+			const preview = this.scope.importPreview
+
+			return (preview.mode === Controller.IMPORT_MODE.MERGE ? this.merge() : this.replace(preview.backup)).catch(e => {
+				console.error(e)
+				alert(`${chrome.i18n.getMessage('advanced_database_import_failed')}\n\n${e.message}`)
+			})
+		}
+
+		/**
+		 * Clicked 'cancel' button of the import preview
+		 * 
+		 * @memberof Controller
+		 */
+		onClickCancelImport() {
+			delete this.scope.importPreview
+			delete this.scope.mergePreview
+		}
+
+		/**
+		 * Clicked 'export markdown vault' button. Downloads a zip of markdown files, one per page
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickExportMarkdownVault() {
+			return HighlightExport.createMarkdownVault().then(blob => {
+				DownloadUtils.saveBlob(blob, `${chrome.i18n.getMessage('export_markdown_vault_file_name')}.zip`)
+			}).catch(e => {
+				console.error(e)
+				alert(e.message)
+			})
+		}
+
+		/**
+		 * Clicked 'export web annotations' button. Downloads a W3C Web Annotation collection (JSON-LD) of every highlight
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickExportWebAnnotations() {
+			return WebAnnotation.createCollection().then(collection => {
+				const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/ld+json' })
+
+				DownloadUtils.saveBlob(blob, `${chrome.i18n.getMessage('export_web_annotations_file_name')}.jsonld`)
+			}).catch(e => {
+				console.error(e)
+				alert(e.message)
+			})
+		}
+
+		/**
+		 * Is any column of the spreadsheet export checked
+		 * 
+		 * @returns {boolean}
+		 * @memberof Controller
+		 */
+		isAnyCSVColumnChecked() {
+			return this.scope.csvColumns.some(column => this.scope.csvOptions.columns[column])
+		}
+
+		/**
+		 * Clicked 'export csv' button. Downloads a spreadsheet with a row per highlight
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickExportCSV() {
+			const { columns, delimiter, encoding } = this.scope.csvOptions
+
+			return HighlightExport.createCSV({
+				columns: this.scope.csvColumns.filter(column => columns[column]),
+				delimiter: delimiter === 'tab' ? '\t' : delimiter,
+				encoding: encoding,
+			}).then(blob => {
+				DownloadUtils.saveBlob(blob, `${chrome.i18n.getMessage('export_csv_file_name')}.csv`)
+			}).catch(e => {
+				console.error(e)
+				alert(e.message)
+			})
+		}
 
-			return new ChromeHighlightStorage().getAll({ defaults: false }).then(items => {
-				// the first item (after header) is always the highlights object
-				ldjson += `\n${JSON.stringify(items)}`
+		/**
+		 * A file of web annotations was selected for import. Its highlights are added to the existing ones
+		 * 
+		 * @param {Event} event
+		 * @memberof Controller
+		 */
+		onWebAnnotationFilesChange(event) {
+			const input = /** @type {HTMLInputElement} */ (event.target)
+			const file = input.files[0]
 
-				// the remainder is the dumped database
-				const stream = new window.memorystream();
+			if (!file) {
+				return
+			}
 
-				stream.on('data', chunk => {
-					ldjson += `\n${chunk.toString()}`;
+			const reader = new FileReader()
+
+			reader.onload = () => {
+				// allow the same file to be selected again
+				input.value = ''
+
+				return new Promise(resolve => {
+					resolve(WebAnnotation.import(/** @type {string} */ (reader.result)))
+				}).then(({ added, skipped, invalid, failed }) => {
+					this.scope.webAnnotationsImportResult = chrome.i18n.getMessage('import_web_annotations_result', [
+						added.toString(),
+						skipped.toString(),
+						invalid.toString(),
+						failed.toString(),
+					])
+				}).catch(e => {
+					console.error(e)
+					this.scope.webAnnotationsImportResult = `${chrome.i18n.getMessage('advanced_database_import_failed')}: ${e.message}`
+				}).then(() => {
+					this.scope.$apply()
 				})
+			}
+
+			reader.readAsText(file, "utf-8")
+		}
 
-				return new DB().dumpDB(stream)
+		/**
+		 * Clicked 'save' button of the schedule of automatic backups. The event page reschedules its alarm when it changes
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSaveBackupSchedule() {
+			const { period, folder, count } = this.scope.backupSchedule
+
+			return new ChromeBackupStorage().setSchedule({
+				period: period,
+				folder: folder.trim() || ChromeBackupStorage.DEFAULT_SCHEDULE.folder,
+				count: Math.max(1, parseInt(count) || ChromeBackupStorage.DEFAULT_SCHEDULE.count),
 			}).then(() => {
-				// create a temporary anchor to navigate to data uri
-				const elm = document.createElement("a")
+				this.scope.isBackupScheduleModified = false
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Clicked 'back up now' button. The event page makes the backup, so it's rotated with the scheduled ones
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickBackUpNow() {
+			this.scope.isBackingUp = true
+
+			return new Promise(resolve => {
+				chrome.runtime.sendMessage({ id: Controller.MESSAGE_ID.BACK_UP }, backupState => {
+					if (chrome.runtime.lastError) {
+						console.error(chrome.runtime.lastError.message)
+					}
+
+					resolve(backupState)
+				})
+			}).then(backupState => {
+				this.scope.isBackingUp = false
+
+				// only the error is known if the state couldn't be updated
+				if (backupState) {
+					this.scope.backupState = Object.assign({}, this.scope.backupState, backupState)
+				}
+
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Describe an issue of a backup
+		 * 
+		 * @static
+		 * @param {Backup.Issue} issue
+		 * @returns {string}
+		 * @memberof Controller
+		 */
+		static formatIssue(issue) {
+			switch (issue.type) {
+				case Backup.ISSUE_TYPE.MALFORMED_LINE:
+					return chrome.i18n.getMessage('backup_issue_malformed_line', [issue.line.toString()])
+
+				case Backup.ISSUE_TYPE.UNKNOWN_VERB:
+					return chrome.i18n.getMessage('backup_issue_unknown_verb', [issue.docId, issue.value])
+
+				case Backup.ISSUE_TYPE.MISSING_CREATE_DOCUMENT:
+					return chrome.i18n.getMessage('backup_issue_missing_create_document', [issue.docId, issue.value])
 
-				elm.download = `${chrome.i18n.getMessage("advanced_database_export_file_name")}.ldjson`
-				elm.href = "data:text;base64," + Base64Utils.utf8_to_b64(ldjson, window)
+				case Backup.ISSUE_TYPE.INVALID_COLOR:
+					return chrome.i18n.getMessage('backup_issue_invalid_color', [issue.title, issue.property, issue.value])
 
-				// a.href = "data:text/plain;charset=utf-8;," + encodeURIComponent(dumpedString);
-				// a.href = "data:text;base64," + utf8_to_b64(dumpedString);
-				// a.href = "data:text;base64," + utf8_to_b64(dumpedString);
-				//window.btoa(dumpedString);
+				default:
+					return issue.type
+			}
+		}
+
+		/**
+		 * Clicked 'export' button. Downloads a backup of the highlights passing the export filters
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickExport() {
+			const { domain, fromDate, toDate, classNames } = this.scope.exportFilters
 
-				// create & dispatch mouse event to hidden anchor
-				const event = document.createEvent("MouseEvent")
+			/** @type {Backup.Filters} */
+			const filters = {
+				domain: domain.trim() || undefined,
+			}
+
+			// date inputs are at the start of a (local) day, and the 'to' day is inclusive
+			if (fromDate instanceof Date) {
+				filters.fromDate = fromDate.getTime()
+			}
 
-				event.initMouseEvent("click", true, true, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null)
-				elm.dispatchEvent(event)
+			if (toDate instanceof Date) {
+				filters.toDate = toDate.getTime() + 8.64e7 - 1
+			}
+
+			const checkedClassNames = Object.keys(classNames).filter(className => classNames[className])
+
+			if (checkedClassNames.length > 0) {
+				filters.classNames = checkedClassNames
+			}
+
+			return Backup.create(filters).then(ldjson => {
+				const blob = new Blob([ldjson], { type: Backup.MEDIA_TYPE })
+
+				DownloadUtils.saveBlob(blob, `${chrome.i18n.getMessage('advanced_database_export_file_name')}.${Backup.FILE_EXTENSION}`)
+			}).catch(e => {
+				console.error(e)
+				alert(e.message)
 			})
 		}
 	} // end class
 
 	// static properties
 
-	Controller.MAGIC = 'Super Simple Highlighter Exported Database'
+	Controller.IMPORT_MODE = {
+		// existing highlights & styles are replaced by those of the backup
+		REPLACE: 'replace',
+		// highlights & styles of the backup are added to the existing ones
+		MERGE: 'merge',
+	}
+
+	// messages sent to the event page (same as ChromeRuntimeHandler.MESSAGE of event page)
+	Controller.MESSAGE_ID = {
+		BACK_UP: 'back_up',
+	}
+
+	// ways to resolve a style of a merged backup whose class name exists, but looks different
+	Controller.CONFLICT_RESOLUTION = {
+		// imported highlights use the existing style
+		KEEP: 'keep',
+		// the imported style replaces the existing style
+		REPLACE: 'replace',
+		// the imported style is added as a new style, which the imported highlights use
+		COPY: 'copy',
+	}
 
 	// initialize
-	new Controller($scope)
+	new Controller($scope).init()
 }])
\ No newline at end of file
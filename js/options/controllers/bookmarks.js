@@ -24,6 +24,9 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
 		 * @prop {Filters} filters - filter predicate functions
      * @prop {Options} options - watched options specific to scope
      * @prop {Group[]} groupedDocs - 
+     * @prop {Merge} merge - options for merging selected pages
+     * @prop {TagCloudItem[]} tagCloud - every tag of every page & highlight
+     * @prop {string} [tagFilter] - tag that pages must have
      * @memberof Controller
      */
 
@@ -34,6 +37,20 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
       * @memberof Controller
       */
 
+    /**
+     * @typedef {Object} TagCloudItem
+     * @prop {string} tag
+     * @prop {number} count - number of pages & highlights with the tag
+     * @prop {number} size - relative font size
+     * @memberof Controller
+     */
+
+    /**
+     * @typedef {Object} Merge
+     * @prop {string} [targetMatch] - match of the selected page that the others are merged into
+     * @memberof Controller
+     */
+
     /**
      * @typedef {Object} Options
      * @prop {string} groupBy
@@ -60,6 +77,10 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
         document: (doc) => {
             const t = this.scope.documentFilterText.toLowerCase()
 
+            if (this.scope.tagFilter && !Controller.getPageTags(doc).has(this.scope.tagFilter)) {
+                return false
+            }
+
             // always check title & match (url), optionally check page text objects
             return t.length === 0 ||
                 (typeof doc.title === 'string' && doc.title.toLowerCase().indexOf(t) != -1) ||
@@ -72,11 +93,20 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
                 )
         }
       }
+      this.scope.merge = {}
+      this.scope.tagCloud = []
 
       for (const func of [
+        this.getSelectedDocs,
         this.onClickRemoveHighlight,
         this.onClickRemoveAllHighlights,
         this.onClickRemoveAllBookmarks,
+        this.onClickMergePages,
+        this.onClickExportPages,
+        this.onClickRepointPage,
+        this.onClickTag,
+        this.onClickHighlightLink,
+        this.onClickCopyHighlightLink,
       ]) {
 				this.scope[func.name] = func.bind(this)
       }
@@ -104,8 +134,6 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
      * @memberof Controller
      */
     init() {
-      const db = new DB()
-
       // build default options object
       return new ChromeStorage().get([
         ChromeStorage.KEYS.OPTIONS.BOOKMARKS_GROUP_BY,
@@ -119,9 +147,24 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
             showPageText: items[ChromeStorage.KEYS.OPTIONS.BOOKMARKS_SHOW_PAGE_TEXT], 
         }
         
-        // get an array of each unique match, and the number of associated documents (which is of no use)
-        return db.getSums()
-      }).then(rows => {
+        return this.updateDocuments()
+      }).then(() => {
+        // After the initial update, watch for changes to options object
+        this.scope.$watchCollection('options', this.onOptionsCollectionChanged.bind(this))
+      })
+    } // end init()
+
+    /**
+     * (Re)load the first document of each page, and group them
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    updateDocuments() {
+      const db = new DB()
+
+      // get an array of each unique match, and the number of associated documents (which is of no use)
+      return db.getSums().then(rows => {
         // the key for each row (item in the array) is the 'match' for each document, 
         // and the value is the sum ('create'+1, 'delete'-1)
         const o = {
@@ -150,9 +193,10 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
                 // on the first document) will be removed along with the create document.
                 console.assert(a.length >= 1)
                 
-                // So we go through this dance.
+                // So we go through this dance. The same goes for the tags of the page.
                 if (a.length >= 1 && a[0]._id !== d._id) {
                     a[0][DB.DOCUMENT.NAME.TITLE] = d[DB.DOCUMENT.NAME.TITLE]
+                    a[0][DB.DOCUMENT.NAME.PAGE_TAGS] = d[DB.DOCUMENT.NAME.PAGE_TAGS]
                 }
 
                 return a
@@ -175,20 +219,22 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
                     docId: doc._id,
                     date: doc.date,
                     className: doc.className,
+                    tags: doc[DB.DOCUMENT.NAME.TAGS] || [],
+                    frame: doc[DB.DOCUMENT.NAME.FRAME],
+                    // text fragment url of the page, which scrolls to the highlight
+                    link: TextFragment.createUrl(doc[DB.DOCUMENT.NAME.MATCH], doc),
                 }
             })
         }
 
         this.ungroupedDocs = docs.map(a => a[0])
+        this.updateTagCloud()
 
         // group the documents by their title (if possible), and get a sorted array
         this.groupDocuments()
         this.scope.$apply()
-
-        // After the initial update, watch for changes to options object
-        this.scope.$watchCollection('options', this.onOptionsCollectionChanged.bind(this))
       })
-    } // end init()
+    }
 
     // grouping methods
 
@@ -354,6 +400,52 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
       this.scope.groupedDocs = groupedDocs
     } // end groupDocuments()
 
+    /**
+     * Count the tags of every page & highlight, for the tag cloud
+     * 
+     * @memberof Controller
+     */
+    updateTagCloud() {
+      const counts = new Map()
+
+      for (const doc of this.ungroupedDocs) {
+        for (const tag of [].concat(doc[DB.DOCUMENT.NAME.PAGE_TAGS] || [], ...doc.texts.map(t => t.tags))) {
+          counts.set(tag, (counts.get(tag) || 0) + 1)
+        }
+      }
+
+      const maxCount = Math.max(1, ...counts.values())
+
+      this.scope.tagCloud = Array.from(counts.entries())
+        .sort(([tag1], [tag2]) => tag1.localeCompare(tag2))
+        .map(([tag, count]) => {
+          return {
+            tag: tag,
+            count: count,
+            // logarithmic, so a few common tags don't make the rest tiny
+            size: Controller.TAG_CLOUD.MIN_SIZE + (Controller.TAG_CLOUD.MAX_SIZE - Controller.TAG_CLOUD.MIN_SIZE) *
+              Math.log(count) / Math.log(maxCount + 1),
+          }
+        })
+
+      // the filtered tag may no longer exist
+      if (this.scope.tagFilter && !counts.has(this.scope.tagFilter)) {
+        this.scope.tagFilter = undefined
+      }
+    }
+
+    // view helpers
+
+    /**
+     * Get the first document of each page selected for merging
+     * 
+     * @returns {DB.Document[]}
+     * @memberof Controller
+     */
+    getSelectedDocs() {
+      return this.ungroupedDocs.filter(doc => doc.isSelected)
+    }
+
     // watch collection handlers
 
     /**
@@ -453,11 +545,43 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
         initialDoc.texts.splice(idx, 1)
 
         // regroup
+        this.updateTagCloud()
         this.groupDocuments()
         this.scope.$apply()
       })
     }
 
+    /**
+     * Clicked the text of a highlight, which links to its page. Opens the page, then scrolls to and flashes the
+     * highlight once it's played back (the text fragment only scrolls to the text)
+     * 
+     * @param {MouseEvent} event - click event of link
+     * @param {Object} text - object of page's text array
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onClickHighlightLink(event, text) {
+      event.preventDefault()
+
+      return ChromeTabs.create({ url: text.link }).then(tab => {
+        return new ChromeTabs(tab.id).scrollToPlayedBackHighlight({
+          _id: text.docId,
+          [DB.DOCUMENT.NAME.FRAME]: text.frame,
+        }, { flash: true })
+      })
+    }
+
+    /**
+     * Clicked 'copy link' button on the text of a highlight
+     * 
+     * @param {Object} text - object of page's text array
+     * @returns {boolean}
+     * @memberof Controller
+     */
+    onClickCopyHighlightLink(text) {
+      return ClipboardUtils.copy(text.link, document)
+    }
+
     /**
      * Clicked 'remove all highlights for this site' button (x)
      * 
@@ -472,7 +596,8 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
       }
 
       // var match = this.scope.rows[index].key;
-      return new DB().removeMatchingDocuments(doc.match).then(() => {
+      // moved to the trash, and removed from any tab showing the page
+      return new Highlighter().deleteMatching(doc.match).then(() => {
           // remove the corresponding doc from our 'this.scope.groupedDocs' via the handy reference
           const index = group.docs.indexOf(doc)
           if (index === -1) {
@@ -485,6 +610,16 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
       })
     }
 
+    /**
+     * Clicked a tag of the tag cloud. Shows only the pages with the tag, or all pages if it was already shown
+     * 
+     * @param {string} tag
+     * @memberof Controller
+     */
+    onClickTag(tag) {
+      this.scope.tagFilter = this.scope.tagFilter === tag ? undefined : tag
+    }
+
     /**
      * Clicked 'remove all pages' button.
      * 
@@ -502,6 +637,101 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
         this.scope.$apply()
      })
     }
+
+    /**
+     * Clicked 'export' button of the selected pages. Downloads a backup of their highlights
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onClickExportPages() {
+      const docs = this.getSelectedDocs()
+
+      if (docs.length === 0) {
+        return Promise.resolve()
+      }
+
+      // the pages are of the active collection
+      return new ChromeCollectionStorage().getActiveId().then(collectionId => {
+        return Backup.create({ matches: docs.map(doc => doc.match), collectionId: collectionId })
+      }).then(ldjson => {
+        const blob = new Blob([ldjson], { type: Backup.MEDIA_TYPE })
+
+        DownloadUtils.saveBlob(blob, `${chrome.i18n.getMessage('advanced_database_export_file_name')}.${Backup.FILE_EXTENSION}`)
+      }).catch(e => {
+        console.error(e)
+        alert(e.message)
+      })
+    }
+
+    /**
+     * Clicked 'merge pages' button. Moves the highlights of every selected page to the target page
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onClickMergePages() {
+      const docs = this.getSelectedDocs()
+
+      if (docs.length < 2) {
+        return Promise.resolve()
+      }
+
+      // target defaults to first selected page
+      const target = docs.find(doc => doc.match === this.scope.merge.targetMatch) || docs[0]
+
+      if (!window.confirm(chrome.i18n.getMessage("confirm_merge_pages", [target.match]))) {
+        return Promise.resolve()
+      }
+
+      return new DB().mergeMatchingDocuments(docs.map(doc => doc.match), target.match).then(() => {
+        this.scope.merge.targetMatch = undefined
+
+        // titles & grouping may have changed
+        return this.updateDocuments()
+      })
+    }
+
+    /**
+     * Clicked 're-point page' button. Moves the page's highlights to a new url, merging them with any highlights
+     * it already has.
+     * 
+     * @param {DB.Document} doc - first document of the page
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onClickRepointPage(doc) {
+      const url = window.prompt(chrome.i18n.getMessage("prompt_repoint_page"), doc.match)
+
+      if (!url || url.trim() === doc.match) {
+        return Promise.resolve()
+      }
+
+      // format the same way as the url of a page being highlighted
+      return new ChromeMatchRuleStorage().formatMatch(url.trim()).then(match => {
+        if (match === doc.match) {
+          return
+        }
+
+        return new DB().mergeMatchingDocuments([doc.match], match).then(() => this.updateDocuments())
+      }).catch(e => {
+        console.error(e)
+        window.alert(chrome.i18n.getMessage("repoint_page_failed"))
+      })
+    }
+    // static
+
+    /**
+     * Get the tags of a page, and of its highlights
+     * 
+     * @static
+     * @param {DB.Document} doc - first document of the page
+     * @returns {Set<string>}
+     * @memberof Controller
+     */
+    static getPageTags(doc) {
+      return new Set([].concat(doc[DB.DOCUMENT.NAME.PAGE_TAGS] || [], ...doc.texts.map(t => t.tags)))
+    }
   } // end class
 
   // static properties
@@ -512,6 +742,12 @@ angular.module('bookmarksControllers', []).controller('bookmarks', ["$scope", fu
     LAST_DATE: 'last_date',
   }
 
+  // font size (em) of least & most common tags
+  Controller.TAG_CLOUD = {
+    MIN_SIZE: 0.8,
+    MAX_SIZE: 1.8,
+  }
+
   Controller.HYSTERESIS_TIMER = {
     ID: 'hysteresisTimerID',
     TIMEOUT: 500,
@@ -0,0 +1,305 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// 'collectionsControllers' module containing two controllers, named 'collections' and 'activeCollection'
+angular.module('collectionsControllers', []).controller('collections', ["$scope", function ($scope) {
+	class Controller {
+		/**
+		 * @typedef {Object} Scope
+		 * @prop {Object[]} collections - stored collections (starting with the default collection), each with additional 'hasOwnDefinitions' property
+		 * @prop {ChromeCollectionStorage.CollectionRule[]} rules - stored rules
+		 * @prop {boolean} isModified - collections or rules changed since last saved
+		 * @memberof Controller
+		 */
+
+		/**
+		 * Creates an instance of Controller.
+		 * @param {Scope} scope - controller $scope
+		 * @memberof Controller
+		 */
+		constructor(scope) {
+			this.scope = scope
+
+			this.scope.collections = []
+			this.scope.rules = []
+			this.scope.isModified = false
+			this.scope.defaultId = ChromeCollectionStorage.DEFAULT_ID
+
+			// ids of collections whose stored highlight definitions are their own
+			this.ownDefinitionsIds = new Set()
+
+			for (const func of [
+				this.onClickAddCollection,
+				this.onClickRemoveCollection,
+				this.onClickAddRule,
+				this.onClickRemoveRule,
+				this.onClickMoveRule,
+				this.onClickSave,
+				this.isValidDomain,
+				this.isValid,
+			]) {
+				this.scope[func.name] = func.bind(this)
+			}
+		}
+
+		/**
+		 * Async initializer
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		init() {
+			const storage = new ChromeCollectionStorage()
+
+			return Promise.all([
+				storage.getAll(),
+				storage.getRules(),
+			]).then(([collections, rules]) => {
+				return Promise.all(collections.map(c => new ChromeHighlightStorage(c.id).hasOwnDefinitions())).then(values => {
+					this.ownDefinitionsIds = new Set(collections.filter((c, index) => values[index]).map(c => c.id))
+
+					this.scope.collections = collections.map(c => Object.assign({
+						hasOwnDefinitions: this.ownDefinitionsIds.has(c.id)
+					}, c))
+					this.scope.rules = rules
+				})
+			}).then(() => {
+				// any later change is a modification
+				this.scope.$watch('[collections, rules]', (newValue, oldValue) => {
+					if (newValue !== oldValue) {
+						this.scope.isModified = true
+					}
+				}, true)
+
+				this.scope.$apply()
+			})
+		}
+
+		// view helpers
+
+		/**
+		 * Is the domain of a rule valid
+		 *
+		 * @param {ChromeCollectionStorage.CollectionRule} rule
+		 * @returns {boolean}
+		 * @memberof Controller
+		 */
+		isValidDomain(rule) {
+			return !!rule.domain && rule.domain.trim().length > 0 && !/[\s/:]/.test(rule.domain.trim())
+		}
+
+		/**
+		 * Does every collection have a title, and every rule a valid domain
+		 *
+		 * @returns {boolean}
+		 * @memberof Controller
+		 */
+		isValid() {
+			return this.scope.collections.every(c => c.id === ChromeCollectionStorage.DEFAULT_ID || c.title.trim().length > 0) &&
+				this.scope.rules.every(r => this.isValidDomain(r))
+		}
+
+		// click handlers
+
+		/**
+		 * Clicked 'add collection' button
+		 *
+		 * @memberof Controller
+		 */
+		onClickAddCollection() {
+			this.scope.collections.push(Object.assign({
+				hasOwnDefinitions: false
+			}, ChromeCollectionStorage.createCollection(
+				chrome.i18n.getMessage('collection_new_title', [this.scope.collections.length.toString()])
+			)))
+		}
+
+		/**
+		 * Clicked 'remove' button of a collection. Its highlights are deleted immediately (if it was saved)
+		 *
+		 * @param {number} index - index of collection
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickRemoveCollection(index) {
+			const collection = this.scope.collections[index]
+
+			if (!window.confirm(chrome.i18n.getMessage("confirm_remove_collection", [collection.title]))) {
+				return Promise.resolve()
+			}
+
+			return new DB(collection.id).destroyDB().then(() => {
+				return new ChromeHighlightStorage(collection.id).setHasOwnDefinitions(false)
+			}).then(() => {
+				return new ChromeCollectionStorage().remove(collection.id)
+			}).then(() => {
+				this.ownDefinitionsIds.delete(collection.id)
+
+				this.scope.collections.splice(index, 1)
+				this.scope.rules = this.scope.rules.filter(r => r.collectionId !== collection.id)
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Clicked 'add rule' button
+		 *
+		 * @memberof Controller
+		 */
+		onClickAddRule() {
+			const collection = this.scope.collections[this.scope.collections.length - 1]
+			this.scope.rules.push(ChromeCollectionStorage.createRule('', collection.id))
+		}
+
+		/**
+		 * Clicked 'remove' button of a rule
+		 *
+		 * @param {number} index - index of rule
+		 * @memberof Controller
+		 */
+		onClickRemoveRule(index) {
+			this.scope.rules.splice(index, 1)
+		}
+
+		/**
+		 * Clicked 'up' or 'down' button of a rule, changing its precedence
+		 *
+		 * @param {number} index - index of rule
+		 * @param {number} offset - -1 to move up, +1 to move down
+		 * @memberof Controller
+		 */
+		onClickMoveRule(index, offset) {
+			const newIndex = index + offset
+
+			if (newIndex < 0 || newIndex >= this.scope.rules.length) {
+				return
+			}
+
+			const [rule] = this.scope.rules.splice(index, 1)
+			this.scope.rules.splice(newIndex, 0, rule)
+		}
+
+		/**
+		 * Clicked 'save' button. Collections given their own highlight definitions start with a copy of their current definitions
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSave() {
+			const storage = new ChromeCollectionStorage()
+			const collections = this.scope.collections.map(c => ({
+				id: c.id,
+				title: c.title.trim(),
+			}))
+
+			// the definitions of collections are set before they're stored, so their current definitions are the default collection's
+			const changedCollections = this.scope.collections.filter(c => {
+				return c.id !== ChromeCollectionStorage.DEFAULT_ID && c.hasOwnDefinitions !== this.ownDefinitionsIds.has(c.id)
+			})
+
+			return PromiseUtils.serial(changedCollections.map(c => () => {
+				return new ChromeHighlightStorage(c.id).setHasOwnDefinitions(c.hasOwnDefinitions)
+			})).then(() => {
+				return Promise.all([
+					storage.setAll(collections),
+					storage.setRules(this.scope.rules.map(r => ChromeCollectionStorage.createRule(r.domain.trim().toLowerCase(), r.collectionId))),
+				])
+			}).then(() => {
+				this.ownDefinitionsIds = new Set(this.scope.collections.filter(c => c.hasOwnDefinitions).map(c => c.id))
+
+				this.scope.isModified = false
+				this.scope.$apply()
+			})
+		}
+	} // end class
+
+	// initialize
+	new Controller($scope).init()
+}]).controller('activeCollection', ["$scope", function ($scope) {
+	class Controller {
+		/**
+		 * @typedef {Object} Scope
+		 * @prop {ChromeCollectionStorage.Collection[]} collections - stored collections, starting with the default collection
+		 * @prop {string} activeId - id of active collection, whose highlights & styles the options page shows
+		 * @memberof Controller
+		 */
+
+		/**
+		 * Creates an instance of Controller.
+		 * @param {Scope} scope - controller $scope
+		 * @memberof Controller
+		 */
+		constructor(scope) {
+			this.scope = scope
+
+			this.scope.collections = []
+		}
+
+		/**
+		 * Async initializer
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		init() {
+			// the collections pane may add, rename or remove collections
+			chrome.storage.onChanged.addListener((changes, areaName) => {
+				if (areaName === 'sync' && changes[ChromeCollectionStorage.KEYS.COLLECTIONS]) {
+					// unhandled promise
+					this.updateCollections()
+				}
+			})
+
+			return this.updateCollections().then(() => {
+				// every pane shows the active collection, so they're all reloaded with the page
+				this.scope.$watch('activeId', (newValue, oldValue) => {
+					if (newValue === oldValue) {
+						return
+					}
+
+					return new ChromeCollectionStorage().setActiveId(newValue).then(() => {
+						window.location.reload()
+					})
+				})
+			})
+		}
+
+		/**
+		 * Update the collections & active collection from storage
+		 *
+		 * @private
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		updateCollections() {
+			const storage = new ChromeCollectionStorage()
+
+			return Promise.all([
+				storage.getAll(),
+				storage.getActiveId(),
+			]).then(([collections, activeId]) => {
+				this.scope.collections = collections
+				this.scope.activeId = activeId
+
+				this.scope.$apply()
+			})
+		}
+	} // end class
+
+	// initialize
+	new Controller($scope).init()
+}])
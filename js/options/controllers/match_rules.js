@@ -0,0 +1,230 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// 'matchRulesControllers' module containing a single controller, named 'matchRules'
+angular.module('matchRulesControllers', []).controller('matchRules', ["$scope", function ($scope) {
+	class Controller {
+		/**
+		 * @typedef {Object} Scope
+		 * @prop {Object[]} rules - stored rules, each with an additional 'stripParamsText' property to edit its 'stripParams' array
+		 * @prop {boolean} isModified - rules changed since last saved
+		 * @prop {boolean} isRekeyRecommended - rules saved since existing documents were last re-keyed
+		 * @prop {string} [rekeyResult] - description of result of last re-keying
+		 * @prop {string} testUrl - url formatted using the unsaved rules
+		 * @memberof Controller
+		 */
+
+		/**
+		 * Creates an instance of Controller.
+		 * @param {Scope} scope - controller $scope
+		 * @memberof Controller
+		 */
+		constructor(scope) {
+			this.scope = scope
+
+			this.scope.rules = []
+			this.scope.isModified = false
+			this.scope.isRekeyRecommended = false
+			this.scope.testUrl = ''
+
+			for (const func of [
+				this.onClickAddRule,
+				this.onClickRemoveRule,
+				this.onClickMoveRule,
+				this.onClickSaveRules,
+				this.onClickRekeyDocuments,
+				this.isValidPattern,
+				this.formatTestMatch,
+			]) {
+				this.scope[func.name] = func.bind(this)
+			}
+		}
+
+		/**
+		 * Async initializer
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		init() {
+			return new ChromeMatchRuleStorage().getAll().then(rules => {
+				this.scope.rules = rules.map(r => Object.assign({
+					stripParamsText: (r.stripParams || []).join(', ')
+				}, r))
+
+				// any later change is a modification
+				this.scope.$watch('rules', (newRules, oldRules) => {
+					if (newRules !== oldRules) {
+						this.scope.isModified = true
+					}
+				}, true)
+
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Get the rules of the scope in the form in which they're stored
+		 *
+		 * @private
+		 * @returns {ChromeMatchRuleStorage.MatchRule[]}
+		 * @memberof Controller
+		 */
+		getRules() {
+			return this.scope.rules.map(r => Object.assign(ChromeMatchRuleStorage.createRule(r.pattern.trim()), {
+				isRegExp: r.isRegExp,
+				ignoreScheme: r.ignoreScheme,
+				stripParams: r.stripParamsText.split(',').map(p => p.trim()).filter(p => p.length > 0),
+				keepFragment: r.keepFragment,
+				collapseWww: r.collapseWww,
+			}))
+		}
+
+		// view helpers
+
+		/**
+		 * Is the pattern of a rule valid
+		 *
+		 * @param {Object} rule
+		 * @returns {boolean}
+		 * @memberof Controller
+		 */
+		isValidPattern(rule) {
+			if (!rule.pattern || rule.pattern.trim().length === 0) {
+				return false
+			}
+
+			if (!rule.isRegExp) {
+				return !/[\s/:]/.test(rule.pattern.trim())
+			}
+
+			try {
+				new RegExp(rule.pattern)
+				return true
+			} catch (e) {
+				return false
+			}
+		}
+
+		/**
+		 * Format the test url using the (unsaved) rules
+		 *
+		 * @returns {string} match, or empty string if the url is invalid
+		 * @memberof Controller
+		 */
+		formatTestMatch() {
+			try {
+				return ChromeMatchRuleStorage.formatMatch(this.scope.testUrl, this.getRules())
+			} catch (e) {
+				return ""
+			}
+		}
+
+		// click handlers
+
+		/**
+		 * Clicked 'add rule' button
+		 *
+		 * @memberof Controller
+		 */
+		onClickAddRule() {
+			const rule = ChromeMatchRuleStorage.createRule()
+
+			this.scope.rules.push(Object.assign({
+				stripParamsText: rule.stripParams.join(', ')
+			}, rule))
+		}
+
+		/**
+		 * Clicked 'remove' button of a rule
+		 *
+		 * @param {number} index - index of rule
+		 * @memberof Controller
+		 */
+		onClickRemoveRule(index) {
+			this.scope.rules.splice(index, 1)
+		}
+
+		/**
+		 * Clicked 'up' or 'down' button of a rule, changing its precedence
+		 *
+		 * @param {number} index - index of rule
+		 * @param {number} offset - -1 to move up, +1 to move down
+		 * @memberof Controller
+		 */
+		onClickMoveRule(index, offset) {
+			const newIndex = index + offset
+
+			if (newIndex < 0 || newIndex >= this.scope.rules.length) {
+				return
+			}
+
+			const [rule] = this.scope.rules.splice(index, 1)
+			this.scope.rules.splice(newIndex, 0, rule)
+		}
+
+		/**
+		 * Clicked 'save' button
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSaveRules() {
+			return new ChromeMatchRuleStorage().setAll(this.getRules()).then(() => {
+				this.scope.isModified = false
+				this.scope.isRekeyRecommended = true
+				this.scope.rekeyResult = undefined
+
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Clicked 'apply to existing highlights' button. Changes the match of existing documents to that formed by the saved rules
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickRekeyDocuments() {
+			return Promise.all([
+				new ChromeMatchRuleStorage().getAll(),
+				new ChromeCollectionStorage().getAll(),
+			]).then(([rules, collections]) => {
+				// the documents of every collection, in turn. The existing match is the url (minus its fragment) as formatted when the highlight was created
+				return PromiseUtils.serial(collections.map(({ id }) => () => {
+					return new DB(id).rekeyMatchingDocuments(match => ChromeMatchRuleStorage.formatMatch(match, rules))
+						.then(changes => Object.keys(changes).length)
+				}))
+			}).then(counts => {
+				const count = counts.reduce((sum, c) => sum + c, 0)
+
+				this.scope.isRekeyRecommended = false
+				this.scope.rekeyResult = chrome.i18n.getMessage('match_rules_rekey_result', [count.toString()])
+
+				this.scope.$apply()
+			}).catch(e => {
+				console.error(e)
+
+				this.scope.rekeyResult = e.message
+				this.scope.$apply()
+			})
+		}
+	} // end class
+
+	// initialize
+	new Controller($scope).init()
+}])
@@ -0,0 +1,191 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+// 'searchControllers' module containing a single controller, named 'search'
+angular.module('searchControllers', []).controller('search', ["$scope", function ($scope) {
+  class Controller {
+    /**
+     * @typedef {Object} Scope
+     * @prop {Query} query - watched text & filters of the search
+     * @prop {Object[]} highlightDefinitions - styles that results can be filtered by
+     * @prop {HighlightSearch.Result[]} results - results of last search
+     * @prop {number} resultsLimit - number of results shown
+     * @prop {string} [resultsText] - description of the results
+     * @memberof Controller
+     */
+
+    /**
+     * @typedef {Object} Query
+     * @prop {string} text
+     * @prop {string} [className]
+     * @prop {Date} [fromDate]
+     * @prop {Date} [toDate]
+     * @prop {string} [domain]
+     * @memberof Controller
+     */
+
+    /**
+     * Creates an instance of Controller.
+     * 
+     * @param {Scope} scope - controller $scope
+     * @memberof Controller
+     */
+    constructor(scope) {
+      this.scope = scope
+
+      this.scope.query = { text: "" }
+      this.scope.highlightDefinitions = []
+      this.scope.results = []
+      this.scope.resultsLimit = Controller.RESULTS_PAGE_SIZE
+
+      // number of searches started, so the results of an earlier (slower) search don't replace those of a later one
+      this.searchCount = 0
+
+      for (const func of [
+        this.onClickResult,
+        this.onClickMoreResults,
+      ]) {
+        this.scope[func.name] = func.bind(this)
+      }
+    }
+
+    /**
+     * Async initializer
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    init() {
+      return new ChromeHighlightStorage().getAll().then(items => {
+        this.scope.highlightDefinitions = items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
+        this.scope.$apply()
+
+        this.scope.$watchCollection('query', this.onQueryCollectionChanged.bind(this))
+      })
+    }
+
+    /**
+     * Search using the query of the scope
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    search() {
+      const query = this.scope.query
+      const searchCount = ++this.searchCount
+
+      /** @type {HighlightSearch.Filters} */
+      const filters = {
+        className: query.className || undefined,
+        domain: query.domain || undefined,
+      }
+
+      // date inputs are at the start of a (local) day, and the 'to' day is inclusive
+      if (query.fromDate instanceof Date) {
+        filters.fromDate = query.fromDate.getTime()
+      }
+
+      if (query.toDate instanceof Date) {
+        filters.toDate = query.toDate.getTime() + 8.64e7 - 1
+      }
+
+      return new HighlightSearch().search(query.text, filters).then(results => {
+        if (searchCount !== this.searchCount) {
+          return
+        }
+
+        this.scope.results = results
+        this.scope.resultsLimit = Controller.RESULTS_PAGE_SIZE
+        this.scope.resultsText = query.text.trim().length === 0 ? undefined : chrome.i18n.getMessage(
+          results.length === 1 ? "plural_single_highlight" : "plural_multi_highlights",
+          [results.length]
+        )
+
+        this.scope.$apply()
+      }).catch(e => {
+        console.error(e)
+
+        this.scope.results = []
+        this.scope.resultsText = e.message
+        this.scope.$apply()
+      })
+    }
+
+    // watch collection handlers
+
+    /**
+     * scope.query collection changed
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onQueryCollectionChanged() {
+      return this.search()
+    }
+
+    // click handlers
+
+    /**
+     * Clicked the text of a result. Shows its page (in an existing tab if possible), and scrolls to the highlight
+     * 
+     * @param {HighlightSearch.Result} result
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onClickResult(result) {
+      const doc = result.doc
+
+      return Promise.all([
+        ChromeTabs.query({}),
+        new ChromeMatchRuleStorage().getAll(),
+      ]).then(([tabs, rules]) => {
+        const tab = tabs.find(({ url }) => {
+          try {
+            return ChromeMatchRuleStorage.formatMatch(url, rules) === doc[DB.DOCUMENT.NAME.MATCH]
+          } catch (e) {
+            return false
+          }
+        })
+
+        if (!tab) {
+          return ChromeTabs.create({ url: doc[DB.DOCUMENT.NAME.MATCH] })
+        }
+
+        return new Promise(resolve => {
+          chrome.tabs.update(tab.id, { active: true }, tab => { resolve(tab) })
+        })
+      }).then(tab => new ChromeTabs(tab.id).scrollToPlayedBackHighlight(doc))
+    }
+
+    /**
+     * Clicked 'more results' button
+     * 
+     * @memberof Controller
+     */
+    onClickMoreResults() {
+      this.scope.resultsLimit += Controller.RESULTS_PAGE_SIZE
+    }
+  } // end class
+
+  // static properties
+
+  // number of results shown initially, and added by 'more results' button
+  Controller.RESULTS_PAGE_SIZE = 50
+
+  // init
+  // unhandled promise
+  new Controller($scope).init()
+}])
@@ -23,6 +23,8 @@ angular.module('stylesControllers', []).controller('styles', ["$scope", function
      * @prop {boolean} unselectAfterHighlight
      * @prop {boolean} enableHighlightBoxShadow
      * @prop {number} highlightBackgroundAlpha
+     * @prop {boolean} openPdfInViewer
+     * @prop {string} citationFormat - one of Citation.FORMAT
      * @memberof Controller
      */
    
@@ -97,6 +99,8 @@ angular.module('stylesControllers', []).controller('styles', ["$scope", function
             ChromeStorage.KEYS.UNSELECT_AFTER_HIGHLIGHT,
             ChromeStorage.KEYS.ENABLE_HIGHLIGHT_BOX_SHADOW,
             ChromeStorage.KEYS.HIGHLIGHT_BACKGROUND_ALPHA,
+            ChromeStorage.KEYS.OPEN_PDF_IN_VIEWER,
+            ChromeStorage.KEYS.CITATION_FORMAT,
         ])
       }).then(items => {
         this.scope.options = items
@@ -161,10 +165,10 @@ angular.module('stylesControllers', []).controller('styles', ["$scope", function
         }
       }
 
-      // 2 - update specific definitions
-      key = ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS
+      // 2 - update specific definitions (those of the active collection may be under the key of any collection)
+      key = Object.keys(changes).find(k => ChromeHighlightStorage.isDefinitionsKey(k))
 
-      if (!changes[key]) {
+      if (!key) {
         return Promise.resolve()
       }
 
@@ -183,7 +187,7 @@ angular.module('stylesControllers', []).controller('styles', ["$scope", function
       // so in that case, get the default styles
       return (changes.newValue ?
         Promise.resolve(change.newValue) :
-        new ChromeHighlightStorage().getAll().then(items => items[key])
+        new ChromeHighlightStorage().getAll().then(items => items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS])
       ).then(highlightDefinitions => {
         this.scope.highlightDefinitions = highlightDefinitions
         this.scope.$apply()
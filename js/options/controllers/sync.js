@@ -0,0 +1,196 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// 'syncControllers' module containing a single controller, named 'sync'
+angular.module('syncControllers', []).controller('sync', ["$scope", function ($scope) {
+  class Controller {
+    /**
+     * @typedef {Object} Scope
+     * @prop {ChromeRemoteDBStorage.RemoteDB} remoteDB - edited remote database
+     * @prop {boolean} isRemoteDBSaved - a remote database is stored
+     * @prop {ChromeRemoteDBStorage.SyncState} syncState - last known state of the sync
+     * @prop {number} [pendingCount] - number of changes to the local databases since they were last synced
+     * @prop {ChromeCollectionStorage.Collection[]} collections - collections, each of which syncs with its own remote database
+     * @memberof Controller
+     */
+
+    /**
+     * Creates an instance of Controller.
+     * 
+     * @param {Scope} scope - controller $scope
+     * @memberof Controller
+     */
+    constructor(scope) {
+      this.scope = scope
+
+      this.scope.remoteDB = { url: "", username: "", password: "" }
+      this.scope.isRemoteDBSaved = false
+      this.scope.syncState = { state: ChromeRemoteDBStorage.SYNC_STATE.DISABLED }
+      this.scope.collections = []
+
+      for (const func of [
+        this.onClickSaveRemoteDB,
+        this.onClickRemoveRemoteDB,
+        this.isValidUrl,
+        this.formatSyncState,
+        this.formatCollectionUrl,
+      ]) {
+        this.scope[func.name] = func.bind(this)
+      }
+    }
+
+    /**
+     * Async initializer
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    init() {
+      const storage = new ChromeRemoteDBStorage()
+
+      // the event page updates the state as the sync progresses
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[ChromeRemoteDBStorage.KEYS.SYNC_STATE]) {
+          return
+        }
+
+        // unhandled promise
+        this.updateSyncState(changes[ChromeRemoteDBStorage.KEYS.SYNC_STATE].newValue)
+      })
+
+      return Promise.all([
+        storage.getRemoteDB(),
+        storage.getSyncState(),
+        new ChromeCollectionStorage().getAll(),
+      ]).then(([remoteDB, syncState, collections]) => {
+        this.scope.collections = collections
+
+        if (remoteDB) {
+          this.scope.remoteDB = Object.assign({ username: "", password: "" }, remoteDB)
+          this.scope.isRemoteDBSaved = true
+        }
+
+        return this.updateSyncState(syncState)
+      })
+    }
+
+    /**
+     * Update the state of the sync, and the number of changes not yet synced
+     * 
+     * @private
+     * @param {ChromeRemoteDBStorage.SyncState} [syncState] - new state
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    updateSyncState(syncState = { state: ChromeRemoteDBStorage.SYNC_STATE.DISABLED }) {
+      const ids = this.scope.collections.map(c => c.id)
+
+      return Promise.all(ids.map(id => new DB(id).infoDB())).then(infos => {
+        const seqs = syncState.lastSyncedSeqs
+
+        this.scope.syncState = syncState
+        // every change of a collection that was never synced is pending
+        this.scope.pendingCount = seqs && infos.every(({ update_seq }) => typeof update_seq === 'number') ?
+          infos.reduce((sum, { update_seq }, index) => {
+            const seq = seqs[ids[index]]
+            return sum + Math.max(0, update_seq - (typeof seq === 'number' ? seq : 0))
+          }, 0) :
+          undefined
+
+        this.scope.$apply()
+      })
+    }
+
+    // view helpers
+
+    /**
+     * Is the url of the edited remote database a valid http(s) url
+     * 
+     * @returns {boolean}
+     * @memberof Controller
+     */
+    isValidUrl() {
+      try {
+        return ['http:', 'https:'].includes(new URL(this.scope.remoteDB.url.trim()).protocol)
+      } catch (e) {
+        return false
+      }
+    }
+
+    /**
+     * Get the localized description of the state of the sync
+     * 
+     * @returns {string}
+     * @memberof Controller
+     */
+    formatSyncState() {
+      return chrome.i18n.getMessage(`sync_state_${this.scope.syncState.state}`)
+    }
+
+    /**
+     * Format the url of the remote database a collection syncs with, using the edited url
+     * 
+     * @param {ChromeCollectionStorage.Collection} collection
+     * @returns {string}
+     * @memberof Controller
+     */
+    formatCollectionUrl(collection) {
+      return ChromeRemoteDBStorage.formatCollectionUrl(this.scope.remoteDB.url.trim(), collection.id)
+    }
+
+    // click handlers
+
+    /**
+     * Clicked 'save' button. The event page (re)starts the sync when the remote database changes
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onClickSaveRemoteDB() {
+      const { url, username, password } = this.scope.remoteDB
+
+      /** @type {ChromeRemoteDBStorage.RemoteDB} */
+      const remoteDB = { url: url.trim() }
+
+      if (username) {
+        Object.assign(remoteDB, { username: username, password: password })
+      }
+
+      return new ChromeRemoteDBStorage().setRemoteDB(remoteDB).then(() => {
+        this.scope.isRemoteDBSaved = true
+        this.scope.$apply()
+      })
+    }
+
+    /**
+     * Clicked 'remove' button. Stops the sync, but keeps the local database
+     * 
+     * @returns {Promise}
+     * @memberof Controller
+     */
+    onClickRemoveRemoteDB() {
+      return new ChromeRemoteDBStorage().setRemoteDB(null).then(() => {
+        this.scope.remoteDB = { url: "", username: "", password: "" }
+        this.scope.isRemoteDBSaved = false
+        this.scope.$apply()
+      })
+    }
+  } // end class
+
+  // initialize
+  new Controller($scope).init()
+}])
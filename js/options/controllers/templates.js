@@ -0,0 +1,229 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// 'templatesControllers' module containing a single controller, named 'templates'
+angular.module('templatesControllers', []).controller('templates', ["$scope", function ($scope) {
+	class Controller {
+		/**
+		 * @typedef {Object} Scope
+		 * @prop {OverviewTemplate[]} templates - stored templates
+		 * @prop {boolean} isModified - templates changed since last saved
+		 * @prop {string} [saveError] - description of why the templates couldn't be saved
+		 * @prop {Object} previewContext - fields of a sample overview, with which templates are previewed
+		 * @memberof Controller
+		 */
+
+		/**
+		 * Creates an instance of Controller.
+		 * @param {Scope} scope - controller $scope
+		 * @memberof Controller
+		 */
+		constructor(scope) {
+			this.scope = scope
+
+			this.scope.templates = []
+			this.scope.isModified = false
+
+			for (const func of [
+				this.onClickAddTemplate,
+				this.onClickRemoveTemplate,
+				this.onClickMoveTemplate,
+				this.onClickSaveTemplates,
+				this.getTemplateError,
+				this.areTemplatesValid,
+				this.formatPreview,
+			]) {
+				this.scope[func.name] = func.bind(this)
+			}
+		}
+
+		/**
+		 * Async initializer
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		init() {
+			return Promise.all([
+				new ChromeTemplateStorage().getAll(),
+				new ChromeHighlightStorage().getAll(),
+			]).then(([templates, items]) => {
+				this.scope.templates = templates
+				this.scope.previewContext = Controller.createPreviewContext(items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS])
+
+				// any later change is a modification
+				this.scope.$watch('templates', (newTemplates, oldTemplates) => {
+					if (newTemplates !== oldTemplates) {
+						this.scope.isModified = true
+					}
+				}, true)
+
+				this.scope.$apply()
+			})
+		}
+
+		// view helpers
+
+		/**
+		 * Get the reason a template can't be rendered
+		 *
+		 * @param {OverviewTemplate} template
+		 * @returns {string} message, or empty string if the template is valid
+		 * @memberof Controller
+		 */
+		getTemplateError(template) {
+			try {
+				ChromeTemplateStorage.parse(template.template || "")
+				return ""
+			} catch (e) {
+				return e.message
+			}
+		}
+
+		/**
+		 * Can every template be rendered, and does it have a title
+		 *
+		 * @returns {boolean}
+		 * @memberof Controller
+		 */
+		areTemplatesValid() {
+			return this.scope.templates.every(t => t.title.trim().length > 0 && this.getTemplateError(t).length === 0)
+		}
+
+		/**
+		 * Render a template with the sample overview
+		 *
+		 * @param {OverviewTemplate} template
+		 * @returns {string} rendered text, or empty string if the template is invalid
+		 * @memberof Controller
+		 */
+		formatPreview(template) {
+			if (!this.scope.previewContext) {
+				return ""
+			}
+
+			try {
+				return ChromeTemplateStorage.render(template.template || "", this.scope.previewContext)
+			} catch (e) {
+				return ""
+			}
+		}
+
+		// click handlers
+
+		/**
+		 * Clicked 'add template' button
+		 *
+		 * @memberof Controller
+		 */
+		onClickAddTemplate() {
+			this.scope.templates.push(ChromeTemplateStorage.createTemplate(
+				chrome.i18n.getMessage('template_default_title', [(this.scope.templates.length + 1).toString()])
+			))
+		}
+
+		/**
+		 * Clicked 'remove' button of a template
+		 *
+		 * @param {number} index - index of template
+		 * @memberof Controller
+		 */
+		onClickRemoveTemplate(index) {
+			this.scope.templates.splice(index, 1)
+		}
+
+		/**
+		 * Clicked 'up' or 'down' button of a template, changing its position in the overview menus
+		 *
+		 * @param {number} index - index of template
+		 * @param {number} offset - -1 to move up, +1 to move down
+		 * @memberof Controller
+		 */
+		onClickMoveTemplate(index, offset) {
+			const newIndex = index + offset
+
+			if (newIndex < 0 || newIndex >= this.scope.templates.length) {
+				return
+			}
+
+			const [template] = this.scope.templates.splice(index, 1)
+			this.scope.templates.splice(newIndex, 0, template)
+		}
+
+		/**
+		 * Clicked 'save' button
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSaveTemplates() {
+			const templates = this.scope.templates.map(t => ({
+				id: t.id,
+				title: t.title.trim(),
+				template: t.template,
+				// without the dot, if typed
+				extension: t.extension.trim().replace(/^\./, '') || ChromeTemplateStorage.DEFAULT_EXTENSION,
+			}))
+
+			return new ChromeTemplateStorage().setAll(templates).then(() => {
+				this.scope.isModified = false
+				this.scope.saveError = undefined
+
+				this.scope.$apply()
+			}).catch(e => {
+				// i.e. a template is too large for sync-storage
+				console.error(e)
+
+				this.scope.saveError = chrome.i18n.getMessage('templates_save_failed', [e.message])
+				this.scope.$apply()
+			})
+		}
+
+		// static
+
+		/**
+		 * Create the fields of a sample overview, with a highlight of each of the first few styles
+		 *
+		 * @static
+		 * @param {HighlightDefinition[]} definitions
+		 * @returns {Object}
+		 * @memberof Controller
+		 */
+		static createPreviewContext(definitions) {
+			const docs = definitions.slice(0, Controller.PREVIEW_HIGHLIGHTS_COUNT).map((d, index) => ({
+				[DB.DOCUMENT.NAME.CLASS_NAME]: d.className,
+				[DB.DOCUMENT.NAME.TEXT]: chrome.i18n.getMessage('template_preview_highlight_text', [(index + 1).toString()]),
+				[DB.DOCUMENT.NAME.DATE]: Date.now(),
+			}))
+
+			return ChromeTemplateStorage.createContext({
+				title: chrome.i18n.getMessage('template_preview_title'),
+				url: Controller.PREVIEW_URL,
+				docs: docs,
+				definitions: definitions,
+			})
+		}
+	} // end class
+
+	// static properties
+
+	Controller.PREVIEW_HIGHLIGHTS_COUNT = 3
+	Controller.PREVIEW_URL = 'https://www.example.com/'
+
+	// initialize
+	new Controller($scope).init()
+}])
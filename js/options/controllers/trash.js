@@ -0,0 +1,237 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// 'trashControllers' module containing a single controller, named 'trash'
+angular.module('trashControllers', []).controller('trash', ["$scope", function ($scope) {
+	class Controller {
+		/**
+		 * @typedef {Object} Scope
+		 * @prop {Group[]} groups - deleted highlights, grouped by page
+		 * @prop {number} retentionDays - days deleted highlights are kept before being purged automatically. 0 if never
+		 * @prop {number[]} retentionDaysOptions - values of retention select element
+		 * @memberof Controller
+		 */
+
+		/**
+		 * @typedef {Object} Group
+		 * @prop {string} match - match of page
+		 * @prop {string} [title] - title of page
+		 * @prop {Item[]} items - deleted highlights of page, in order of deletion
+		 * @memberof Controller
+		 */
+
+		/**
+		 * @typedef {Object} Item
+		 * @prop {Object} doc - deleted 'create' document
+		 * @prop {number} deleteDate - date the highlight was deleted
+		 * @prop {string} [styleTitle] - title of the highlight definition of the document's class name, if it still exists
+		 * @memberof Controller
+		 */
+
+		/**
+		 * Creates an instance of Controller.
+		 * @param {Scope} scope - controller $scope
+		 * @memberof Controller
+		 */
+		constructor(scope) {
+			this.scope = scope
+
+			this.scope.groups = []
+			this.scope.retentionDaysOptions = Controller.RETENTION_DAYS_OPTIONS
+
+			for (const func of [
+				this.onClickRestore,
+				this.onClickPurge,
+				this.onClickEmptyTrash,
+				this.formatRetention,
+			]) {
+				this.scope[func.name] = func.bind(this)
+			}
+		}
+
+		/**
+		 * Async initializer
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		init() {
+			return new ChromeStorage().get(ChromeStorage.KEYS.TRASH_RETENTION_DAYS).then(days => {
+				this.scope.retentionDays = days
+
+				// sync later changes to storage
+				this.scope.$watch('retentionDays', (newDays, oldDays) => {
+					if (newDays === oldDays) {
+						return
+					}
+
+					// unhandled promise
+					new ChromeStorage().set(newDays, ChromeStorage.KEYS.TRASH_RETENTION_DAYS)
+				})
+
+				// highlights may be deleted in other panes (or tabs) meanwhile
+				$(Controller.SELECTOR.PILL).on('shown.bs.tab', () => {
+					// unhandled promise
+					this.updateGroups()
+				})
+
+				return this.updateGroups()
+			})
+		}
+
+		/**
+		 * (Re)load the deleted highlights, and group them by page
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		updateGroups() {
+			const db = new DB()
+
+			let items
+
+			return db.getTrashItems().then(trashItems => {
+				items = trashItems
+
+				return new ChromeHighlightStorage().getAll()
+			}).then(storageItems => {
+				const definitions = storageItems[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] || []
+				const groups = new Map()
+
+				for (const { doc, deleteDoc } of items) {
+					const match = doc[DB.DOCUMENT.NAME.MATCH]
+					const definition = definitions.find(d => d.className === doc[DB.DOCUMENT.NAME.CLASS_NAME])
+
+					if (!groups.has(match)) {
+						groups.set(match, { match: match, items: [] })
+					}
+
+					groups.get(match).items.push({
+						doc: doc,
+						deleteDate: deleteDoc[DB.DOCUMENT.NAME.DATE],
+						styleTitle: definition && definition.title,
+					})
+				}
+
+				// the title of a page is only on its first document
+				return Promise.all(Array.from(groups.values()).map(group => {
+					return db.getMatchingDocuments(group.match, { limit: 1 }).then(([firstDoc]) => {
+						group.title = firstDoc && firstDoc[DB.DOCUMENT.NAME.TITLE]
+						return group
+					})
+				}))
+			}).then(groups => {
+				this.scope.groups = groups
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Remove an item from its group, and the group if it's then empty
+		 *
+		 * @private
+		 * @param {Item} item
+		 * @param {Group} group
+		 * @memberof Controller
+		 */
+		removeItem(item, group) {
+			group.items.splice(group.items.indexOf(item), 1)
+
+			if (group.items.length === 0) {
+				this.scope.groups.splice(this.scope.groups.indexOf(group), 1)
+			}
+		}
+
+		// view helpers
+
+		/**
+		 * Format a retention period for its select element option
+		 *
+		 * @param {number} days
+		 * @returns {string}
+		 * @memberof Controller
+		 */
+		formatRetention(days) {
+			return days === 0 ?
+				chrome.i18n.getMessage('trash_retention_forever') :
+				chrome.i18n.getMessage('trash_retention_days', [days.toString()])
+		}
+
+		// click handlers
+
+		/**
+		 * Clicked 'restore' button of a deleted highlight. It's replayed in any tab showing its page
+		 *
+		 * @param {Item} item
+		 * @param {Group} group - group containing item
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickRestore(item, group) {
+			return new Highlighter().undelete(item.doc._id).then(() => {
+				this.removeItem(item, group)
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Clicked 'delete permanently' button of a deleted highlight
+		 *
+		 * @param {Item} item
+		 * @param {Group} group - group containing item
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickPurge(item, group) {
+			return new DB().purgeDocuments([item.doc]).then(() => {
+				this.removeItem(item, group)
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Clicked 'empty trash' button
+		 *
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickEmptyTrash() {
+			if (!window.confirm(chrome.i18n.getMessage("confirm_empty_trash"))) {
+				return Promise.resolve()
+			}
+
+			const docs = [].concat(...this.scope.groups.map(group => group.items.map(item => item.doc)))
+
+			return new DB().purgeDocuments(docs).then(() => {
+				this.scope.groups = []
+				this.scope.$apply()
+			})
+		}
+	} // end class
+
+	// static properties
+
+	Controller.SELECTOR = {
+		PILL: 'a[href="#trash"]',
+	}
+
+	// 0 means forever
+	Controller.RETENTION_DAYS_OPTIONS = [7, 30, 90, 365, 0]
+
+	// initialize
+	new Controller($scope).init()
+}])
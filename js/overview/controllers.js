@@ -27,6 +27,8 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 	 * @prop {string} sortby
 	 * @prop {string} docsCountText
 	 * @prop {Object[]} groupedDocs 
+	 * @prop {Object[]} docs - documents of all highlights, in order
+	 * @prop {Array<{format: string, title: string}>} overviewFormats - formats in which the overview can be saved or copied
 	 */
 
 	class Controller {
@@ -43,8 +45,18 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 			this.document = document
 
 			this.scope.manifest = chrome.runtime.getManifest()
+			this.templates = []
+			this.scope.overviewFormats = ChromeTabs.getOverviewFormats()
 
-			for (const func of [this.onClickHighlight]) {
+			for (const func of [
+				this.onClickHighlight,
+				this.onClickEditNote,
+				this.onClickSaveNote,
+				this.onClickCancelNote,
+				this.onClickCopyHighlightLink,
+				this.onClickSaveOverview,
+				this.onClickCopyOverview,
+			]) {
 				this.scope[func.name] = func.bind(this)
 			}
 		}
@@ -58,7 +70,7 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 		 */
 		init(locationURL) {
 			const tabs = new ChromeTabs(this.tabId)
-			const db = new DB()
+			let db
 
 			const searchParams = locationURL.searchParams
 			
@@ -68,8 +80,12 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 			return tabs.get().then(tab => {
 				this.scope.url = searchParams.has('url') ? searchParams.get('url') : tab.url
 				this.scope.title = searchParams.has('title') ? searchParams.get('title') : tab.title
+
+				// the highlights & their styles are those of the page's collection
+				const collectionId = new ChromeCollectionStorage().getCollectionId(this.scope.url)
+				db = new DB(collectionId)
 				
-				return new ChromeHighlightStorage().getAll()
+				return new ChromeHighlightStorage(collectionId).getAll()
 			}).then(items => {
 				// array of highlight definitions
 				this.scope.highlightDefinitions = items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
@@ -97,8 +113,16 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 						}
 				}
 		
+				return new ChromeTemplateStorage().getAll()
+			}).then(templates => {
+				// user defined templates follow the built-in formats
+				this.templates = templates
+				this.scope.overviewFormats = ChromeTabs.getOverviewFormats(templates)
+
+				return new ChromeMatchRuleStorage().formatMatch(this.scope.url)
+			}).then(match => {
 				// get all the documents (create & delete) associated with the match, then filter the deleted ones
-				return db.getMatchingDocuments(DB.formatMatch(this.scope.url), { excludeDeletedDocs: true})
+				return db.getMatchingDocuments(match, { excludeDeletedDocs: true})
 			}).then(docs => {
 				const comparator = tabs.getComparisonFunction(this.scope.sortby)
 	
@@ -109,7 +133,7 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 					docs.reverse()
 				}
 				
-				this.docs = docs
+				this.scope.docs = docs
 
 				// group by days since epoch
 				let groupedDocs = []
@@ -201,7 +225,9 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 				// if the highlight cant be found in DOM, flag that
 				if (!isNaN(this.tabId)) {
 					return Promise.all(docs.map(doc => {
-						return tabs.isHighlightInDOM(doc._id).then(value => doc.isInDOM = value)
+						return tabs.forFrame(doc[DB.DOCUMENT.NAME.FRAME]).then(frameTabs => {
+							return frameTabs.isHighlightInDOM(doc._id)
+						}).then(value => doc.isInDOM = value).catch(() => doc.isInDOM = false)
 					}))
 				}
 			}).then(() => {
@@ -212,7 +238,9 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 		// click handlers
 
 		onClickHighlight(doc) {
-			return new ChromeTabs(this.tabId).scrollToHighlight(doc._id).then(ok => {
+			return new ChromeTabs(this.tabId).forFrame(doc[DB.DOCUMENT.NAME.FRAME]).then(tabs => {
+				return tabs.scrollToHighlight(doc._id)
+			}).then(ok => {
 				if (!ok) {
 					return Promise.reject(new Error('unable to scroll to highlight'))
 				}
@@ -223,6 +251,117 @@ controllerModule.controller('overviewController', ["$scope", function ($scope) {
 				})
 			})
 		}
+
+		/**
+		 * Show the note editor for a highlight
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @memberof Controller
+		 */
+		onClickEditNote(doc) {
+			// edit a copy, so cancelling leaves the note unchanged
+			doc.noteDraft = doc[DB.DOCUMENT.NAME.NOTE] || ""
+			doc.isEditingNote = true
+		}
+
+		/**
+		 * Store the edited note of a highlight (and in the tab that launched the overview, if any), and hide the editor
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSaveNote(doc) {
+			const note = (doc.noteDraft || "").trim()
+
+			return new Highlighter(this.tabId).updateNote(doc._id, note).then(() => {
+				if (note.length > 0) {
+					doc[DB.DOCUMENT.NAME.NOTE] = note
+				} else {
+					delete doc[DB.DOCUMENT.NAME.NOTE]
+				}
+
+				doc.isEditingNote = false
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Copy a link to the page that scrolls to a highlight (text fragment url)
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @returns {boolean}
+		 * @memberof Controller
+		 */
+		onClickCopyHighlightLink(doc) {
+			return ClipboardUtils.copy(TextFragment.createUrl(DB.getDocumentUrl(this.scope.url), doc), this.document)
+		}
+
+		/**
+		 * Format the overview of the page's highlights
+		 * 
+		 * @private
+		 * @param {string} format - one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
+		 * @returns {string}
+		 * @memberof Controller
+		 */
+		formatOverview(format) {
+			return ChromeTabs.formatOverview(format, {
+				title: this.scope.title,
+				url: this.scope.url,
+				docs: this.scope.docs,
+				definitions: this.scope.highlightDefinitions,
+				templates: this.templates,
+			})
+		}
+
+		/**
+		 * Clicked a format of the 'save' button
+		 * 
+		 * @param {string} format - one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
+		 * @memberof Controller
+		 */
+		onClickSaveOverview(format) {
+			const { extension, type } = ChromeTabs.getOverviewFileType(format, this.templates)
+
+			const blob = new Blob([this.formatOverview(format)], { type: `${type};charset=utf-8` })
+
+			DownloadUtils.saveBlob(blob, `${chrome.i18n.getMessage("save_overview_file_base_name")}.${extension}`, this.document)
+		}
+
+		/**
+		 * Clicked a format of the 'copy' button. HTML is copied as rich text, and markdown without a footer
+		 * 
+		 * @param {string} format - one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
+		 * @returns {boolean}
+		 * @memberof Controller
+		 */
+		onClickCopyOverview(format) {
+			switch (format) {
+				case ChromeTabs.OVERVIEW_FORMAT.HTML:
+					return ClipboardUtils.copyHTML(
+						this.formatOverview(format),
+						this.formatOverview(ChromeTabs.OVERVIEW_FORMAT.TEXT),
+						this.document
+					)
+
+				case ChromeTabs.OVERVIEW_FORMAT.MARKDOWN:
+					return ClipboardUtils.copy(this.formatOverview(ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER), this.document)
+
+				default:
+					return ClipboardUtils.copy(this.formatOverview(format), this.document)
+			}
+		}
+
+		/**
+		 * Hide the note editor without storing changes
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @memberof Controller
+		 */
+		onClickCancelNote(doc) {
+			doc.isEditingNote = false
+		}
 	}// end class
 
 	let url = new URL(location.href)
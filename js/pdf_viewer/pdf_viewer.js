@@ -0,0 +1,220 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Viewer of a pdf, rendered by PDF.js.
+ * Each page is an element containing a canvas and a layer of (transparent) text, which is what gets selected & highlighted
+ * by the content scripts included in the viewer page.
+ *
+ * @class PdfViewer
+ */
+class PdfViewer {
+  /**
+   * Creates an instance of PdfViewer.
+   *
+   * @param {Document} document - viewer page document
+   * @memberof PdfViewer
+   */
+  constructor(document) {
+    this.document = document
+
+    // page elements whose canvas isn't yet rendered, mapped to their PDFPageProxy
+    this.unrenderedPages = new Map()
+  }
+
+  /**
+   * Initializer. Loads the pdf whose url is the page's query parameter, adds its pages, then asks the event page
+   * to play back its highlights
+   *
+   * @returns {Promise}
+   * @memberof PdfViewer
+   */
+  init() {
+    const url = new URL(this.document.location.href).searchParams.get(DB.PDF_VIEWER.FILE_PARAM)
+
+    this.container = this.document.getElementById(PdfViewer.ELEMENT_ID.CONTAINER)
+    this.document.title = chrome.i18n.getMessage('pdf_viewer_title')
+
+    if (!url) {
+      this.showError(new Error('No pdf url'))
+      return Promise.resolve()
+    }
+
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PdfViewer.WORKER_SRC
+
+    // canvases are only rendered when their page is (nearly) visible
+    this.observer = new IntersectionObserver(this.onIntersection.bind(this), {
+      rootMargin: PdfViewer.RENDER_MARGIN
+    })
+
+    return pdfjsLib.getDocument(url).promise.then(pdf => {
+      this.pdf = pdf
+
+      return Promise.all([
+        pdf.getMetadata().catch(() => null),
+        pdf.getPage(1),
+      ])
+    }).then(([metadata, firstPage]) => {
+      // title of tab is used as the title of the highlights' page
+      this.document.title = (metadata && metadata.info && metadata.info.Title) ||
+        decodeURIComponent(new URL(url).pathname.split('/').pop()) ||
+        url
+
+      // fit width of first page to viewer
+      const { width } = firstPage.getViewport({ scale: 1 })
+      this.scale = Math.min(PdfViewer.MAX_SCALE, (this.container.clientWidth - PdfViewer.PAGE_MARGIN * 2) / width)
+
+      // the text of every page must be in the DOM before highlights are played back, so add pages in order
+      let promise = Promise.resolve()
+
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        promise = promise.then(() => this.addPage(pageNumber))
+      }
+
+      return promise
+    }).then(() => {
+      return ChromeRuntimeHandler.playbackDocuments()
+    }).catch(e => {
+      this.showError(e)
+    })
+  }
+
+  /**
+   * Add the element of a page, and render its text layer
+   *
+   * @private
+   * @param {number} pageNumber - number of page (from 1)
+   * @returns {Promise}
+   * @memberof PdfViewer
+   */
+  addPage(pageNumber) {
+    return this.pdf.getPage(pageNumber).then(page => {
+      const viewport = page.getViewport({ scale: this.scale })
+
+      // the attribute identifies the page for the text anchors of its highlights
+      const pageElm = this.document.createElement('div')
+      pageElm.classList.add(PdfViewer.CLASS_NAME.PAGE)
+      pageElm.setAttribute(TextAnchor.PAGE_NUMBER_ATTRIBUTE_NAME, pageNumber.toString())
+      pageElm.style.width = `${viewport.width}px`
+      pageElm.style.height = `${viewport.height}px`
+
+      const textLayerElm = this.document.createElement('div')
+      textLayerElm.classList.add(PdfViewer.CLASS_NAME.TEXT_LAYER)
+
+      pageElm.append(this.document.createElement('canvas'), textLayerElm)
+      this.container.appendChild(pageElm)
+
+      this.unrenderedPages.set(pageElm, page)
+      this.observer.observe(pageElm)
+
+      return page.getTextContent().then(textContent => {
+        return pdfjsLib.renderTextLayer({
+          textContent: textContent,
+          container: textLayerElm,
+          viewport: viewport,
+          textDivs: [],
+        }).promise
+      })
+    })
+  }
+
+  /**
+   * Page elements scrolled into (or out of) view
+   *
+   * @private
+   * @param {IntersectionObserverEntry[]} entries
+   * @memberof PdfViewer
+   */
+  onIntersection(entries) {
+    for (const { target, isIntersecting } of entries) {
+      const page = this.unrenderedPages.get(target)
+
+      if (!isIntersecting || !page) {
+        continue
+      }
+
+      this.unrenderedPages.delete(target)
+      this.observer.unobserve(target)
+
+      // unhandled promise
+      this.renderCanvas(target, page).catch(e => console.error(e))
+    }
+  }
+
+  /**
+   * Render the graphics of a page into its canvas
+   *
+   * @private
+   * @param {HTMLElement} pageElm - page element
+   * @param {Object} page - PDFPageProxy of page
+   * @returns {Promise}
+   * @memberof PdfViewer
+   */
+  renderCanvas(pageElm, page) {
+    const viewport = page.getViewport({ scale: this.scale })
+    const canvas = pageElm.querySelector('canvas')
+    const ratio = window.devicePixelRatio || 1
+
+    // sharp on high density displays
+    canvas.width = Math.floor(viewport.width * ratio)
+    canvas.height = Math.floor(viewport.height * ratio)
+    canvas.style.width = `${viewport.width}px`
+    canvas.style.height = `${viewport.height}px`
+
+    return page.render({
+      canvasContext: canvas.getContext('2d'),
+      viewport: viewport,
+      transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+    }).promise
+  }
+
+  /**
+   * Show that the pdf couldn't be loaded
+   *
+   * @private
+   * @param {Error} error
+   * @memberof PdfViewer
+   */
+  showError(error) {
+    console.error(error)
+
+    const elm = this.document.getElementById(PdfViewer.ELEMENT_ID.ERROR)
+    elm.textContent = `${chrome.i18n.getMessage('pdf_viewer_load_failed')}: ${error.message}`
+    elm.hidden = false
+  }
+}
+
+// static properties
+
+PdfViewer.WORKER_SRC = 'static/js/pdf.worker-2.16.105.min.js'
+
+PdfViewer.ELEMENT_ID = {
+  CONTAINER: 'viewer',
+  ERROR: 'error',
+}
+
+PdfViewer.CLASS_NAME = {
+  PAGE: 'page',
+  TEXT_LAYER: 'textLayer',
+}
+
+// pixels either side of each page
+PdfViewer.PAGE_MARGIN = 8
+PdfViewer.MAX_SCALE = 2
+
+// distance from the viewport within which pages' canvases are rendered
+PdfViewer.RENDER_MARGIN = '100%'
@@ -35,6 +35,28 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 	 * @prop {boolean} fileAccessRequiredWarningVisible
 	 * @prop {Object[]} groupedDocs 
 	 * @prop {Object[]} docs
+	 * @prop {Page} page
+	 * @prop {Journal} journal
+	 * @prop {ChromeCollectionStorage.Collection[]} collections
+	 * @prop {CurrentCollection} collection
+	 */
+
+	/**
+	 * @typedef {Object} CurrentCollection
+	 * @prop {string} [id] - id of the collection of the page's highlights
+	 * @prop {ChromeCollectionStorage.CollectionRule} [rule] - rule that picked the collection, which then can't be switched here
+	 */
+
+	/**
+	 * @typedef {Object} Page
+	 * @prop {string} [docId] - id of first 'create' document of the page, on which its tags are stored
+	 * @prop {string[]} tags - tags of the page
+	 */
+
+	/**
+	 * @typedef {Object} Journal
+	 * @prop {Object} [undo] - entry of the operation undone next
+	 * @prop {Object} [redo] - entry of the operation redone next
 	 */
 
 	/**
@@ -69,27 +91,29 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 			this.scope.commands = {}
 			// this.scope.sort = {}
 			this.scope.search = {}
+			this.scope.page = { tags: [] }
+			this.scope.journal = {}
+			this.scope.collections = []
+			this.scope.collection = {}
+			// formats of the 'save' & 'copy' overview menu items, followed by those of user defined templates once loaded
+			this.templates = []
+			this.scope.overviewFormats = ChromeTabs.getOverviewFormats()
 			this.scope.filters = {
 				// by style and text of any document within group
 				group: (group) => {
-					const searchText = this.scope.search.text && this.scope.search.text.toLowerCase()
-		
-					return group.docs.some(doc => {
-						// delegate to search.text and styleFilterPredicate
-						return (!searchText ||
-							(typeof doc.text === 'string' && doc.text.toLowerCase().indexOf(searchText) != -1
-						))
-					})
+					return group.docs.some(doc => this.scope.filters.text(doc))
 				},
 		
-				// by current text search string of document
+				// by current text search string of document. Words starting with '#' are tags of the document or page
 				text: (doc) => {
-					const searchText = this.scope.search.text && this.scope.search.text.toLowerCase()
+					const { text, tags } = Controller.parseSearchText(this.scope.search.text || "")
 		
-					return (!searchText || (
+					return (text.length === 0 || (
 						typeof doc.text === 'string'
-						&& doc.text.toLowerCase().indexOf(searchText) != -1
-					))
+						&& doc.text.toLowerCase().indexOf(text) != -1
+					)) && tags.every(tag => {
+						return (doc[DB.DOCUMENT.NAME.TAGS] || []).includes(tag) || this.scope.page.tags.includes(tag)
+					})
 				},
 			}
 
@@ -103,15 +127,27 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 				this.onClickRemoveHighlight,
 
 				this.onClickCopyHighlight,
+				this.onClickCopyHighlightLink,
 				this.onClickSelectHighlight,
 				this.onClickSpeakHighlight,
 				this.onClickDefineHighlight,
-
-				this.onClickUndoLastHighlight,
+				this.onClickEditNote,
+				this.onClickSaveNote,
+				this.onClickCancelNote,
+				this.onClickReattachHighlight,
+				this.onClickEditTags,
+				this.onClickSaveTags,
+				this.onClickSavePageTags,
+				this.onClickCancelTags,
+				this.onClickTag,
+
+				this.onClickUndo,
+				this.onClickRedo,
 				this.onClickOpenOverview,
 				this.onClickSaveOverview,
 				this.onClickCopyOverview,
 				this.onClickRemoveAllHighlights,
+				this.onClickSelectCollection,
 
 				this.onClickDismissFileAccessRequiredWarning
 			]) {
@@ -133,8 +169,31 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 			this.styleSheetManager.init()
 			
 			// async
-			// 1 - get current highlight styles, and apply to DOM
-			return new ChromeHighlightStorage().getAll().then(items => {
+			// 1 - get the collection of the active tab's page
+			return ChromeTabs.queryActiveTab().then(tab => {
+				if (!tab) {
+					return Promise.reject(new Error('no active tab'))
+				}
+
+				// url of the pdf, if the tab is the pdf viewer
+				activeTabURL = new URL(DB.getDocumentUrl(tab.url))
+
+				const storage = new ChromeCollectionStorage()
+
+				return Promise.all([
+					storage.getAll(),
+					storage.getRule(tab.url),
+					storage.getCollectionId(tab.url),
+				])
+			}).then(([collections, rule, collectionId]) => {
+				this.collectionId = collectionId
+
+				this.scope.collections = collections
+				this.scope.collection = { id: collectionId, rule: rule }
+
+				// 2 - get current highlight styles of the collection, and apply to DOM
+				return new ChromeHighlightStorage(collectionId).getAll()
+			}).then(items => {
 					// 1 - shared highlight styles
 					let key = ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE
 
@@ -152,21 +211,17 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 								this.styleSheetManager.setRule(hd)
 							}
 					}
-			
-					return ChromeTabs.queryActiveTab()
-			}).then(tab => {
-				if (!tab) {
-					return Promise.reject(new Error('no active tab'))
-				}
-
-				activeTabURL = new URL(tab.url)
 
-				return new ChromeHighlightStorage().getAll()
-			}).then(items => {
 				// array of highlight definitions
 				this.scope.highlightDefinitions = items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
 
+				return new ChromeTemplateStorage().getAll()
+			}).then(templates => {
+				this.templates = templates
+				this.scope.overviewFormats = ChromeTabs.getOverviewFormats(templates)
+
 				return new ChromeStorage().get([
+					ChromeStorage.KEYS.CITATION_FORMAT,
 					ChromeStorage.KEYS.POPUP_HIGHLIGHT_TEXT_MAX_LENGTH,
 					ChromeStorage.KEYS.FILE_ACCESS_REQUIRED_WARNING_DISMISSED,
 					ChromeStorage.KEYS.HIGHLIGHT.SORT_BY,
@@ -174,6 +229,8 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 				])
 			}).then(items => {
 				// 1 - initialize controller variables
+				this.citationFormat = items[ChromeStorage.KEYS.CITATION_FORMAT]
+
 				if (items[ChromeStorage.KEYS.POPUP_HIGHLIGHT_TEXT_MAX_LENGTH]) {
 					this.scope.popupHighlightTextMaxLength = items[ChromeStorage.KEYS.POPUP_HIGHLIGHT_TEXT_MAX_LENGTH]
 				}
@@ -258,7 +315,8 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 		 * @memberof Controller
 		 */
 		updateDocs() {
-			let tabs
+			const db = new DB(this.collectionId)
+			let tabs, orphanedDocIds
 
 			return ChromeTabs.queryActiveTab().then(tab => {
 				if (!tab) {
@@ -267,12 +325,38 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 
 				tabs = new ChromeTabs(tab.id)
 
-				// get all the documents (create & delete) associated with the match, then filter the deleted ones
-				return new DB().getMatchingDocuments(DB.formatMatch(tab.url), { excludeDeletedDocs: true })
-			}).then(docs => {
+				return new ChromeMatchRuleStorage().formatMatch(tab.url)
+			}).then(match => {
+				return Promise.all([
+					// get all the documents (create & delete) associated with the match, then filter the deleted ones
+					db.getMatchingDocuments(match, { excludeDeletedDocs: true }),
+					// the tags of the page are on its first document, even if it has been deleted
+					db.getMatchingDocuments(match, { descending: false, limit: 1 }),
+					new ChromeJournalStorage().getJournal(match),
+					new ChromeOrphanStorage().getAll().then(orphans => orphans[match] || []),
+				])
+			}).then(([docs, [firstDoc], journal, ids]) => {
+				// the same ids the repair of a highlight updates
+				orphanedDocIds = new Set(ids)
+
+				// operations that can be undone & redone next
+				this.scope.journal = {
+					undo: ChromeJournalStorage.getUndoEntry(journal),
+					redo: ChromeJournalStorage.getRedoEntry(journal),
+				}
+
+				this.scope.page = {
+					docId: firstDoc && firstDoc._id,
+					tags: (firstDoc && firstDoc[DB.DOCUMENT.NAME.PAGE_TAGS]) || [],
+				}
+
+
 				// if the highlight cant be found in DOM, flag that
 				return Promise.all(docs.map(d => {
-					return tabs.isHighlightInDOM(d._id).then(isInDOM => {
+					// highlight may be in a subframe
+					return tabs.forFrame(d[DB.DOCUMENT.NAME.FRAME]).then(frameTabs => {
+						return frameTabs.isHighlightInDOM(d._id)
+					}).then(isInDOM => {
 						d.isInDOM = isInDOM
 					}).catch(() => {
 						// swallow
@@ -292,6 +376,9 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 
 				this.scope.docs = docs
 
+				// highlights whose 'create' doc couldn't be played back in the page
+				this.scope.orphanedDocs = docs.filter(d => orphanedDocIds.has(d._id))
+
 				// group by days since epoch
 				let groupedDocs = []
 
@@ -464,7 +551,9 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 					return Promise.reject(new Error('no active tab'))
 				}
 				
-				return new ChromeTabs(tab.id).scrollToHighlight(doc._id)
+				return new ChromeTabs(tab.id).forFrame(doc[DB.DOCUMENT.NAME.FRAME])
+			}).then(tabs => {
+				return tabs.scrollToHighlight(doc._id)
 			})
 		}
 
@@ -485,19 +574,14 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 					return Promise.reject(new Error('no active tab'))
 				}
 
-				// remove document from database
+				// move document to the trash
 				return new Highlighter(tab.id).delete(doc._id)
-			}).then(responses => {
-				// response is empty array if no documents needed to be removed, which is still a success
-				if (responses.some(({ ok }) => ok)) {
-					return Promise.resolve();//reject(new Error())
-				}
-
+			}).then(() => {
 				// regroup documents in popup controller
 				return this.updateDocs()
 			}).then(docs => {
 				// close popup on last doc removed
-				if (typeof docs === 'undefined' || docs.length === 0) {
+				if (docs.length === 0) {
 					window.close()
 					return
 				}
@@ -527,23 +611,213 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 		// infobar event handlers
 
 		/**
-		 * Copy the text property value of a document to the clipboard (text format)
+		 * Copy the text property value of a document to the clipboard, as html keeping its style's colors and as plain text.
+		 * Both are followed by a citation of the page.
 		 * 
 		 * @param {Object} doc - 'create' doc of highlight
-		 * @returns {boolean} true on success
+		 * @returns {Promise<boolean>} true on success
 		 * @memberof Controller
 		 */
 		onClickCopyHighlight(doc) {
 			if (typeof doc.text !== 'string') {
-				return false
+				return Promise.resolve(false)
 			}
 
-			if (ClipboardUtils.copy(doc.text, window.document)) {
+			return ChromeTabs.queryActiveTab().then(tab => {
+				if (!tab) {
+					return Promise.reject(new Error('no active tab'))
+				}
+
+				const { html, text } = Citation.createClipboardData(doc, {
+					title: tab.title,
+					// url of the pdf, if the tab is the pdf viewer
+					url: DB.getDocumentUrl(tab.url),
+				}, {
+					definition: this.scope.highlightDefinitions.find(d => d.className === doc[DB.DOCUMENT.NAME.CLASS_NAME]),
+					format: this.citationFormat,
+				})
+
+				if (!ClipboardUtils.copyHTML(html, text, window.document)) {
+					return false
+				}
+
 				window.close()
 				return true
+			})
+		}
+
+		/**
+		 * Copy a link to the page that scrolls to the highlight (text fragment url)
+		 * 
+		 * @param {Object} doc - 'create' doc of highlight
+		 * @returns {Promise<boolean>} true on success
+		 * @memberof Controller
+		 */
+		onClickCopyHighlightLink(doc) {
+			return ChromeTabs.queryActiveTab().then(tab => {
+				if (!tab) {
+					return Promise.reject(new Error('no active tab'))
+				}
+
+				if (!ClipboardUtils.copy(TextFragment.createUrl(DB.getDocumentUrl(tab.url), doc), window.document)) {
+					return false
+				}
+
+				window.close()
+				return true
+			})
+		}
+
+		/**
+		 * Re-attach a highlight that couldn't be found in the page to the current selection of the page
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickReattachHighlight(doc) {
+			return ChromeTabs.queryActiveTab().then(tab => {
+				if (!tab) {
+					return Promise.reject(new Error('no active tab'))
+				}
+
+				return new Highlighter(tab.id).reattach(doc._id).then(() => {
+					// remove selection
+					return new ChromeTabs(tab.id).selectRange()
+				})
+			}).then(() => {
+				return this.updateDocs()
+			}).then(() => {
+				this.scope.$apply()
+			}).catch(e => {
+				// nothing selected, most likely
+				console.error(e)
+				this.scope.$apply(() => {
+					doc.isReattachFailed = true
+				})
+			})
+		}
+
+		/**
+		 * Show the note editor for a highlight
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @memberof Controller
+		 */
+		onClickEditNote(doc) {
+			// edit a copy, so cancelling leaves the note unchanged
+			doc.noteDraft = doc[DB.DOCUMENT.NAME.NOTE] || ""
+			doc.isEditingNote = true
+		}
+
+		/**
+		 * Store the edited note of a highlight, and hide the editor
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSaveNote(doc) {
+			const note = (doc.noteDraft || "").trim()
+
+			return ChromeTabs.queryActiveTab().then(tab => {
+				if (!tab) {
+					return Promise.reject(new Error('no active tab'))
+				}
+
+				return new Highlighter(tab.id).updateNote(doc._id, note)
+			}).then(() => {
+				if (note.length > 0) {
+					doc[DB.DOCUMENT.NAME.NOTE] = note
+				} else {
+					delete doc[DB.DOCUMENT.NAME.NOTE]
+				}
+
+				doc.isEditingNote = false
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Hide the note editor without storing changes
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @memberof Controller
+		 */
+		onClickCancelNote(doc) {
+			doc.isEditingNote = false
+		}
+
+		/**
+		 * Show the tag editor for a highlight or the page
+		 * 
+		 * @param {Object} item - document defining highlight, or scope.page
+		 * @memberof Controller
+		 */
+		onClickEditTags(item) {
+			// edit a copy, so cancelling leaves the tags unchanged
+			item.tagsDraft = (item[DB.DOCUMENT.NAME.TAGS] || []).join(', ')
+			item.isEditingTags = true
+		}
+
+		/**
+		 * Store the edited tags of a highlight, and hide the editor
+		 * 
+		 * @param {Object} doc - document defining highlight
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSaveTags(doc) {
+			const tags = DB.parseTags(doc.tagsDraft || "")
+
+			return new DB(this.collectionId).updateCreateDocument(doc._id, { tags: tags }).then(() => {
+				doc[DB.DOCUMENT.NAME.TAGS] = tags
+				doc.isEditingTags = false
+
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Store the edited tags of the page, and hide the editor
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSavePageTags() {
+			const page = this.scope.page
+			const tags = DB.parseTags(page.tagsDraft || "")
+
+			if (!page.docId) {
+				return Promise.reject(new Error('page has no documents'))
 			}
 
-			return false
+			return new DB(this.collectionId).updateCreateDocument(page.docId, { pageTags: tags }).then(() => {
+				page.tags = tags
+				page.isEditingTags = false
+
+				this.scope.$apply()
+			})
+		}
+
+		/**
+		 * Hide the tag editor without storing changes
+		 * 
+		 * @param {Object} item - document defining highlight, or scope.page
+		 * @memberof Controller
+		 */
+		onClickCancelTags(item) {
+			item.isEditingTags = false
+		}
+
+		/**
+		 * Clicked a tag. Searches for it
+		 * 
+		 * @param {string} tag
+		 * @memberof Controller
+		 */
+		onClickTag(tag) {
+			this.scope.search.text = `#${tag}`
 		}
 
 		/**
@@ -563,8 +837,8 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 					return Promise.reject(new Error('no active tab'))
 				}
 			
-				const tabs = new ChromeTabs(tab.id)
-
+				return new ChromeTabs(tab.id).forFrame(doc[DB.DOCUMENT.NAME.FRAME])
+			}).then(tabs => {
 				// select and scroll to it
 				return tabs.selectHighlight(doc._id).then(() => tabs.scrollToHighlight(doc._id))
 			}).then(() => { 
@@ -640,22 +914,39 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 		 * @returns {Promise}
 		 * @memberof Controller
 		 */
-		onClickUndoLastHighlight() {
+		onClickUndo() {
+			return this.walkJournal(highlighter => highlighter.undo())
+		}
+
+		/**
+		 * Clicked 'redo' in menu
+		 * 
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickRedo() {
+			return this.walkJournal(highlighter => highlighter.redo())
+		}
+
+		/**
+		 * Undo or redo an operation in the journal of the active tab's page, then update the highlights
+		 * 
+		 * @private
+		 * @param {Function} func - function taking the Highlighter of the active tab, returning a promise
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		walkJournal(func) {
 			return ChromeTabs.queryActiveTab().then(tab => {
 				if (!tab) {
 					return Promise.reject(new Error('no active tab'))
 				}
 			
-				return new Highlighter(tab.id).undo()
-			}).then(results => {
-				if (results.some(r => !r.ok)) {
-					return Promise.reject(new Error())
-				}
-
+				return func(new Highlighter(tab.id))
+			}).then(() => {
 				return this.updateDocs()
 			}).then(docs => {
-				// console.log(docs)
-				// // close popup on last doc removed
+				// close popup on last doc removed
 				if (docs.length === 0) {
 					window.close()
 					return
@@ -700,12 +991,13 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 		}
 
 		/**
-		 * Clicked 'save overview' in menu
+		 * Clicked a format of 'save overview' in menu
 		 * 
+		 * @param {string} format - one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
 		 * @returns {Promise}
 		 * @memberof Controller
 		 */
-		onClickSaveOverview() {
+		onClickSaveOverview(format) {
 			return ChromeTabs.queryActiveTab().then(tab => {
 				if (!tab) {
 					return Promise.reject(new Error('no active tab'))
@@ -714,7 +1006,7 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 				const tabs = new ChromeTabs(tab.id)
 
 				return tabs.getFormattedOverviewText(
-					ChromeTabs.OVERVIEW_FORMAT.MARKDOWN,
+					format,
 					tabs.getComparisonFunction(this.scope.sort.value),
 					this.scope.sort.invert
 				)
@@ -723,52 +1015,46 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 					return
 				}
 
-				// create a temporary anchor to navigate to data uri
-				const anchorElm = document.createElement("a")
-
-				function utf8_to_b64(str) {
-					return window.btoa(unescape(encodeURIComponent(str)))
-				};
+				const { extension, type } = ChromeTabs.getOverviewFileType(format, this.templates)
 
-				anchorElm.download = chrome.i18n.getMessage("save_overview_file_name")
-				anchorElm.href = `data:text;base64,${utf8_to_b64(text)}`
+				const blob = new Blob([text], { type: `${type};charset=utf-8` })
 
-				// create & dispatch mouse event to hidden anchor
-				const event = document.createEvent("MouseEvent")
-
-				event.initMouseEvent("click", true, true, window,
-					0, 0, 0, 0, 0, false, false, false, false, 0, null)
-
-				anchorElm.dispatchEvent(event)
+				DownloadUtils.saveBlob(blob, `${chrome.i18n.getMessage("save_overview_file_base_name")}.${extension}`, window.document)
 			})
 		}
 
 		/**
-		 * Clicked 'copy overview' menu item
+		 * Clicked a format of 'copy overview' menu item. HTML is copied as rich text
 		 * 
+		 * @param {string} format - one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
 		 * @returns {Promise<boolean>}
 		 * @memberof Controller
 		 */
-		onClickCopyOverview() {
+		onClickCopyOverview(format) {
 			return ChromeTabs.queryActiveTab().then(tab => {
 				if (!tab) {
 					return Promise.reject(new Error('no active tab'))
 				}
 			
-				// format all highlights as a markdown document
 				const tabs = new ChromeTabs(tab.id)
+				// a copied markdown document never has a footer
+				const formats = format === ChromeTabs.OVERVIEW_FORMAT.HTML ?
+					[format, ChromeTabs.OVERVIEW_FORMAT.TEXT] :
+					[format === ChromeTabs.OVERVIEW_FORMAT.MARKDOWN ? ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER : format]
 
-				return tabs.getFormattedOverviewText(
-					ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER,
+				return Promise.all(formats.map(f => tabs.getFormattedOverviewText(
+					f,
 					tabs.getComparisonFunction(this.scope.sort.value),
 					this.scope.sort.invert
-				)
-			}).then(text => {
+				)))
+			}).then(([text, alternativeText]) => {
 				if (!text) {
 					return
 				}
 
-				return ClipboardUtils.copy(text, window.document)
+				return alternativeText === undefined ?
+					ClipboardUtils.copy(text, window.document) :
+					ClipboardUtils.copyHTML(text, alternativeText, window.document)
 			})
 		}
 
@@ -784,7 +1070,31 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 					return Promise.reject(new Error('no active tab'))
 				}
 		
-				return new Highlighter(tab.id).deleteMatching(DB.formatMatch(tab.url))
+				return new ChromeMatchRuleStorage().formatMatch(tab.url).then(match => {
+					return new Highlighter(tab.id).deleteMatching(match)
+				})
+			}).then(() => {
+				window.close()
+			})
+		}
+
+		/**
+		 * Clicked a collection in the menu. It becomes the active collection, and the page is reloaded to show its highlights
+		 * 
+		 * @param {ChromeCollectionStorage.Collection} collection
+		 * @returns {Promise}
+		 * @memberof Controller
+		 */
+		onClickSelectCollection(collection) {
+			// the collection of pages with a rule isn't the active collection
+			if (this.scope.collection.rule || collection.id === this.scope.collection.id) {
+				return Promise.resolve()
+			}
+
+			return new ChromeCollectionStorage().setActiveId(collection.id).then(() => {
+				return ChromeTabs.queryActiveTab()
+			}).then(tab => {
+				return tab && new ChromeTabs(tab.id).reload()
 			}).then(() => {
 				window.close()
 			})
@@ -800,6 +1110,29 @@ controllerModule.controller('popupController', ["$scope", function ($scope) {
 		onClickDismissFileAccessRequiredWarning() {
 			this.fileAccessRequiredWarningVisible = false
 		}
+
+		// static
+
+		/**
+		 * Split the text of the search box into tags (words starting with '#') and the remaining text
+		 * 
+		 * @static
+		 * @param {string} searchText - e.g. '#todo some text'
+		 * @returns {{text: string, tags: string[]}} lower case text, and tags (e.g. {text: 'some text', tags: ['todo']})
+		 * @memberof Controller
+		 */
+		static parseSearchText(searchText) {
+			const tags = []
+			const text = searchText.replace(/(^|\s)#(\S+)/g, (match, space, tag) => {
+				tags.push(...DB.parseTags(tag))
+				return space
+			})
+
+			return {
+				text: text.trim().toLowerCase(),
+				tags: tags,
+			}
+		}
 	} // end class Controller
 
 	// static properties
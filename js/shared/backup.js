@@ -0,0 +1,457 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Static helpers for backups of the databases & highlight styles of every collection, exported as newline delimited json.
+ * The first line is a header, the second the stored highlight styles, and the remainder a section for each collection:
+ * a line describing the collection (with its own highlight styles, if any), followed by a replication stream of its database.
+ * Version 1 backups, made before collections existed, have a single replication stream (of the default collection) without the line.
+ * 
+ * @class Backup
+ */
+class Backup {
+  /**
+   * @typedef {Object} Header
+   * @prop {string} magic
+   * @prop {number} version
+   */
+
+  /**
+   * @typedef {Object} Issue
+   * @prop {string} type - one of Backup.ISSUE_TYPE
+   * @prop {number} [line] - line number (from 1) of a malformed line
+   * @prop {string} [docId] - id of document with issue
+   * @prop {string} [value] - unknown verb, id of missing create document, or invalid color
+   * @prop {string} [title] - title of style with invalid color
+   * @prop {string} [property] - style property with invalid color
+   */
+
+  /**
+   * @typedef {Object} Stats
+   * @prop {number} pages - number of pages with 'create' documents
+   * @prop {number} highlights - number of 'create' documents
+   * @prop {number} deleteDocs - number of 'delete' documents
+   * @prop {number} styles - number of highlight definitions
+   * @prop {number} collections - number of collections
+   */
+
+  /**
+   * @typedef {Object} CollectionBackup
+   * @prop {ChromeCollectionStorage.Collection} collection - collection, and its own highlight definitions (`highlightDefinitions`) if any
+   * @prop {string} dump - replication stream of collection's database, excluding malformed lines
+   * @prop {DB.Document[]} docs - documents of the dump (excluding design & deleted documents)
+   */
+
+  /**
+   * @typedef {Object} ParsedBackup
+   * @prop {Object} storageItems - highlight definitions (of the default collection, and those without their own) & shared style
+   * @prop {CollectionBackup[]} collections - backups of each collection
+   * @prop {DB.Document[]} docs - documents of every collection
+   * @prop {Stats} stats
+   * @prop {Issue[]} issues - problems found, which don't prevent an import
+   */
+
+  /**
+   * @typedef {Object} Filters
+   * @prop {string[]} [matches] - matches of pages to include
+   * @prop {string} [domain] - domain (including its subdomains) of pages to include
+   * @prop {number} [fromDate] - earliest date of highlights to include
+   * @prop {number} [toDate] - latest date of highlights to include
+   * @prop {string[]} [classNames] - class names of styles of highlights to include
+   * @prop {string} [collectionId] - id of the only collection to include (i.e. of the matches)
+   */
+
+  /**
+   * Create a backup of the databases and stored highlight styles of every collection
+   * 
+   * @static
+   * @param {Filters} [filters] - filters of highlights to include. If any are defined, only the styles of included highlights are included
+   * @returns {Promise<string>} newline delimited json
+   * @memberof Backup
+   */
+  static create(filters = {}) {
+    /** @type {Header} */
+    const header = {
+      magic: Backup.MAGIC,
+      version: Backup.VERSION,
+    }
+
+    return Promise.all([
+      new ChromeHighlightStorage(ChromeCollectionStorage.DEFAULT_ID).getAll({ defaults: false }),
+      new ChromeCollectionStorage().getAll(),
+    ]).then(([items, collections]) => {
+      if (typeof filters.collectionId === 'string') {
+        collections = collections.filter(c => c.id === filters.collectionId)
+      }
+
+      // the same temporary stream & database names are used by each collection, so they're backed up in turn
+      return PromiseUtils.serial(collections.map(collection => () => Backup.createCollectionSection(collection, filters))).then(sections => {
+        const definitions = items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
+
+        // null definitions imply the defaults
+        if (definitions && Backup.isFiltering(filters)) {
+          const classNames = new Set([].concat(...sections.map(s => Array.from(s.classNames))))
+          items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] = definitions.filter(d => classNames.has(d.className))
+        }
+
+        // the first item (after header) is always the highlights object
+        return [JSON.stringify(header), JSON.stringify(items)].concat(sections.map(s => s.ldjson)).join('\n')
+      })
+    })
+  }
+
+  /**
+   * Create the section of a backup for a collection
+   * 
+   * @private
+   * @static
+   * @param {ChromeCollectionStorage.Collection} collection
+   * @param {Filters} filters
+   * @returns {Promise<{ldjson: string, classNames: Set<string>}>} newline delimited json of section, and class names of the shared styles
+   *  used by its included highlights
+   * @memberof Backup
+   */
+  static createCollectionSection(collection, filters) {
+    const db = new DB(collection.id)
+    const storage = new ChromeHighlightStorage(collection.id)
+    const isDefault = collection.id === ChromeCollectionStorage.DEFAULT_ID
+
+    return Promise.all([
+      Backup.isFiltering(filters) ? db.getAllDocuments() : Promise.resolve(null),
+      isDefault ? Promise.resolve(false) : storage.hasOwnDefinitions(),
+    ]).then(([docs, hasOwnDefinitions]) => {
+      return (hasOwnDefinitions ? storage.getAll() : Promise.resolve(null)).then(ownItems => {
+        let filter = undefined
+        let classNames = new Set()
+
+        if (docs) {
+          const ids = Backup.getDocumentIds(docs, filters)
+
+          classNames = new Set(docs.filter(d => ids.has(d._id)).map(d => d[DB.DOCUMENT.NAME.CLASS_NAME]))
+          filter = doc => ids.has(doc._id)
+        }
+
+        /** @type {ChromeCollectionStorage.Collection} */
+        const c = {
+          id: collection.id,
+          title: collection.title,
+        }
+
+        if (ownItems) {
+          c[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] = ownItems[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
+            .filter(d => !docs || classNames.has(d.className))
+        }
+
+        const lines = [JSON.stringify({ [Backup.COLLECTION_KEY]: c })]
+        const stream = new window.memorystream();
+
+        stream.on('data', chunk => {
+          lines.push(chunk.toString())
+        })
+
+        return db.dumpDB(stream, { filter: filter }).then(() => ({
+          ldjson: lines.join('\n'),
+          // highlights of a collection with its own styles don't use the shared ones
+          classNames: ownItems ? new Set() : classNames,
+        }))
+      })
+    })
+  }
+
+  /**
+   * Are any filters defined
+   * 
+   * @static
+   * @param {Filters} filters
+   * @returns {boolean}
+   * @memberof Backup
+   */
+  static isFiltering({ matches, domain, fromDate, toDate, classNames } = {}) {
+    return Array.isArray(matches) ||
+      !!(domain && domain.trim()) ||
+      typeof fromDate === 'number' ||
+      typeof toDate === 'number' ||
+      Array.isArray(classNames)
+  }
+
+  /**
+   * Get the ids of the documents that pass the filters. A 'delete' document passes if its 'create' document does
+   * 
+   * @static
+   * @param {DB.Document[]} docs
+   * @param {Filters} filters
+   * @returns {Set<string>}
+   * @memberof Backup
+   */
+  static getDocumentIds(docs, { matches, domain, fromDate, toDate, classNames } = {}) {
+    const matchSet = Array.isArray(matches) && new Set(matches)
+    const classNameSet = Array.isArray(classNames) && new Set(classNames)
+
+    const ids = new Set(docs.filter(doc => {
+      const match = doc[DB.DOCUMENT.NAME.MATCH]
+      const date = doc[DB.DOCUMENT.NAME.DATE]
+
+      return doc[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE &&
+        (!matchSet || matchSet.has(match)) &&
+        (!(domain && domain.trim()) || HighlightSearch.isMatchInDomain(match, domain)) &&
+        (typeof fromDate !== 'number' || date >= fromDate) &&
+        (typeof toDate !== 'number' || date <= toDate) &&
+        (!classNameSet || classNameSet.has(doc[DB.DOCUMENT.NAME.CLASS_NAME]))
+    }).map(doc => doc._id))
+
+    for (const doc of docs) {
+      if (doc[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.DELETE && ids.has(doc[DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID])) {
+        ids.add(doc._id)
+      }
+    }
+
+    return ids
+  }
+
+  /**
+   * Parse and validate the text of a backup
+   * 
+   * @static
+   * @param {string} text - newline delimited json
+   * @returns {ParsedBackup}
+   * @throws {Error} if text isn't a backup
+   * @memberof Backup
+   */
+  static parse(text) {
+    // line numbers are of the original text, so empty lines are kept until numbered
+    const lines = text.replace(/\r\n/g, '\n').split('\n')
+      .map((line, index) => ({ line: line, number: index + 1 }))
+      .filter(({ line }) => line.length > 0)
+
+    if (lines.length < 2) {
+      throw new Error(Backup.ERROR_MESSAGE.INVALID_FILE)
+    }
+
+    /** @type {Header} */
+    let header
+    let storageItems
+
+    try {
+      header = JSON.parse(lines[0].line)
+      storageItems = JSON.parse(lines[1].line) || {}
+    } catch (e) {
+      throw new Error(Backup.ERROR_MESSAGE.INVALID_FILE)
+    }
+
+    if (!header || header.magic !== Backup.MAGIC || !Backup.VERSIONS.includes(header.version)) {
+      throw new Error(Backup.ERROR_MESSAGE.INVALID_FILE)
+    }
+
+    /** @type {Issue[]} */
+    const issues = []
+    const re = new RegExp(`^${DB.DESIGN_VIEW_PREFIX}/`)
+    // version 1 backups are of the default collection only, and don't describe it
+    const sections = []
+    let section = null
+
+    for (const { line, number } of lines.slice(2)) {
+      let o
+
+      try {
+        o = JSON.parse(line)
+      } catch (e) {
+        issues.push({ type: Backup.ISSUE_TYPE.MALFORMED_LINE, line: number })
+        continue
+      }
+
+      const collection = o && o[Backup.COLLECTION_KEY]
+
+      if (collection && typeof collection.id === 'string') {
+        section = { collection: collection, dumpLines: [], docsById: new Map() }
+        sections.push(section)
+        continue
+      }
+
+      if (!section) {
+        section = { collection: { id: ChromeCollectionStorage.DEFAULT_ID }, dumpLines: [], docsById: new Map() }
+        sections.push(section)
+      }
+
+      section.dumpLines.push(line)
+
+      // documents by id. A later revision of a document replaces an earlier one
+      for (const doc of (o && Array.isArray(o.docs)) ? o.docs : []) {
+        if (doc && typeof doc._id === 'string') {
+          section.docsById.set(doc._id, doc)
+        }
+      }
+    }
+
+    /** @type {CollectionBackup[]} */
+    const collections = sections.map(({ collection, dumpLines, docsById }) => {
+      const docs = Array.from(docsById.values()).filter(doc => !doc._deleted && !re.test(doc._id))
+
+      issues.push(...Backup.validateDocuments(docs))
+      issues.push(...Backup.validateHighlightDefinitions(collection[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] || []))
+
+      return {
+        collection: collection,
+        dump: dumpLines.join('\n'),
+        docs: docs,
+      }
+    })
+
+    issues.push(...Backup.validateHighlightDefinitions(storageItems[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] || []))
+
+    const docs = [].concat(...collections.map(c => c.docs))
+    const createDocs = docs.filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE)
+
+    return {
+      storageItems: storageItems,
+      collections: collections,
+      docs: docs,
+      stats: {
+        pages: new Set(createDocs.map(d => d[DB.DOCUMENT.NAME.MATCH])).size,
+        highlights: createDocs.length,
+        deleteDocs: docs.filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.DELETE).length,
+        styles: (storageItems[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS] || []).length,
+        collections: collections.length,
+      },
+      issues: issues,
+    }
+  }
+
+  /**
+   * Add the collections of a backup that don't exist, and restore their own highlight definitions. The databases aren't changed
+   * 
+   * @static
+   * @param {CollectionBackup[]} collectionBackups
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - true to also replace (or remove) the own highlight definitions of collections that exist.
+   *  Otherwise only those of added collections are set
+   * @returns {Promise}
+   * @memberof Backup
+   */
+  static restoreCollections(collectionBackups, { replace = false } = {}) {
+    const storage = new ChromeCollectionStorage()
+
+    return storage.getAll().then(collections => {
+      const ids = new Set(collections.map(c => c.id))
+      const addedBackups = collectionBackups.filter(({ collection }) => !ids.has(collection.id))
+
+      return (addedBackups.length === 0 ? Promise.resolve() : storage.setAll(collections.concat(addedBackups.map(({ collection }) => ({
+        id: collection.id,
+        title: String(collection.title || ''),
+      }))))).then(() => {
+        return PromiseUtils.serial((replace ? collectionBackups : addedBackups).map(({ collection }) => () => {
+          const definitions = collection[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]
+          const highlightStorage = new ChromeHighlightStorage(collection.id)
+
+          return Array.isArray(definitions) ?
+            highlightStorage.setOwnDefinitions(definitions) :
+            highlightStorage.setHasOwnDefinitions(false)
+        }))
+      })
+    })
+  }
+
+  /**
+   * Find documents with unknown verbs, and 'delete' documents whose 'create' document is missing
+   * 
+   * @static
+   * @param {DB.Document[]} docs
+   * @returns {Issue[]}
+   * @memberof Backup
+   */
+  static validateDocuments(docs) {
+    const verbs = Object.values(DB.DOCUMENT.VERB)
+    const createDocIds = new Set(docs
+      .filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE)
+      .map(d => d._id)
+    )
+
+    const issues = []
+
+    for (const doc of docs) {
+      const verb = doc[DB.DOCUMENT.NAME.VERB]
+
+      if (!verbs.includes(verb)) {
+        issues.push({ type: Backup.ISSUE_TYPE.UNKNOWN_VERB, docId: doc._id, value: String(verb) })
+      } else if (verb === DB.DOCUMENT.VERB.DELETE && !createDocIds.has(doc[DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID])) {
+        issues.push({ type: Backup.ISSUE_TYPE.MISSING_CREATE_DOCUMENT, docId: doc._id, value: String(doc[DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID]) })
+      }
+    }
+
+    return issues
+  }
+
+  /**
+   * Find highlight definitions whose colors aren't '#RRGGBB'
+   * 
+   * @static
+   * @param {HighlightDefinitionFactory.HighlightDefinition[]} definitions
+   * @returns {Issue[]}
+   * @memberof Backup
+   */
+  static validateHighlightDefinitions(definitions) {
+    const issues = []
+
+    for (const definition of definitions) {
+      const style = (definition && definition.style) || {}
+
+      for (const property of Backup.COLOR_PROPERTIES) {
+        if (typeof style[property] === 'undefined' || Backup.COLOR_REGEX.test(style[property])) {
+          continue
+        }
+
+        issues.push({
+          type: Backup.ISSUE_TYPE.INVALID_COLOR,
+          title: String(definition.title || definition.className),
+          property: property,
+          value: String(style[property]),
+        })
+      }
+    }
+
+    return issues
+  }
+}
+
+// static properties
+
+Backup.MAGIC = 'Super Simple Highlighter Exported Database'
+Backup.VERSION = 2
+// versions of backups that can be parsed
+Backup.VERSIONS = [1, 2]
+// key of the object of the line describing a collection, which precedes the replication stream of its database
+Backup.COLLECTION_KEY = 'collection'
+Backup.FILE_EXTENSION = 'ldjson'
+Backup.MEDIA_TYPE = 'application/x-ndjson'
+
+Backup.ERROR_MESSAGE = {
+  INVALID_FILE: 'Invalid File',
+}
+
+Backup.ISSUE_TYPE = {
+  // line of the dump that isn't json. It's skipped
+  MALFORMED_LINE: 'malformed_line',
+  // document whose verb is neither 'create' nor 'delete'
+  UNKNOWN_VERB: 'unknown_verb',
+  // 'delete' document whose 'create' document isn't in the backup
+  MISSING_CREATE_DOCUMENT: 'missing_create_document',
+  // style color that isn't '#RRGGBB'
+  INVALID_COLOR: 'invalid_color',
+}
+
+// style properties that must be colors
+Backup.COLOR_PROPERTIES = ['background-color', 'color']
+Backup.COLOR_REGEX = /^#[0-9a-f]{6}$/i
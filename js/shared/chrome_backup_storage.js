@@ -0,0 +1,122 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Local storage of the schedule of automatic backups, and their state.
+ * Local, because the folder of the backups (and the files in it) are specific to this browser.
+ *
+ * @class ChromeBackupStorage
+ * @extends {ChromeStorage}
+ */
+class ChromeBackupStorage extends ChromeStorage {
+    constructor() {
+        super('local')
+    }
+
+    /**
+     * @typedef {Object} Schedule
+     * @prop {string} period - one of ChromeBackupStorage.PERIOD
+     * @prop {string} folder - subfolder of the downloads folder that backups are saved in
+     * @prop {number} count - number of most recent backups to keep
+     * @memberof ChromeBackupStorage
+     */
+
+    /**
+     * @typedef {Object} BackupState
+     * @prop {number} [lastBackupDate] - date of last successful backup
+     * @prop {string} [lastBackupFileName] - path of its file
+     * @prop {number[]} downloadIds - ids of the downloads of kept backups, oldest first
+     * @prop {string} [error] - message of the error of the last backup, if it failed
+     * @memberof ChromeBackupStorage
+     */
+
+    /**
+     * Get the schedule of backups
+     *
+     * @returns {Promise<Schedule>}
+     * @memberof ChromeBackupStorage
+     */
+    getSchedule() {
+        return super.get({
+            [ChromeBackupStorage.KEYS.BACKUP_SCHEDULE]: ChromeBackupStorage.DEFAULT_SCHEDULE
+        }).then(items => Object.assign({}, ChromeBackupStorage.DEFAULT_SCHEDULE, items[ChromeBackupStorage.KEYS.BACKUP_SCHEDULE]))
+    }
+
+    /**
+     * Set the schedule of backups
+     *
+     * @param {Schedule} schedule
+     * @returns {Promise}
+     * @memberof ChromeBackupStorage
+     */
+    setSchedule(schedule) {
+        return super.set(schedule, ChromeBackupStorage.KEYS.BACKUP_SCHEDULE)
+    }
+
+    /**
+     * Get the state of backups
+     *
+     * @returns {Promise<BackupState>}
+     * @memberof ChromeBackupStorage
+     */
+    getBackupState() {
+        return super.get({
+            [ChromeBackupStorage.KEYS.BACKUP_STATE]: { downloadIds: [] }
+        }).then(items => items[ChromeBackupStorage.KEYS.BACKUP_STATE])
+    }
+
+    /**
+     * Update the state of backups
+     *
+     * @param {Object} values - properties of BackupState to change
+     * @returns {Promise<BackupState>} new state
+     * @memberof ChromeBackupStorage
+     */
+    updateBackupState(values) {
+        return this.getBackupState().then(backupState => {
+            const newBackupState = Object.assign(backupState, values)
+
+            return super.set(newBackupState, ChromeBackupStorage.KEYS.BACKUP_STATE).then(() => newBackupState)
+        })
+    }
+}
+
+// static properties
+
+// copy to super's static property
+Object.assign(ChromeBackupStorage.KEYS, {
+    BACKUP_SCHEDULE: 'backupSchedule',
+    BACKUP_STATE: 'backupState',
+})
+
+ChromeBackupStorage.PERIOD = {
+    NEVER: 'never',
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+}
+
+// minutes between backups of each period
+ChromeBackupStorage.PERIOD_MINUTES = {
+    [ChromeBackupStorage.PERIOD.DAILY]: 24 * 60,
+    [ChromeBackupStorage.PERIOD.WEEKLY]: 7 * 24 * 60,
+}
+
+ChromeBackupStorage.DEFAULT_SCHEDULE = {
+    period: ChromeBackupStorage.PERIOD.NEVER,
+    folder: 'Super Simple Highlighter Backups',
+    count: 7,
+}
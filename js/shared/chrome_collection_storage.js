@@ -0,0 +1,260 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * sync-Storage for collections of highlights. Each collection has its own database, and optionally its own highlight definitions.
+ * The default collection (whose id is an empty string) is the database that existed before collections.
+ *
+ * @class ChromeCollectionStorage
+ * @extends {ChromeStorage}
+ */
+class ChromeCollectionStorage extends ChromeStorage {
+    constructor() {
+        super('sync')
+    }
+
+    /**
+     * @typedef {Object} Collection
+     * @prop {string} id - unique id of collection, which names its database
+     * @prop {string} title - title of collection
+     */
+
+    /**
+     * @typedef {Object} CollectionRule
+     * @prop {string} domain - domain (which also matches its subdomains) of pages whose highlights are in the collection
+     * @prop {string} collectionId - id of collection
+     */
+
+    /**
+     * Get all collections, starting with the default collection
+     *
+     * @returns {Promise<Collection[]>}
+     * @memberof ChromeCollectionStorage
+     */
+    getAll() {
+        return super.get({
+            [ChromeCollectionStorage.KEYS.COLLECTIONS]: []
+        }).then(items => [
+            ChromeCollectionStorage.createDefaultCollection(),
+            ...items[ChromeCollectionStorage.KEYS.COLLECTIONS]
+        ])
+    }
+
+    /**
+     * Replace all collections. The default collection is implicit, and isn't stored
+     *
+     * @param {Collection[]} collections
+     * @returns {Promise}
+     * @memberof ChromeCollectionStorage
+     */
+    setAll(collections) {
+        return super.set(
+            collections.filter(c => c.id !== ChromeCollectionStorage.DEFAULT_ID),
+            ChromeCollectionStorage.KEYS.COLLECTIONS
+        )
+    }
+
+    /**
+     * Remove a collection, and the rules that pick it. If it was the active collection the default collection becomes active.
+     * Its database and highlight definitions aren't removed
+     *
+     * @param {string} id - id of collection
+     * @returns {Promise}
+     * @memberof ChromeCollectionStorage
+     */
+    remove(id) {
+        return Promise.all([
+            this.getAll(),
+            this.getRules(),
+            this.getActiveId(),
+        ]).then(([collections, rules, activeId]) => {
+            return super.set({
+                [ChromeCollectionStorage.KEYS.COLLECTIONS]: collections.filter(c => c.id !== id && c.id !== ChromeCollectionStorage.DEFAULT_ID),
+                [ChromeCollectionStorage.KEYS.COLLECTION_RULES]: rules.filter(r => r.collectionId !== id),
+                [ChromeCollectionStorage.KEYS.ACTIVE_COLLECTION]: activeId === id ? ChromeCollectionStorage.DEFAULT_ID : activeId,
+            })
+        })
+    }
+
+    /**
+     * Get the id of the active collection, used by pages without a rule and by the options page
+     *
+     * @returns {Promise<string>} id of collection, which is the default collection if the active collection no longer exists
+     * @memberof ChromeCollectionStorage
+     */
+    getActiveId() {
+        return Promise.all([
+            this.getAll(),
+            super.get({
+                [ChromeCollectionStorage.KEYS.ACTIVE_COLLECTION]: ChromeCollectionStorage.DEFAULT_ID
+            }),
+        ]).then(([collections, items]) => {
+            const id = items[ChromeCollectionStorage.KEYS.ACTIVE_COLLECTION]
+            return collections.some(c => c.id === id) ? id : ChromeCollectionStorage.DEFAULT_ID
+        })
+    }
+
+    /**
+     * Set the active collection
+     *
+     * @param {string} id - id of collection
+     * @returns {Promise}
+     * @memberof ChromeCollectionStorage
+     */
+    setActiveId(id) {
+        return super.set(id, ChromeCollectionStorage.KEYS.ACTIVE_COLLECTION)
+    }
+
+    /**
+     * Get all rules, in order of precedence
+     *
+     * @returns {Promise<CollectionRule[]>}
+     * @memberof ChromeCollectionStorage
+     */
+    getRules() {
+        return super.get({
+            [ChromeCollectionStorage.KEYS.COLLECTION_RULES]: []
+        }).then(items => items[ChromeCollectionStorage.KEYS.COLLECTION_RULES])
+    }
+
+    /**
+     * Replace all rules
+     *
+     * @param {CollectionRule[]} rules
+     * @returns {Promise}
+     * @memberof ChromeCollectionStorage
+     */
+    setRules(rules) {
+        return super.set(rules, ChromeCollectionStorage.KEYS.COLLECTION_RULES)
+    }
+
+    /**
+     * Get the first rule that picks the collection of a page's highlights
+     *
+     * @param {string} url - url of page
+     * @returns {Promise<CollectionRule|undefined>} rule, or undefined if none apply to the page (or its collection no longer exists)
+     * @memberof ChromeCollectionStorage
+     */
+    getRule(url) {
+        return Promise.all([
+            this.getAll(),
+            this.getRules(),
+        ]).then(([collections, rules]) => {
+            try {
+                return ChromeCollectionStorage.findRule(new URL(DB.getDocumentUrl(url)), rules.filter(r => {
+                    return collections.some(c => c.id === r.collectionId)
+                }))
+            } catch (e) {
+                // invalid urls have no domain
+                return undefined
+            }
+        })
+    }
+
+    /**
+     * Get the id of the collection of a page's highlights. This is the collection picked by the first rule for its domain, else the active collection
+     *
+     * @param {string} url - url of page
+     * @returns {Promise<string>} id of collection
+     * @memberof ChromeCollectionStorage
+     */
+    getCollectionId(url) {
+        return Promise.all([
+            this.getRule(url),
+            this.getActiveId(),
+        ]).then(([rule, activeId]) => rule ? rule.collectionId : activeId)
+    }
+
+    // static
+
+    /**
+     * Create the (unstored) default collection
+     *
+     * @static
+     * @returns {Collection}
+     * @memberof ChromeCollectionStorage
+     */
+    static createDefaultCollection() {
+        return {
+            id: ChromeCollectionStorage.DEFAULT_ID,
+            title: chrome.i18n.getMessage('collection_default_title'),
+        }
+    }
+
+    /**
+     * Create a collection with a new id
+     *
+     * @static
+     * @param {string} [title='']
+     * @returns {Collection}
+     * @memberof ChromeCollectionStorage
+     */
+    static createCollection(title = '') {
+        return {
+            id: StringUtils.newUUID(),
+            title: title,
+        }
+    }
+
+    /**
+     * Create a rule with default values
+     *
+     * @static
+     * @param {string} [domain='']
+     * @param {string} [collectionId=ChromeCollectionStorage.DEFAULT_ID]
+     * @returns {CollectionRule}
+     * @memberof ChromeCollectionStorage
+     */
+    static createRule(domain = '', collectionId = ChromeCollectionStorage.DEFAULT_ID) {
+        return {
+            domain: domain,
+            collectionId: collectionId,
+        }
+    }
+
+    /**
+     * Get the first rule that applies to a url
+     *
+     * @static
+     * @param {URL} url
+     * @param {CollectionRule[]} rules
+     * @returns {CollectionRule|undefined} rule, or undefined if none apply
+     * @memberof ChromeCollectionStorage
+     */
+    static findRule(url, rules) {
+        return rules.find(({ domain }) => {
+            if (!domain) {
+                return false
+            }
+
+            domain = domain.trim().toLowerCase()
+            return url.hostname === domain || url.hostname.endsWith(`.${domain}`)
+        })
+    }
+}
+
+// static properties
+
+// copy to super's static property
+Object.assign(ChromeCollectionStorage.KEYS, {
+    COLLECTIONS: 'collections',
+    ACTIVE_COLLECTION: 'activeCollection',
+    COLLECTION_RULES: 'collectionRules',
+})
+
+// id of the collection whose database is named DB.NAME
+ChromeCollectionStorage.DEFAULT_ID = ''
@@ -91,8 +91,15 @@ HighlightDefinitionFactory.DEFAULT_VALUES = {
  * @extends {ChromeStorage}
  */
 class ChromeHighlightStorage extends ChromeStorage {
-    constructor() {
+    /**
+     * Creates an instance of ChromeHighlightStorage.
+     * @param {string|Promise<string>} [collectionId] - id of collection whose highlight definitions are used, or a promise resolving to it.
+     *  Defaults to the active collection
+     * @memberof ChromeHighlightStorage
+     */
+    constructor(collectionId) {
         super('sync')
+        this.collectionId = collectionId
     }
 
     /**
@@ -135,10 +142,20 @@ class ChromeHighlightStorage extends ChromeStorage {
      * @memberof HighlightStorage
      */
     getAll({defaults = true} = {}) {
-        return super.get({
-            [ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]: (defaults && this.defaultHighlightDefinitions) || null,
-            [ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE]: (defaults && ChromeHighlightStorage.SHARED_HIGHLIGHT_STYLE) || null
-        })
+        let key
+
+        return this.getDefinitionsKey().then(k => {
+            key = k
+
+            return super.get({
+                [key]: (defaults && this.defaultHighlightDefinitions) || null,
+                [ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE]: (defaults && ChromeHighlightStorage.SHARED_HIGHLIGHT_STYLE) || null
+            })
+        }).then(items => ({
+            // the definitions of every collection have the same property name
+            [ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS]: items[key],
+            [ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE]: items[ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE]
+        }))
     }
 
     /**
@@ -149,25 +166,29 @@ class ChromeHighlightStorage extends ChromeStorage {
      * @memberof HighlightStorage
      */
     setAll(items) {
-        // keys to process
-        const keys = [
-            ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS,
-            ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE,
-        ]
-
-        // keys to be removed because they're not definied in items object
-        const removeKeys = new Set(keys.filter(k => !items[k]))
-        const setObject = {}
-
-        // add property for each object defined in items
-        for (const k of keys.filter(k => items[k])) {
-            setObject[k] = items[k]
-        }
+        return this.getDefinitionsKey().then(key => {
+            // keys to process, mapped to the property of items defining their value
+            const keys = new Map([
+                [key, ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS],
+                [ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE, ChromeHighlightStorage.KEYS.SHARED_HIGHLIGHT_STYLE],
+            ])
 
-        return Promise.all([
-            super.set(setObject),
-            super.remove(Array.from(removeKeys))
-        ])
+            // keys to be removed because they're not definied in items object
+            const removeKeys = Array.from(keys.keys()).filter(k => !items[keys.get(k)])
+            const setObject = {}
+
+            // add property for each object defined in items
+            for (const [k, name] of keys) {
+                if (items[name]) {
+                    setObject[k] = items[name]
+                }
+            }
+
+            return Promise.all([
+                super.set(setObject),
+                super.remove(removeKeys)
+            ])
+        })
     }
 
     /**
@@ -184,7 +205,10 @@ class ChromeHighlightStorage extends ChromeStorage {
         }
 
         // we update the array of definitions, so we get it first
-        return this.getAll().then(({highlightDefinitions}) => {
+        return Promise.all([
+            this.getAll(),
+            this.getDefinitionsKey(),
+        ]).then(([{highlightDefinitions}, key]) => {
             for (const d of definitions) {
                 const index = highlightDefinitions.findIndex(x => x.className === d.className)
 
@@ -196,7 +220,7 @@ class ChromeHighlightStorage extends ChromeStorage {
             }
 
             // replace entire array
-            return super.set(highlightDefinitions, ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS)
+            return super.set(highlightDefinitions, key)
         })
     }
 
@@ -208,7 +232,10 @@ class ChromeHighlightStorage extends ChromeStorage {
      * @memberof HighlightStorage
      */
     remove(definitionClassName) {
-        return this.getAll().then(({highlightDefinitions}) => {
+        return Promise.all([
+            this.getAll(),
+            this.getDefinitionsKey(),
+        ]).then(([{highlightDefinitions}, key]) => {
             // find current definition with this class name
             const index = highlightDefinitions.findIndex(d => d.className === definitionClassName)
             if (index === -1) {
@@ -218,18 +245,205 @@ class ChromeHighlightStorage extends ChromeStorage {
             // remove
             highlightDefinitions.splice(index, 1)
             // update
-            return super.set(highlightDefinitions, ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS)
+            return super.set(highlightDefinitions, key)
         })
     }
 
     /**
-     * Remove all hihglight definitions
+     * Remove all hihglight definitions. A collection with its own definitions keeps them, reset to the defaults
      *
      * @returns {Promise} - resolves if storage updated
      * @memberof HighlightStorage
      */
     removeAll() {
-        return super.remove(ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS)
+        return this.getDefinitionsKey().then(key => {
+            if (key !== ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS) {
+                return super.set(this.defaultHighlightDefinitions, key)
+            }
+
+            return super.remove(key)
+        })
+    }
+
+    /**
+     * Does the collection have its own highlight definitions, rather than those of the default collection
+     *
+     * @returns {Promise<boolean>}
+     * @memberof ChromeHighlightStorage
+     */
+    hasOwnDefinitions() {
+        return this.getDefinitionsKey().then(key => key !== ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS)
+    }
+
+    /**
+     * Give the collection its own highlight definitions (a copy of its current definitions), or remove them so it uses those
+     * of the default collection. The default collection's definitions are always its own
+     *
+     * @param {boolean} value - true to give the collection its own definitions
+     * @returns {Promise}
+     * @memberof ChromeHighlightStorage
+     */
+    setHasOwnDefinitions(value) {
+        return this.getCollectionId().then(id => {
+            if (id === ChromeCollectionStorage.DEFAULT_ID) {
+                return
+            }
+
+            const key = ChromeHighlightStorage.formatDefinitionsKey(id)
+
+            if (!value) {
+                return super.remove(key)
+            }
+
+            return this.getAll().then(items => {
+                return this.setOwnDefinitions(items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS])
+            })
+        })
+    }
+
+    /**
+     * Give the collection its own highlight definitions. The default collection's definitions are always its own, so are set with `set()`
+     *
+     * @param {HighlightDefinitionFactory.HighlightDefinition[]} definitions
+     * @returns {Promise}
+     * @memberof ChromeHighlightStorage
+     */
+    setOwnDefinitions(definitions) {
+        return this.getCollectionId().then(id => {
+            if (id === ChromeCollectionStorage.DEFAULT_ID) {
+                return
+            }
+
+            return super.set(definitions, ChromeHighlightStorage.formatDefinitionsKey(id))
+        })
+    }
+
+    /**
+     * Get the id of the collection
+     *
+     * @private
+     * @returns {Promise<string>}
+     * @memberof ChromeHighlightStorage
+     */
+    getCollectionId() {
+        return typeof this.collectionId === 'undefined' ?
+            new ChromeCollectionStorage().getActiveId() :
+            Promise.resolve(this.collectionId)
+    }
+
+    /**
+     * Get the storage key of the collection's highlight definitions. Collections without their own definitions use those of the default collection
+     *
+     * @private
+     * @returns {Promise<string>}
+     * @memberof ChromeHighlightStorage
+     */
+    getDefinitionsKey() {
+        return this.getCollectionId().then(id => {
+            if (id === ChromeCollectionStorage.DEFAULT_ID) {
+                return ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS
+            }
+
+            const key = ChromeHighlightStorage.formatDefinitionsKey(id)
+
+            return super.get({ [key]: null }).then(items => {
+                return items[key] ? key : ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS
+            })
+        })
+    }
+
+    // static
+
+    /**
+     * Format the storage key of the highlight definitions of a collection that has its own
+     *
+     * @static
+     * @param {string} collectionId - id of collection (other than the default collection)
+     * @returns {string}
+     * @memberof ChromeHighlightStorage
+     */
+    static formatDefinitionsKey(collectionId) {
+        return `${ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS}.${collectionId}`
+    }
+
+    /**
+     * Is a storage key that of the highlight definitions of any collection
+     *
+     * @static
+     * @param {string} key
+     * @returns {boolean}
+     * @memberof ChromeHighlightStorage
+     */
+    static isDefinitionsKey(key) {
+        return key === ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS ||
+            key.startsWith(`${ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS}.`)
+    }
+
+    /**
+     * Compare highlight definitions (i.e. of an imported backup) with existing definitions, by class name
+     *
+     * @static
+     * @param {HighlightDefinitionFactory.HighlightDefinition[]} definitions - existing definitions
+     * @param {HighlightDefinitionFactory.HighlightDefinition[]} otherDefinitions - definitions to compare
+     * @returns {{added: HighlightDefinitionFactory.HighlightDefinition[], skipped: HighlightDefinitionFactory.HighlightDefinition[], conflicts: Array<{definition: HighlightDefinitionFactory.HighlightDefinition, otherDefinition: HighlightDefinitionFactory.HighlightDefinition}>}}
+     *  other definitions whose class name doesn't exist, whose style is the same as the existing one, and whose style is different
+     * @memberof ChromeHighlightStorage
+     */
+    static compareHighlightDefinitions(definitions, otherDefinitions) {
+        const result = { added: [], skipped: [], conflicts: [] }
+
+        for (const otherDefinition of otherDefinitions) {
+            const definition = definitions.find(d => d.className === otherDefinition.className)
+
+            if (!definition) {
+                result.added.push(otherDefinition)
+            } else if (ChromeHighlightStorage.isSameStyle(definition, otherDefinition)) {
+                result.skipped.push(otherDefinition)
+            } else {
+                result.conflicts.push({ definition: definition, otherDefinition: otherDefinition })
+            }
+        }
+
+        return result
+    }
+
+    /**
+     * Do two highlight definitions look the same (ignoring their titles)
+     *
+     * @static
+     * @param {HighlightDefinitionFactory.HighlightDefinition} d1
+     * @param {HighlightDefinitionFactory.HighlightDefinition} d2
+     * @returns {boolean}
+     * @memberof ChromeHighlightStorage
+     */
+    static isSameStyle(d1, d2) {
+        const style1 = d1.style || {}
+        const style2 = d2.style || {}
+        const properties = new Set([...Object.keys(style1), ...Object.keys(style2)])
+
+        return !!d1.inherit_style_color === !!d2.inherit_style_color &&
+            !!d1.disableBoxShadow === !!d2.disableBoxShadow &&
+            Array.from(properties).every(p => String(style1[p]).toLowerCase() === String(style2[p]).toLowerCase())
+    }
+
+    /**
+     * Format the colors of a highlight definition as the value of an inline style attribute (i.e. of copied html)
+     *
+     * @static
+     * @param {HighlightDefinitionFactory.HighlightDefinition} [definition] - definition, or undefined to use the style of highlights whose definition no longer exists
+     * @returns {string} e.g. 'background-color: #ff0; color: #000'
+     * @memberof ChromeHighlightStorage
+     */
+    static formatInlineStyle(definition) {
+        const style = (definition && definition.style) || ChromeHighlightStorage.SHARED_HIGHLIGHT_STYLE
+        const declarations = [`background-color: ${style['background-color']}`]
+
+        // the color of text of these styles is that of the page
+        if (!(definition && definition.inherit_style_color) && style.color) {
+            declarations.push(`color: ${style.color}`)
+        }
+
+        return declarations.join('; ')
     }
 }
 
@@ -0,0 +1,179 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Local storage of the journal of highlight operations of each page, keyed by match.
+ * Undoing moves back through a journal and redoing forward. A new operation discards any undone ones.
+ *
+ * @class ChromeJournalStorage
+ * @extends {ChromeStorage}
+ */
+class ChromeJournalStorage extends ChromeStorage {
+    constructor() {
+        super('local')
+    }
+
+    /**
+     * @typedef {Object} Entry
+     * @prop {string} type - one of ChromeJournalStorage.ENTRY_TYPE
+     * @prop {string} docId - id of 'create' document of the highlight
+     * @prop {string} text - text of the highlight, to describe the operation
+     * @prop {number} date - date of operation
+     * @prop {Object} [doc] - 'create' document as it was before being deleted (its revision is ignored). 'create' & 'delete' types only
+     * @prop {*} [from] - class name (restyle) or {range, text, selectors} object (edit) before the operation
+     * @prop {*} [to] - class name (restyle) or {range, text, selectors} object (edit) after the operation
+     */
+
+    /**
+     * @typedef {Object} Journal
+     * @prop {Entry[]} entries - operations, oldest first
+     * @prop {number} index - number of entries that are applied. The entry before it is undone next, and the entry at it redone next
+     * @prop {number} date - date the journal was last changed
+     */
+
+    /**
+     * Get the journals of every match
+     *
+     * @returns {Promise<Object<string, Journal>>} object where the property name is the match
+     * @memberof ChromeJournalStorage
+     */
+    getAll() {
+        return super.get({
+            [ChromeJournalStorage.KEYS.JOURNALS]: {}
+        }).then(items => items[ChromeJournalStorage.KEYS.JOURNALS])
+    }
+
+    /**
+     * Get the journal of a match
+     *
+     * @param {string} match - match of page
+     * @returns {Promise<Journal>} journal, which is empty if the page has none
+     * @memberof ChromeJournalStorage
+     */
+    getJournal(match) {
+        return this.getAll().then(journals => journals[match] || {
+            entries: [],
+            index: 0,
+            date: Date.now(),
+        })
+    }
+
+    /**
+     * Replace the journal of a match. Journals of the least recently changed pages are removed if there are too many
+     *
+     * @param {string} match - match of page
+     * @param {Journal} journal - journal. If it has no entries, the match is removed
+     * @returns {Promise}
+     * @memberof ChromeJournalStorage
+     */
+    setJournal(match, journal) {
+        return this.getAll().then(journals => {
+            if (journal.entries.length === 0 && !journals[match]) {
+                return
+            }
+
+            if (journal.entries.length > 0) {
+                journals[match] = Object.assign({}, journal, { date: Date.now() })
+            } else {
+                delete journals[match]
+            }
+
+            const matches = Object.keys(journals).sort((a, b) => journals[b].date - journals[a].date)
+
+            for (const m of matches.slice(ChromeJournalStorage.MAX_JOURNALS)) {
+                delete journals[m]
+            }
+
+            return super.set(journals, ChromeJournalStorage.KEYS.JOURNALS)
+        })
+    }
+
+    /**
+     * Add an operation to the journal of a match, discarding any undone operations
+     *
+     * @param {string} match - match of page
+     * @param {Entry} entry - operation
+     * @returns {Promise}
+     * @memberof ChromeJournalStorage
+     */
+    addEntry(match, entry) {
+        return this.getJournal(match).then(({ entries, index }) => {
+            entries = entries.slice(0, index).concat(entry).slice(-ChromeJournalStorage.MAX_ENTRIES)
+
+            return this.setJournal(match, {
+                entries: entries,
+                index: entries.length,
+            })
+        })
+    }
+
+    /**
+     * Remove the journal of a match
+     *
+     * @param {string} match - match of page
+     * @returns {Promise}
+     * @memberof ChromeJournalStorage
+     */
+    removeJournal(match) {
+        return this.setJournal(match, { entries: [], index: 0 })
+    }
+
+    // static
+
+    /**
+     * Get the entry that would be undone next
+     *
+     * @static
+     * @param {Journal} journal
+     * @returns {Entry|undefined} entry, or undefined if there's nothing to undo
+     * @memberof ChromeJournalStorage
+     */
+    static getUndoEntry({ entries, index }) {
+        return entries[index - 1]
+    }
+
+    /**
+     * Get the entry that would be redone next
+     *
+     * @static
+     * @param {Journal} journal
+     * @returns {Entry|undefined} entry, or undefined if there's nothing to redo
+     * @memberof ChromeJournalStorage
+     */
+    static getRedoEntry({ entries, index }) {
+        return entries[index]
+    }
+}
+
+// static properties
+
+// copy to super's static property
+Object.assign(ChromeJournalStorage.KEYS, {
+    JOURNALS: 'journals',
+})
+
+ChromeJournalStorage.ENTRY_TYPE = {
+    CREATE: 'create',
+    DELETE: 'delete',
+    RESTYLE: 'restyle',
+    // range (and its text) changed, i.e. by re-attaching an orphan
+    EDIT: 'edit',
+}
+
+// operations kept per page, and pages with journals
+ChromeJournalStorage.MAX_ENTRIES = 50
+ChromeJournalStorage.MAX_JOURNALS = 20
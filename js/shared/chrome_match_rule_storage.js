@@ -0,0 +1,175 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * sync-Storage for user defined rules, that change how the url of a page is formatted into the match of its documents
+ *
+ * @class ChromeMatchRuleStorage
+ * @extends {ChromeStorage}
+ */
+class ChromeMatchRuleStorage extends ChromeStorage {
+    constructor() {
+        super('sync')
+    }
+
+    /**
+     * @typedef {Object} MatchRule
+     * @prop {string} pattern - domain (which also matches its subdomains), or regular expression tested against the url
+     * @prop {boolean} isRegExp - true if pattern is a regular expression
+     * @prop {boolean} ignoreScheme - http urls have the same match as https urls
+     * @prop {string[]} stripParams - names of query parameters to remove. A trailing '*' matches any name starting with the rest
+     * @prop {boolean} keepFragment - fragment is part of the match (i.e. for hash-routed pages)
+     * @prop {boolean} collapseWww - 'www.' subdomain has the same match as its domain
+     */
+
+    /**
+     * Get all rules, in order of precedence
+     *
+     * @returns {Promise<MatchRule[]>}
+     * @memberof ChromeMatchRuleStorage
+     */
+    getAll() {
+        return super.get({
+            [ChromeMatchRuleStorage.KEYS.MATCH_RULES]: []
+        }).then(items => items[ChromeMatchRuleStorage.KEYS.MATCH_RULES])
+    }
+
+    /**
+     * Replace all rules
+     *
+     * @param {MatchRule[]} rules
+     * @returns {Promise}
+     * @memberof ChromeMatchRuleStorage
+     */
+    setAll(rules) {
+        return super.set(rules, ChromeMatchRuleStorage.KEYS.MATCH_RULES)
+    }
+
+    /**
+     * Form the match of a page's url, using the stored rules
+     *
+     * @param {string} url - url of page
+     * @returns {Promise<string>} match
+     * @memberof ChromeMatchRuleStorage
+     */
+    formatMatch(url) {
+        return this.getAll().then(rules => ChromeMatchRuleStorage.formatMatch(url, rules))
+    }
+
+    // static
+
+    /**
+     * Create a rule with default values
+     *
+     * @static
+     * @param {string} [pattern='']
+     * @returns {MatchRule}
+     * @memberof ChromeMatchRuleStorage
+     */
+    static createRule(pattern = '') {
+        return {
+            pattern: pattern,
+            isRegExp: false,
+            ignoreScheme: false,
+            stripParams: ChromeMatchRuleStorage.DEFAULT_STRIP_PARAMS.slice(),
+            keepFragment: false,
+            collapseWww: false,
+        }
+    }
+
+    /**
+     * Get the first rule that applies to a url
+     *
+     * @static
+     * @param {URL} url
+     * @param {MatchRule[]} rules
+     * @returns {MatchRule|undefined} rule, or undefined if none apply
+     * @memberof ChromeMatchRuleStorage
+     */
+    static findRule(url, rules) {
+        return rules.find(({ pattern, isRegExp }) => {
+            if (!pattern) {
+                return false
+            }
+
+            if (isRegExp) {
+                try {
+                    return new RegExp(pattern).test(url.href)
+                } catch (e) {
+                    // invalid expressions never apply
+                    return false
+                }
+            }
+
+            const domain = pattern.toLowerCase()
+            return url.hostname === domain || url.hostname.endsWith(`.${domain}`)
+        })
+    }
+
+    /**
+     * Form the match of a page's url, using the first rule that applies to it
+     *
+     * @static
+     * @param {string} url - url of page, or an existing match
+     * @param {MatchRule[]} rules
+     * @returns {string} match
+     * @memberof ChromeMatchRuleStorage
+     */
+    static formatMatch(url, rules) {
+        const u = new URL(DB.getDocumentUrl(url))
+        const rule = ChromeMatchRuleStorage.findRule(u, rules)
+
+        if (!rule) {
+            return DB.formatMatch(u)
+        }
+
+        // keep the scheme, so the match is still a link to the page
+        if (rule.ignoreScheme && u.protocol === 'http:') {
+            u.protocol = 'https:'
+        }
+
+        if (rule.collapseWww && u.hostname.startsWith('www.')) {
+            u.hostname = u.hostname.slice('www.'.length)
+        }
+
+        // only reserialize the query if a parameter is removed
+        const names = Array.from(new Set(u.searchParams.keys())).filter(name => {
+            return (rule.stripParams || []).some(p => p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : name === p)
+        })
+
+        if (names.length > 0) {
+            for (const name of names) {
+                u.searchParams.delete(name)
+            }
+
+            // URLSearchParams doesn't remove the '?' of an empty query
+            u.search = u.searchParams.toString()
+        }
+
+        return DB.formatMatch(u, undefined, { fragment: rule.keepFragment })
+    }
+}
+
+// static properties
+
+// copy to super's static property
+Object.assign(ChromeMatchRuleStorage.KEYS, {
+    MATCH_RULES: 'matchRules',
+})
+
+// query parameters of new rules that are removed (tracking parameters)
+ChromeMatchRuleStorage.DEFAULT_STRIP_PARAMS = ['utm_*', 'fbclid', 'gclid']
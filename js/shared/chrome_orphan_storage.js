@@ -0,0 +1,155 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Local storage of the ids of 'create' documents that couldn't be played back (orphans), keyed by match.
+ * Updated each time a page's highlights are played back.
+ *
+ * @class ChromeOrphanStorage
+ * @extends {ChromeStorage}
+ */
+class ChromeOrphanStorage extends ChromeStorage {
+    constructor() {
+        super('local')
+    }
+
+    /**
+     * Get the ids of orphaned 'create' documents of every match
+     *
+     * @returns {Promise<Object<string, string[]>>} object where the property name is the match, and its value the array of document ids
+     * @memberof ChromeOrphanStorage
+     */
+    getAll() {
+        return super.get({
+            [ChromeOrphanStorage.KEYS.ORPHANED_HIGHLIGHTS]: {}
+        }).then(items => items[ChromeOrphanStorage.KEYS.ORPHANED_HIGHLIGHTS])
+    }
+
+    /**
+     * Replace the ids of orphaned 'create' documents of a match
+     *
+     * @param {string} match - match of documents
+     * @param {string[]} docIds - ids of orphaned documents. If empty, the match is removed
+     * @returns {Promise}
+     * @memberof ChromeOrphanStorage
+     */
+    setOrphans(match, docIds) {
+        return this.update(orphans => ChromeOrphanStorage.replaceOrphans(orphans, match, docIds))
+    }
+
+    /**
+     * Update the ids of orphaned 'create' documents of a match after some of its documents were played back
+     *
+     * @param {string} match - match of documents
+     * @param {string[]} playedDocIds - ids of all 'create' documents that were played back
+     * @param {string[]} orphanedDocIds - ids of the played back documents that are orphaned
+     * @returns {Promise}
+     * @memberof ChromeOrphanStorage
+     */
+    updateOrphans(match, playedDocIds, orphanedDocIds) {
+        return this.update(orphans => {
+            const played = new Set(playedDocIds)
+
+            // orphans of documents that weren't played back (e.g. in other frames) are unaffected
+            const docIds = (orphans[match] || [])
+                .filter(id => !played.has(id))
+                .concat(orphanedDocIds)
+
+            return ChromeOrphanStorage.replaceOrphans(orphans, match, docIds)
+        })
+    }
+
+    /**
+     * Remove the id of a document that is no longer orphaned
+     *
+     * @param {string} docId - id of 'create' document
+     * @returns {Promise}
+     * @memberof ChromeOrphanStorage
+     */
+    removeOrphan(docId) {
+        return this.update(orphans => {
+            const match = Object.keys(orphans).find(m => orphans[m].includes(docId))
+
+            if (typeof match === 'undefined') {
+                return false
+            }
+
+            return ChromeOrphanStorage.replaceOrphans(orphans, match, orphans[match].filter(id => id !== docId))
+        })
+    }
+
+    /**
+     * Read, modify and write the orphans of every match. Updates are serialized, so those made at the same time
+     * (i.e. by frames playing back at once) don't overwrite each other
+     *
+     * @private
+     * @param {function(Object<string, string[]>): boolean} modify - function changing the orphans in place, returning false if it didn't
+     * @returns {Promise}
+     * @memberof ChromeOrphanStorage
+     */
+    update(modify) {
+        const promise = ChromeOrphanStorage.queue.then(() => this.getAll()).then(orphans => {
+            if (!modify(orphans)) {
+                return
+            }
+
+            return super.set(orphans, ChromeOrphanStorage.KEYS.ORPHANED_HIGHLIGHTS)
+        })
+
+        // a failed update doesn't prevent later ones
+        ChromeOrphanStorage.queue = promise.catch(() => {})
+
+        return promise
+    }
+
+    // static
+
+    /**
+     * Replace the ids of orphaned 'create' documents of a match, in the orphans of every match
+     *
+     * @private
+     * @static
+     * @param {Object<string, string[]>} orphans - orphans of every match, changed in place
+     * @param {string} match - match of documents
+     * @param {string[]} docIds - ids of orphaned documents. If empty, the match is removed
+     * @returns {boolean} true if orphans changed
+     * @memberof ChromeOrphanStorage
+     */
+    static replaceOrphans(orphans, match, docIds) {
+        if (docIds.length === 0 && !orphans[match]) {
+            return false
+        }
+
+        if (docIds.length > 0) {
+            orphans[match] = docIds
+        } else {
+            delete orphans[match]
+        }
+
+        return true
+    }
+}
+
+// static properties
+
+// copy to super's static property
+Object.assign(ChromeOrphanStorage.KEYS, {
+    ORPHANED_HIGHLIGHTS: 'orphanedHighlights',
+})
+
+// promise of the last update
+ChromeOrphanStorage.queue = Promise.resolve()
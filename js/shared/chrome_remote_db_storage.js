@@ -0,0 +1,151 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Local storage of the remote (CouchDB/PouchDB server) database the local database syncs with, and the state of that sync.
+ * Local, because credentials shouldn't be synced, and the state is specific to this browser.
+ *
+ * @class ChromeRemoteDBStorage
+ * @extends {ChromeStorage}
+ */
+class ChromeRemoteDBStorage extends ChromeStorage {
+    constructor() {
+        super('local')
+    }
+
+    /**
+     * @typedef {Object} RemoteDB
+     * @prop {string} url - url of the remote database, e.g. 'https://example.com:5984/highlighter'
+     * @prop {string} [username]
+     * @prop {string} [password]
+     * @memberof ChromeRemoteDBStorage
+     */
+
+    /**
+     * @typedef {Object} SyncState
+     * @prop {string} state - one of ChromeRemoteDBStorage.SYNC_STATE
+     * @prop {number} [lastSyncedDate] - date at which the databases were last known to be the same
+     * @prop {Object<string, number>} [lastSyncedSeqs] - update sequence of the local database of each collection (by id) at that date
+     * @prop {string} [error] - message of the last error
+     * @memberof ChromeRemoteDBStorage
+     */
+
+    /**
+     * Get the remote database
+     *
+     * @returns {Promise<RemoteDB|null>} remote database, or null if there is none
+     * @memberof ChromeRemoteDBStorage
+     */
+    getRemoteDB() {
+        return super.get({
+            [ChromeRemoteDBStorage.KEYS.REMOTE_DB]: null
+        }).then(items => items[ChromeRemoteDBStorage.KEYS.REMOTE_DB])
+    }
+
+    /**
+     * Has the remote database ever been set (including to null)
+     *
+     * @returns {Promise<boolean>}
+     * @memberof ChromeRemoteDBStorage
+     */
+    isRemoteDBSet() {
+        // keys without a default value aren't got, and false is never stored
+        return super.get({
+            [ChromeRemoteDBStorage.KEYS.REMOTE_DB]: false
+        }).then(items => items[ChromeRemoteDBStorage.KEYS.REMOTE_DB] !== false)
+    }
+
+    /**
+     * Set (or remove) the remote database
+     *
+     * @param {RemoteDB|null} remoteDB - remote database, or null to stop syncing. Null is stored, so an undefined value
+     *  means the remote database was never set
+     * @returns {Promise}
+     * @memberof ChromeRemoteDBStorage
+     */
+    setRemoteDB(remoteDB) {
+        return super.set(remoteDB || null, ChromeRemoteDBStorage.KEYS.REMOTE_DB)
+    }
+
+    /**
+     * Get the state of the sync
+     *
+     * @returns {Promise<SyncState>}
+     * @memberof ChromeRemoteDBStorage
+     */
+    getSyncState() {
+        return super.get({
+            [ChromeRemoteDBStorage.KEYS.SYNC_STATE]: { state: ChromeRemoteDBStorage.SYNC_STATE.DISABLED }
+        }).then(items => items[ChromeRemoteDBStorage.KEYS.SYNC_STATE])
+    }
+
+    /**
+     * Update the state of the sync
+     *
+     * @param {Object} values - properties of SyncState to change
+     * @returns {Promise<SyncState>} new state
+     * @memberof ChromeRemoteDBStorage
+     */
+    updateSyncState(values) {
+        return this.getSyncState().then(syncState => {
+            const newSyncState = Object.assign(syncState, values)
+
+            return super.set(newSyncState, ChromeRemoteDBStorage.KEYS.SYNC_STATE).then(() => newSyncState)
+        })
+    }
+
+    // static
+
+    /**
+     * Format the url of the remote database of a collection. The default collection syncs with the remote database itself,
+     * and every other collection with a database whose name is its name, followed by a hyphen and the id of the collection
+     *
+     * @static
+     * @param {string} url - url of the remote database
+     * @param {string} collectionId - id of collection
+     * @returns {string}
+     * @memberof ChromeRemoteDBStorage
+     */
+    static formatCollectionUrl(url, collectionId) {
+        if (collectionId === ChromeCollectionStorage.DEFAULT_ID) {
+            return url
+        }
+
+        return `${url.replace(/\/+$/, '')}-${collectionId}`
+    }
+}
+
+// static properties
+
+// copy to super's static property
+Object.assign(ChromeRemoteDBStorage.KEYS, {
+    REMOTE_DB: 'remoteDB',
+    SYNC_STATE: 'syncState',
+})
+
+ChromeRemoteDBStorage.SYNC_STATE = {
+    // no remote database
+    DISABLED: 'disabled',
+    // databases are the same, waiting for changes
+    IDLE: 'idle',
+    // replicating changes
+    ACTIVE: 'active',
+    // remote database unreachable, retrying
+    PAUSED: 'paused',
+    // stopped by an error that retrying won't fix (e.g. incorrect credentials)
+    ERROR: 'error',
+}
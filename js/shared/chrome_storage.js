@@ -126,6 +126,9 @@ ChromeStorage.KEYS = {
   FILE_ACCESS_REQUIRED_WARNING_DISMISSED: 'fileAccessRequiredWarningDismissed',
   UNSELECT_AFTER_HIGHLIGHT: 'unselectAfterHighlight',
   POPUP_HIGHLIGHT_TEXT_MAX_LENGTH: 'popupHighlightTextMaxLength',
+  OPEN_PDF_IN_VIEWER: 'openPdfInViewer',
+  CITATION_FORMAT: 'citationFormat',
+  TRASH_RETENTION_DAYS: 'trashRetentionDays',
 
   HIGHLIGHT: {
     SORT_BY: 'highlight_sort_by',
@@ -155,6 +158,11 @@ ChromeStorage.DEFAULTS = {
   [ChromeStorage.KEYS.FILE_ACCESS_REQUIRED_WARNING_DISMISSED]: false,
   [ChromeStorage.KEYS.UNSELECT_AFTER_HIGHLIGHT]: false,
   [ChromeStorage.KEYS.POPUP_HIGHLIGHT_TEXT_MAX_LENGTH]: 512,
+  [ChromeStorage.KEYS.OPEN_PDF_IN_VIEWER]: true,
+  // one of Citation.FORMAT
+  [ChromeStorage.KEYS.CITATION_FORMAT]: 'plain',
+  // days deleted highlights are kept in the trash. 0 keeps them until purged manually
+  [ChromeStorage.KEYS.TRASH_RETENTION_DAYS]: 30,
 
   [ChromeStorage.KEYS.HIGHLIGHT.SORT_BY]: 'time',
   [ChromeStorage.KEYS.HIGHLIGHT.INVERT_SORT]: false,
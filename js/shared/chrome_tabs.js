@@ -25,15 +25,23 @@ class ChromeTabs {
    * Creates an instance of Tabs
    * 
    * @param {number} tabId - id of tab that all instance methods target 
+   * @param {number} [frameId=0] - id of frame within the tab that scripts & messages target. 0 is the top level frame
    * @memberof ChromeTabs
    */
-  constructor(tabId) {
+  constructor(tabId, frameId = 0) {
     /**
      * id of tab that all instance methods target 
      * @type {number}
      * @public
      */
     this.tabId = tabId
+
+    /**
+     * id of frame within tab that scripts & messages target
+     * @type {number}
+     * @public
+     */
+    this.frameId = frameId
   }
 
   /**
@@ -111,6 +119,55 @@ class ChromeTabs {
     })
   }
 
+  /**
+   * Get the id of the collection of the highlights of the tab's page
+   * 
+   * @returns {Promise<string>}
+   * @memberof ChromeTabs
+   */
+  getCollectionId() {
+    return this.get().then(({ url }) => new ChromeCollectionStorage().getCollectionId(url))
+  }
+
+  /**
+   * Reload the tab
+   * 
+   * @returns {Promise}
+   * @memberof ChromeTabs
+   */
+  reload() {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.reload(this.tabId, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message))
+          return
+        }
+
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * Navigate the tab to a url
+   * 
+   * @param {string} url
+   * @returns {Promise<Tab>}
+   * @memberof ChromeTabs
+   */
+  update(url) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.update(this.tabId, { url: url }, tab => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message))
+          return
+        }
+
+        resolve(tab)
+      })
+    })
+  }
+
   /**
    * Creates a new tab
    * 
@@ -138,9 +195,151 @@ class ChromeTabs {
 
   //
 
+  /**
+   * @typedef {Object} FrameDetails
+   * @prop {number} frameId - id of frame. 0 is the top level frame
+   * @prop {number} parentFrameId - id of parent frame, or -1 if top level
+   * @prop {string} url - url currently associated with the frame
+   * @prop {boolean} errorOccurred - true if the last navigation in this frame was interrupted by an error
+   */
+
+  /**
+   * Retrieves information about all frames of the tab
+   * 
+   * @returns {Promise<FrameDetails[]>}
+   * @memberof ChromeTabs
+   */
+  getAllFrames() {
+    return new Promise((resolve, reject) => {
+      chrome.webNavigation.getAllFrames({ tabId: this.tabId }, frames => {
+        if (chrome.runtime.lastError || !frames) {
+          reject(new Error((chrome.runtime.lastError && chrome.runtime.lastError.message) || 'no frames'))
+          return
+        }
+
+        resolve(frames)
+      })
+    })
+  }
+
+  /**
+   * Get ChromeTabs instances targeting each frame of the tab
+   * 
+   * @returns {Promise<ChromeTabs[]>} instances, top level frame first
+   * @memberof ChromeTabs
+   */
+  getAllFrameTabs() {
+    return this.getAllFrames().then(frames => {
+      return frames
+        .sort((a, b) => a.frameId - b.frameId)
+        .map(({ frameId }) => new ChromeTabs(this.tabId, frameId))
+    }).catch(() => [new ChromeTabs(this.tabId)])
+  }
+
+  /**
+   * Query each frame of the tab in turn (top level frame first), until one resolves to a truthy value.
+   * Frames without injected scripts aren't injected, and are skipped.
+   * 
+   * @param {function(ChromeTabs): Promise<*>} query - method that queries the frame targeted by its argument
+   * @returns {Promise<{tabs: ChromeTabs, value: *}>} first frame with truthy value, or top level frame and null value if none
+   * @memberof ChromeTabs
+   */
+  findFrame(query) {
+    return this.getAllFrameTabs().then(frameTabs => {
+      const next = index => {
+        if (index >= frameTabs.length) {
+          return { tabs: new ChromeTabs(this.tabId), value: null }
+        }
+
+        return query(frameTabs[index]).catch(() => null).then(value => {
+          return value ? { tabs: frameTabs[index], value: value } : next(index + 1)
+        })
+      }
+
+      return next(0)
+    })
+  }
+
+  /**
+   * @typedef {Object} Frame
+   * @prop {string} url - url of the frame's document
+   * @prop {string} [path] - XPath of the frame's element (iframe) in its parent document. Undefined if not same-origin
+   */
+
+  /**
+   * Describe the targeted frame, so it can be found again in a later load of the page
+   * 
+   * @returns {Promise<Frame|undefined>} frame descriptor, or undefined for the top level frame
+   * @memberof ChromeTabs
+   */
+  getFrame() {
+    if (this.frameId === 0) {
+      return Promise.resolve()
+    }
+
+    let url
+
+    return this.getAllFrames().then(frames => {
+      const details = frames.find(f => f.frameId === this.frameId)
+      if (!details) {
+        return Promise.reject(new Error(`no frame with id ${this.frameId}`))
+      }
+
+      url = details.url
+      return this.getFramePath()
+    }).then(path => {
+      const frame = { url: url }
+
+      if (typeof path === 'string') {
+        frame.path = path
+      }
+
+      return frame
+    })
+  }
+
+  /**
+   * Get a ChromeTabs instance targeting the frame described by a document's frame descriptor.
+   * If more than one frame has the url, the one whose element path matches is chosen.
+   * 
+   * @param {Frame} [frame] - frame descriptor of document. If undefined, the top level frame is targeted
+   * @returns {Promise<ChromeTabs>} rejects if no frame in the tab has the descriptor's url
+   * @memberof ChromeTabs
+   */
+  forFrame(frame) {
+    if (!frame) {
+      return Promise.resolve(new ChromeTabs(this.tabId))
+    }
+
+    const frameMatch = DB.formatMatch(frame.url)
+
+    return this.getAllFrames().then(frames => {
+      const candidates = frames
+        .filter(f => f.frameId !== 0 && DB.formatMatch(f.url) === frameMatch)
+        .map(f => new ChromeTabs(this.tabId, f.frameId))
+
+      if (candidates.length === 0) {
+        return Promise.reject(new Error(`no frame with url ${frame.url}`))
+      }
+
+      if (candidates.length === 1 || !frame.path) {
+        return candidates[0]
+      }
+
+      // ask each candidate for the path of its element
+      return Promise.all(candidates.map(c => c.getFramePath().catch(() => null))).then(paths => {
+        const index = paths.indexOf(frame.path)
+        return candidates[Math.max(0, index)]
+      })
+    })
+  }
+
+  //
+
   /**
    * @typedef {Object} ExecuteScriptDetails
    * @prop {boolean} [allFrames=false] - If true implies that the JavaScript or CSS should be injected into all frames of current page
+   * @prop {number} [frameId] - frame to inject into. Defaults to the instance's frame, unless `allFrames` is true
    */
 
   /**
@@ -167,7 +366,7 @@ class ChromeTabs {
 
       chrome.tabs.executeScript(
         this.tabId,
-        Object.assign({file: files}, details), 
+        Object.assign({file: files}, details.allFrames ? {} : { frameId: this.frameId }, details), 
         result => { 
           if (chrome.runtime.lastError) {
             reject(new Error(chrome.runtime.lastError.message))
@@ -211,7 +410,8 @@ class ChromeTabs {
    */
   sendMessage(id, message = {}, { ping = true } = {}) {
     return (ping ? 
-      this._sendMessage({ id: ChromeTabs.MESSAGE_ID.PING}) :
+      // no receiver (no injected script) is the same as a falsy response
+      this._sendMessage({ id: ChromeTabs.MESSAGE_ID.PING}).catch(() => false) :
       Promise.resolve(true)
     ).then(pong => {
       if (!pong) {
@@ -233,8 +433,8 @@ class ChromeTabs {
    */
   _sendMessage(message) {
     return new Promise((resolve, reject) => {
-      // send message to page
-      chrome.tabs.sendMessage(this.tabId, message, response => {
+      // send message to page (frame)
+      chrome.tabs.sendMessage(this.tabId, message, { frameId: this.frameId }, response => {
         // explicit error
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message))
@@ -264,16 +464,19 @@ class ChromeTabs {
    * @param {string} className - name of class defining style of highlight
    * @param {string} highlightId - unique id for highlight, usually same as 'create' document's Id
    * @param {number} [version] - 'version' of document used to create tab. If < 4, assumes compat behaviour
+   * @param {Object} [fallback] - { text, selectors } used to find the highlight if the range doesn't resolve to its text
    * @param {MessageOptions} [options] - message options
    * @returns {Promise<boolean>} true if highlight span could be created 
    * @memberof ChromeTabs
    */
-  createHighlight(range, className, highlightId, version, options) {
+  createHighlight(range, className, highlightId, version, { text, selectors } = {}, options) {
     return this.sendMessage(ChromeTabs.MESSAGE_ID.CREATE_HIGHLIGHT, {
       range: range,
       highlightId: highlightId,
       className: className,
       version: version,
+      text: text,
+      selectors: selectors,
     }, options)
   }
 
@@ -293,6 +496,22 @@ class ChromeTabs {
     }, options)
   }
 
+  /**
+   * Update a highlight's note in the DOM
+   * 
+   * @param {string} highlightId - unique id for highlight, usually same as 'create' document's Id
+   * @param {string} [note] - note text. If falsy, any existing note is removed
+   * @param {MessageOptions} [options] - message options
+   * @returns {Promise<boolean>} true if update succeeded
+   * @memberof ChromeTabs
+   */
+  updateHighlightNote(highlightId, note, options) {
+    return this.sendMessage(ChromeTabs.MESSAGE_ID.UPDATE_HIGHLIGHT_NOTE, {
+      highlightId: highlightId,
+      note: note
+    }, options)
+  }
+
   /**
    * remove highlight in DOM
    * 
@@ -309,14 +528,66 @@ class ChromeTabs {
 
   //
 
+  /**
+   * Get the text quote & position selectors describing a range
+   * 
+   * @param {XRange} range - range object with xPath selection range
+   * @returns {Promise<Object[]|null>} array of W3C style selectors, or null if the range can't be resolved
+   * @memberof ChromeTabs
+   */
+  getRangeSelectors(range) {
+    return this.sendMessage(ChromeTabs.MESSAGE_ID.GET_RANGE_SELECTORS, {
+      range: range
+    })
+  }
+
+  /**
+   * Get the XPath of the element (iframe) containing the frame's document, in its parent document
+   * 
+   * @returns {Promise<string|null>} path, or null if the frame is top level or its parent isn't same-origin
+   * @memberof ChromeTabs
+   */
+  getFramePath() {
+    return this.sendMessage(ChromeTabs.MESSAGE_ID.GET_FRAME_PATH)
+  }
+
+  /**
+   * Get the ids of all the highlights in the DOM of the frame
+   * 
+   * @param {MessageOptions} [options] - message options
+   * @returns {Promise<string[]>} ids of highlights (aka 'create' doc _id)
+   * @memberof ChromeTabs
+   */
+  getHighlightIds(options) {
+    return this.sendMessage(ChromeTabs.MESSAGE_ID.GET_HIGHLIGHT_IDS, {}, options)
+  }
+
+  /**
+   * Wait for the document of the frame to finish rendering (stop changing)
+   * 
+   * @param {Object} params
+   * @param {number} params.quietPeriod - ms without any change after which the document is considered rendered
+   * @param {number} params.timeout - maximum ms to wait
+   * @param {MessageOptions} [options] - message options
+   * @returns {Promise<boolean>} true when rendered
+   * @memberof ChromeTabs
+   */
+  waitForRender({ quietPeriod, timeout }, options) {
+    return this.sendMessage(ChromeTabs.MESSAGE_ID.WAIT_FOR_RENDER, {
+      quietPeriod: quietPeriod,
+      timeout: timeout,
+    }, options)
+  }
+
   /**
    * Get a range object representing the current selection of the content's document
    * 
+   * @param {MessageOptions} [options] - message options
    * @returns {Promise<XRange>} - XRange object (even if no selection)
    * @memberof ChromeTabs
    */
   getSelectionRange(options) {
-    return this.sendMessage(ChromeTabs.MESSAGE_ID.GET_SELECTION_RANGE)
+    return this.sendMessage(ChromeTabs.MESSAGE_ID.GET_SELECTION_RANGE, {}, options)
   }
 
   /**
@@ -383,15 +654,42 @@ class ChromeTabs {
    * Scroll document to a highlight
    * 
    * @param {string} highlightId - #id of highlight (aka 'create' doc _id)
+   * @param {Object} [options]
+   * @param {boolean} [options.flash] - flash the highlight after scrolling to it
    * @returns {Promise<boolean>} true if element found, else false
    * @memberof ChromeTabs
    */
-  scrollToHighlight(highlightId) {
+  scrollToHighlight(highlightId, { flash = false } = {}) {
     return this.sendMessage(ChromeTabs.MESSAGE_ID.SCROLL_TO_HIGHLIGHT, {
-        highlightId: highlightId
+        highlightId: highlightId,
+        flash: flash,
     });
   }
 
+  /**
+   * Scroll to a highlight once the tab's page has played back its highlights, retrying until it has
+   * 
+   * @param {Object} doc - 'create' document of highlight
+   * @param {Object} [options]
+   * @param {boolean} [options.flash] - flash the highlight after scrolling to it
+   * @param {number} [attempt=0] - number of previous attempts
+   * @returns {Promise<boolean>} true if scrolled
+   * @memberof ChromeTabs
+   */
+  scrollToPlayedBackHighlight(doc, options, attempt = 0) {
+    return this.forFrame(doc[DB.DOCUMENT.NAME.FRAME]).then(tabs => {
+      return tabs.scrollToHighlight(doc._id, options)
+    }).catch(() => false).then(ok => {
+      if (ok || attempt >= ChromeTabs.SCROLL_RETRY.COUNT) {
+        return ok
+      }
+
+      return new Promise(resolve => setTimeout(resolve, ChromeTabs.SCROLL_RETRY.DELAY)).then(() => {
+        return this.scrollToPlayedBackHighlight(doc, options, attempt + 1)
+      })
+    })
+  }
+
   /**
    * Get a value of an attribute in the document's DOM
    * 
@@ -430,11 +728,12 @@ class ChromeTabs {
   /**
    * Get the #id of the highlight that is currently being hovered over
    * 
+   * @param {MessageOptions} [options] - message options
    * @returns {Promise<String>} id or empty string if none
    * @memberof ChromeTabs
    */
-  getHoveredHighlightID() {
-    return this.sendMessage(ChromeTabs.MESSAGE_ID.GET_HOVERED_HIGHLIGHT_ID)
+  getHoveredHighlightID(options) {
+    return this.sendMessage(ChromeTabs.MESSAGE_ID.GET_HOVERED_HIGHLIGHT_ID, {}, options)
   }
 
   // /** 
@@ -450,6 +749,9 @@ class ChromeTabs {
   //  * @prop {string} [className] - className identifying style of create highlight. Used in DOM
   //  * @prop {string} [text] - text within create highlight
   //  * @prop {string} [title] - title of page highlight was created from
+  //  * @prop {string} [note] - user's annotation of a create highlight
+  //  * @prop {Object[]} [selectors] - W3C text quote & position selectors of create highlight
+  //  * @prop {Object} [frame] - url & path of frame containing highlight, if not the top level frame
   //  * @prop {string} [correspondingDocumentId] - id of 'create' doc associated with this `delete` doc
   //  */
 
@@ -482,7 +784,18 @@ class ChromeTabs {
                 doc[DB.DOCUMENT.NAME.RANGE],
                 doc[DB.DOCUMENT.NAME.CLASS_NAME],
                 doc._id,
-                version)
+                version, {
+                  text: doc[DB.DOCUMENT.NAME.TEXT],
+                  selectors: doc[DB.DOCUMENT.NAME.SELECTORS],
+                }
+              ).then(ok => {
+                // note (tooltip) can only be applied to existing mark elements
+                if (!ok || !doc[DB.DOCUMENT.NAME.NOTE]) {
+                  return ok
+                }
+
+                return this.updateHighlightNote(doc._id, doc[DB.DOCUMENT.NAME.NOTE])
+              })
 
             case DB.DOCUMENT.VERB.DELETE:
               sum--
@@ -519,11 +832,13 @@ class ChromeTabs {
 			
         case "location":
             return doc => {
-                // resolve to top of bounding client rect
-                return this.isHighlightInDOM(doc._id).then(isInDOM => {
-                    return isInDOM ?
-                      this.getHighlightOffset(doc._id) :
-                      Promise.reject(new Error())
+                // resolve to top of bounding client rect (within its frame)
+                return this.forFrame(doc[DB.DOCUMENT.NAME.FRAME]).then(tabs => {
+                    return tabs.isHighlightInDOM(doc._id).then(isInDOM => {
+                        return isInDOM ?
+                          tabs.getHighlightOffset(doc._id) :
+                          Promise.reject(new Error())
+                    })
                 }).then(offset => offset.top)
             }
 
@@ -533,7 +848,7 @@ class ChromeTabs {
 
             return doc => {
                 if (map.size === 0) {
-                    return new ChromeHighlightStorage().getAll().then(items => {
+                    return new ChromeHighlightStorage(this.getCollectionId()).getAll().then(items => {
                         // key is definition className, value is the index that occupies
                         items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS].forEach(({className}, index) => {
                             map.set(className, index)
@@ -552,7 +867,7 @@ class ChromeTabs {
   /**
    * Get an overview of the tab's highlights as formatted text 
    * 
-	 * @param {string} format one of [markdown]
+	 * @param {string} format one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
 	 * @param {Function} [comparator] function that returns a promise that resolves to a comparible value
    * @param {Boolean} [invert] invert the document order
 	 * @returns {Promise<string>} overview correctly formatted as a string
@@ -560,22 +875,34 @@ class ChromeTabs {
    */
   getFormattedOverviewText(format, comparator,/* filterPredicate,*/ invert) {
     let tab
-    const titles = new Map()
+    let collectionId
+    let definitions
+    let templates = []
 
     return this.get().then(t => {
       tab = t
 
-      return new ChromeHighlightStorage().getAll()
-        .then(items => items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS])
-    }).then(definitions => {
-      // map the highlight class name to its display name, for later usage
-      for (const d of definitions) {
-          titles.set(d.className, d.title)
-      }
+      return new ChromeCollectionStorage().getCollectionId(tab.url)
+    }).then(id => {
+      collectionId = id
 
+      return new ChromeHighlightStorage(collectionId).getAll()
+        .then(items => items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS])
+    }).then(d => {
+      definitions = d
+
+      // user defined templates are only needed to render themselves
+      return format.startsWith(ChromeTabs.OVERVIEW_TEMPLATE_PREFIX) ?
+        new ChromeTemplateStorage().getAll() :
+        templates
+    }).then(t => {
+      templates = t
+
+      return new ChromeMatchRuleStorage().formatMatch(tab.url)
+    }).then(match => {
       // get documents associated with the tab's url
       // get only the create docs that don't have matched delete doc
-      return new DB().getMatchingDocuments(DB.formatMatch(tab.url), { excludeDeletedDocs: true })
+      return new DB(collectionId).getMatchingDocuments(match, { excludeDeletedDocs: true })
     }).then(docs => {
       // filter
       // if (filterPredicate) {
@@ -589,45 +916,299 @@ class ChromeTabs {
         docs.reverse()
       }
 
-      switch (format) {
-        case ChromeTabs.OVERVIEW_FORMAT.MARKDOWN:
-        case ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER:
-            let markdown = `# [${tab.title}](${tab.url})`
-            let currentClassName
-
-            // iterate each highlight
-            for (const {className, text} of docs) {
-                // only add a new heading when the class of the header changes
-                if (className != currentClassName) {
-                    markdown += `\n\n## ${titles.get(className)}`
-
-                    currentClassName = className
-                } else {
-                    // only seperate subsequent list items
-                    markdown += "\n"
-                }
+      return ChromeTabs.formatOverview(format, {
+        title: tab.title,
+        url: tab.url,
+        docs: docs,
+        definitions: definitions,
+        templates: templates,
+      })
+    })
+  }
 
-                // each highlight is an unordered list item
-                markdown += `\n* ${text}`
-            }
+  // static overview formatting
 
-            // footer
-            if (format !== ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER) {
-                markdown += `\n\n---\n${chrome.i18n.getMessage("overview_footer", [
-                  chrome.i18n.getMessage("extension_name"),
-                  chrome.i18n.getMessage("extension_webstore_url"),
-                  chrome.i18n.getMessage("copyright_year"),
-                  chrome.i18n.getMessage("extension_author"),
-                  chrome.i18n.getMessage("extension_author_url")
-              ])}`
-            }
+  /**
+   * Format an overview of a page's highlights
+   * 
+   * @static
+   * @param {string} format - one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
+   * @param {Object} overview
+   * @param {string} overview.title - title of page
+   * @param {string} overview.url - url of page
+   * @param {Object[]} overview.docs - create documents of highlights, in order
+   * @param {HighlightDefinition[]} overview.definitions - highlight definitions, for the titles & colors of styles
+   * @param {OverviewTemplate[]} [overview.templates] - user defined templates
+   * @returns {string}
+   * @throws {Error} unknown format, or template can't be parsed
+   * @memberof ChromeTabs
+   */
+  static formatOverview(format, { title, url, docs, definitions, templates = [] }) {
+    // map the highlight class name to its definition
+    const definitionMap = new Map(definitions.map(d => [d.className, d]))
+    // highlights with the same class are grouped under a heading, only if they're consecutive
+    const groups = []
+
+    for (const doc of docs) {
+      const className = doc[DB.DOCUMENT.NAME.CLASS_NAME]
+
+      if (groups.length === 0 || groups[groups.length - 1].className !== className) {
+        const definition = definitionMap.get(className)
+
+        groups.push({
+          className: className,
+          title: definition ? definition.title : chrome.i18n.getMessage('export_unknown_style'),
+          definition: definition,
+          docs: [],
+        })
+      }
 
-            return Promise.resolve(markdown)
+      groups[groups.length - 1].docs.push(doc)
+    }
 
-        default:
-            return Promise.reject(new Error('unknown format'))
+    switch (format) {
+      case ChromeTabs.OVERVIEW_FORMAT.MARKDOWN:
+      case ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER:
+        return ChromeTabs.formatMarkdownOverview(title, url, groups, format !== ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER)
+
+      case ChromeTabs.OVERVIEW_FORMAT.HTML:
+        return ChromeTabs.formatHTMLOverview(title, url, groups)
+
+      case ChromeTabs.OVERVIEW_FORMAT.TEXT:
+        return ChromeTabs.formatTextOverview(title, url, groups)
+
+      case ChromeTabs.OVERVIEW_FORMAT.ORG:
+        return ChromeTabs.formatOrgOverview(title, url, groups)
+
+      case ChromeTabs.OVERVIEW_FORMAT.JSON:
+        return ChromeTabs.formatJSONOverview(title, url, groups)
+
+      default: {
+        const template = ChromeTabs.findOverviewTemplate(format, templates)
+
+        if (!template) {
+          throw new Error('unknown format')
+        }
+
+        return ChromeTemplateStorage.render(template.template, ChromeTemplateStorage.createContext({ title, url, docs, definitions }))
       }
-    })
+    }
+  }
+
+  /**
+   * Get the formats (and their titles) in which an overview can be saved or copied
+   * 
+   * @static
+   * @param {OverviewTemplate[]} [templates] - user defined templates, which follow the built-in formats
+   * @returns {Array<{format: string, title: string}>}
+   * @memberof ChromeTabs
+   */
+  static getOverviewFormats(templates = []) {
+    return [
+      ChromeTabs.OVERVIEW_FORMAT.MARKDOWN,
+      ChromeTabs.OVERVIEW_FORMAT.HTML,
+      ChromeTabs.OVERVIEW_FORMAT.TEXT,
+      ChromeTabs.OVERVIEW_FORMAT.ORG,
+      ChromeTabs.OVERVIEW_FORMAT.JSON,
+    ].map(format => ({
+      format: format,
+      title: chrome.i18n.getMessage(`overview_format_${format}`),
+    })).concat(templates.map(({ id, title }) => ({
+      format: `${ChromeTabs.OVERVIEW_TEMPLATE_PREFIX}${id}`,
+      title: title,
+    })))
+  }
+
+  /**
+   * Get the extension & media type of the file of an overview
+   * 
+   * @static
+   * @param {string} format - one of ChromeTabs.OVERVIEW_FORMAT, or the format of a user defined template
+   * @param {OverviewTemplate[]} [templates] - user defined templates
+   * @returns {{extension: string, type: string}}
+   * @memberof ChromeTabs
+   */
+  static getOverviewFileType(format, templates = []) {
+    if (ChromeTabs.OVERVIEW_FILE_TYPE[format]) {
+      return ChromeTabs.OVERVIEW_FILE_TYPE[format]
+    }
+
+    const template = ChromeTabs.findOverviewTemplate(format, templates)
+    const extension = (template && template.extension) || ChromeTemplateStorage.DEFAULT_EXTENSION
+
+    // the type of the built-in format with the same extension, if any
+    const fileType = Object.values(ChromeTabs.OVERVIEW_FILE_TYPE).find(t => t.extension === extension)
+
+    return { extension: extension, type: fileType ? fileType.type : 'text/plain' }
+  }
+
+  /**
+   * Find the user defined template of a format
+   * 
+   * @private
+   * @static
+   * @param {string} format
+   * @param {OverviewTemplate[]} templates
+   * @returns {OverviewTemplate|undefined}
+   * @memberof ChromeTabs
+   */
+  static findOverviewTemplate(format, templates) {
+    if (!format.startsWith(ChromeTabs.OVERVIEW_TEMPLATE_PREFIX)) {
+      return undefined
+    }
+
+    const id = format.slice(ChromeTabs.OVERVIEW_TEMPLATE_PREFIX.length)
+
+    return templates.find(t => t.id === id)
+  }
+
+  /**
+   * @private
+   * @static
+   * @param {string} title
+   * @param {string} url
+   * @param {Object[]} groups
+   * @param {boolean} hasFooter
+   * @returns {string}
+   * @memberof ChromeTabs
+   */
+  static formatMarkdownOverview(title, url, groups, hasFooter) {
+    let markdown = `# [${title}](${url})`
+
+    for (const group of groups) {
+      markdown += `\n\n## ${group.title}`
+
+      // each highlight is an unordered list item
+      markdown += group.docs.map(({ text }) => `\n* ${text}`).join('\n')
+    }
+
+    // footer
+    if (hasFooter) {
+      markdown += `\n\n---\n${chrome.i18n.getMessage("overview_footer", [
+        chrome.i18n.getMessage("extension_name"),
+        chrome.i18n.getMessage("extension_webstore_url"),
+        chrome.i18n.getMessage("copyright_year"),
+        chrome.i18n.getMessage("extension_author"),
+        chrome.i18n.getMessage("extension_author_url")
+      ])}`
+    }
+
+    return markdown
+  }
+
+  /**
+   * HTML document in which each highlight is marked with the colors of its style, so it keeps them when pasted
+   * 
+   * @private
+   * @static
+   * @param {string} title
+   * @param {string} url
+   * @param {Object[]} groups
+   * @returns {string}
+   * @memberof ChromeTabs
+   */
+  static formatHTMLOverview(title, url, groups) {
+    const escape = StringUtils.escapeHTML
+    let html = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n<title>${escape(title)}</title>\n</head>\n<body>\n` +
+      `<h1><a href="${escape(url)}">${escape(title)}</a></h1>`
+
+    for (const group of groups) {
+      const markStyle = escape(ChromeHighlightStorage.formatInlineStyle(group.definition))
+
+      html += `\n<h2>${escape(group.title)}</h2>\n<ul>`
+      html += group.docs.map(({ text }) => `\n<li><mark style="${markStyle}">${escape(text).replace(/\r?\n/g, '<br>')}</mark></li>`).join('')
+      html += '\n</ul>'
+    }
+
+    return `${html}\n</body>\n</html>`
+  }
+
+  /**
+   * @private
+   * @static
+   * @param {string} title
+   * @param {string} url
+   * @param {Object[]} groups
+   * @returns {string}
+   * @memberof ChromeTabs
+   */
+  static formatTextOverview(title, url, groups) {
+    let text = `${title}\n${url}`
+
+    for (const group of groups) {
+      text += `\n\n${group.title}`
+      text += group.docs.map(doc => `\n- ${ChromeTabs.indentLines(doc.text, '  ')}`).join('')
+    }
+
+    return text
+  }
+
+  /**
+   * @private
+   * @static
+   * @param {string} title
+   * @param {string} url
+   * @param {Object[]} groups
+   * @returns {string}
+   * @memberof ChromeTabs
+   */
+  static formatOrgOverview(title, url, groups) {
+    // brackets end the description of a link
+    let org = `* [[${url}][${title.replace(/[[\]]/g, '')}]]`
+
+    for (const group of groups) {
+      org += `\n** ${group.title}`
+      // indenting continuation lines stops those starting with '*' becoming headings
+      org += group.docs.map(doc => `\n- ${ChromeTabs.indentLines(doc.text, '  ')}`).join('')
+    }
+
+    return org
+  }
+
+  /**
+   * @private
+   * @static
+   * @param {string} title
+   * @param {string} url
+   * @param {Object[]} groups
+   * @returns {string}
+   * @memberof ChromeTabs
+   */
+  static formatJSONOverview(title, url, groups) {
+    const highlights = []
+
+    for (const group of groups) {
+      for (const doc of group.docs) {
+        const highlight = {
+          style: group.title,
+          className: group.className,
+          text: doc[DB.DOCUMENT.NAME.TEXT],
+          date: new Date(doc[DB.DOCUMENT.NAME.DATE]).toISOString(),
+        }
+
+        if (doc[DB.DOCUMENT.NAME.NOTE]) {
+          highlight.note = doc[DB.DOCUMENT.NAME.NOTE]
+        }
+
+        highlights.push(highlight)
+      }
+    }
+
+    return JSON.stringify({ title, url, highlights }, null, 2)
+  }
+
+  /**
+   * Indent all but the first line of some text
+   * 
+   * @private
+   * @static
+   * @param {string} text
+   * @param {string} indent
+   * @returns {string}
+   * @memberof ChromeTabs
+   */
+  static indentLines(text, indent) {
+    return text.split(/\r?\n/).join(`\n${indent}`)
   }
 }
 
@@ -636,6 +1217,29 @@ class ChromeTabs {
 ChromeTabs.OVERVIEW_FORMAT = {
   MARKDOWN: 'markdown',
   MARKDOWN_NO_FOOTER: 'markdown-no-footer',
+  HTML: 'html',
+  TEXT: 'text',
+  ORG: 'org',
+  JSON: 'json',
+}
+
+// scrolling to the highlight of a page that is still loading
+ChromeTabs.SCROLL_RETRY = {
+  COUNT: 20,
+  DELAY: 500,
+}
+
+// prefix of the formats of user defined templates (followed by the id of the template)
+ChromeTabs.OVERVIEW_TEMPLATE_PREFIX = 'template:'
+
+// extension & media type of files of each overview format
+ChromeTabs.OVERVIEW_FILE_TYPE = {
+  [ChromeTabs.OVERVIEW_FORMAT.MARKDOWN]: { extension: 'md', type: 'text/markdown' },
+  [ChromeTabs.OVERVIEW_FORMAT.MARKDOWN_NO_FOOTER]: { extension: 'md', type: 'text/markdown' },
+  [ChromeTabs.OVERVIEW_FORMAT.HTML]: { extension: 'html', type: 'text/html' },
+  [ChromeTabs.OVERVIEW_FORMAT.TEXT]: { extension: 'txt', type: 'text/plain' },
+  [ChromeTabs.OVERVIEW_FORMAT.ORG]: { extension: 'org', type: 'text/org' },
+  [ChromeTabs.OVERVIEW_FORMAT.JSON]: { extension: 'json', type: 'application/json' },
 }
 
 ChromeTabs.DEFAULT_SCRIPTS = [
@@ -643,11 +1247,13 @@ ChromeTabs.DEFAULT_SCRIPTS = [
 
   "js/shared/chrome_storage.js", 
   "js/shared/chrome_highlight_storage.js",
+  "js/shared/chrome_collection_storage.js",
   
   "js/shared/utils.js",
   "js/shared/style_sheet_manager.js",
 
   "js/content_script/marker.js",
+  "js/content_script/text_anchor.js",
   "js/content_script/dom_events_handler.js",
   "js/content_script/chrome_storage_handler.js",
   "js/content_script/chrome_runtime_handler.js",
@@ -658,14 +1264,19 @@ ChromeTabs.MESSAGE_ID = {
   PING: 'ping',
   CREATE_HIGHLIGHT: 'create_highlight',
   UPDATE_HIGHLIGHT: 'update_highlight',
+  UPDATE_HIGHLIGHT_NOTE: 'update_highlight_note',
   REMOVE_HIGHLIGHT: 'remove_highlight',
   GET_SELECTION_RANGE: 'get_selection_range',
   GET_RANGE_TEXT: 'get_range_text',
+  GET_RANGE_SELECTORS: 'get_range_selectors',
   SELECT_HIGHLIGHT: 'select_highlight',
   SELECT_RANGE: 'select_range',
   IS_HIGHLIGHT_IN_DOM: 'is_highlight_in_dom',
   SCROLL_TO_HIGHLIGHT: 'scroll_to_highlight',
   GET_NODE_ATTRIBUTE_VALUE: 'get_node_attribute_value',
   GET_HIGHLIGHT_OFFSET: 'get_highlight_offset',
-  GET_HOVERED_HIGHLIGHT_ID: 'get_hovered_highlight_id'
+  GET_HOVERED_HIGHLIGHT_ID: 'get_hovered_highlight_id',
+  GET_FRAME_PATH: 'get_frame_path',
+  GET_HIGHLIGHT_IDS: 'get_highlight_ids',
+  WAIT_FOR_RENDER: 'wait_for_render',
 }
\ No newline at end of file
@@ -0,0 +1,309 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ *
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * sync-Storage for user defined templates, that format the overview of a page's highlights.
+ *
+ * A template is text containing tags:
+ *  {{name}} - replaced by the value of a field
+ *  {{#name}}...{{/name}} - section rendered for each item of a list field, or once if the field is true
+ *  {{^name}}...{{/name}} - section rendered only if the field is false, or an empty list
+ *
+ * @class ChromeTemplateStorage
+ * @extends {ChromeStorage}
+ */
+class ChromeTemplateStorage extends ChromeStorage {
+    constructor() {
+        super('sync')
+    }
+
+    /**
+     * @typedef {Object} OverviewTemplate
+     * @prop {string} id - unique id of template
+     * @prop {string} title - title of template, shown in the overview menus
+     * @prop {string} template - text of template
+     * @prop {string} extension - extension of files of saved overviews
+     */
+
+    /**
+     * Get all templates, in the order they're shown
+     *
+     * @returns {Promise<OverviewTemplate[]>}
+     * @memberof ChromeTemplateStorage
+     */
+    getAll() {
+        return super.get({
+            [ChromeTemplateStorage.KEYS.OVERVIEW_TEMPLATES]: []
+        }).then(items => {
+            const keys = items[ChromeTemplateStorage.KEYS.OVERVIEW_TEMPLATES].map(id => ChromeTemplateStorage.formatTemplateKey(id))
+
+            // keys without a default value aren't got
+            return super.get(Object.fromEntries(keys.map(k => [k, null])))
+                .then(items => keys.map(k => items[k]).filter(t => t))
+        })
+    }
+
+    /**
+     * Replace all templates. Each template is stored in its own item, as the size of an item of sync-storage is limited
+     *
+     * @param {OverviewTemplate[]} templates
+     * @returns {Promise} rejects if a quota of storage is exceeded
+     * @memberof ChromeTemplateStorage
+     */
+    setAll(templates) {
+        // the order of templates is stored as an array of their ids
+        const items = {
+            [ChromeTemplateStorage.KEYS.OVERVIEW_TEMPLATES]: templates.map(t => t.id)
+        }
+
+        for (const template of templates) {
+            items[ChromeTemplateStorage.formatTemplateKey(template.id)] = template
+        }
+
+        return super.get({
+            [ChromeTemplateStorage.KEYS.OVERVIEW_TEMPLATES]: []
+        }).then(oldItems => {
+            const oldKeys = oldItems[ChromeTemplateStorage.KEYS.OVERVIEW_TEMPLATES].map(id => ChromeTemplateStorage.formatTemplateKey(id))
+
+            return super.set(items).then(() => {
+                // items of removed templates
+                return super.remove(oldKeys.filter(k => !(k in items)))
+            })
+        })
+    }
+
+    // static
+
+    /**
+     * Format the storage key of the item of a template
+     *
+     * @static
+     * @param {string} id - id of template
+     * @returns {string}
+     * @memberof ChromeTemplateStorage
+     */
+    static formatTemplateKey(id) {
+        return `${ChromeTemplateStorage.KEYS.OVERVIEW_TEMPLATES}.${id}`
+    }
+
+    /**
+     * Create a template with default values
+     *
+     * @static
+     * @param {string} [title='']
+     * @returns {OverviewTemplate}
+     * @memberof ChromeTemplateStorage
+     */
+    static createTemplate(title = '') {
+        return {
+            id: StringUtils.newUUID(),
+            title: title,
+            template: ChromeTemplateStorage.DEFAULT_TEMPLATE,
+            extension: ChromeTemplateStorage.DEFAULT_EXTENSION,
+        }
+    }
+
+    /**
+     * Parse the text of a template into a tree of text, fields and sections
+     *
+     * @static
+     * @param {string} template - text of template
+     * @returns {Object[]} nodes
+     * @throws {Error} a section isn't closed, or is closed without being opened
+     * @memberof ChromeTemplateStorage
+     */
+    static parse(template) {
+        const root = { nodes: [] }
+        const stack = [root]
+        const regex = /{{\s*([#^/]?)\s*(\w+)\s*}}/g
+
+        let lastIndex = 0
+        let result
+
+        while ((result = regex.exec(template)) !== null) {
+            const [tag, type, name] = result
+            const parent = stack[stack.length - 1]
+            const end = result.index + tag.length
+
+            // a line of only a section tag isn't output (so sections can be on their own lines)
+            const lineStart = template.lastIndexOf('\n', result.index - 1) + 1
+            const lineEnd = template.includes('\n', end) ? template.indexOf('\n', end) + 1 : template.length
+            const isStandalone = type.length > 0 && lineStart >= lastIndex &&
+                /^[ \t]*$/.test(template.slice(lineStart, result.index)) &&
+                /^[ \t\r]*\n?$/.test(template.slice(end, lineEnd))
+
+            const textEnd = isStandalone ? lineStart : result.index
+
+            if (textEnd > lastIndex) {
+                parent.nodes.push({ text: template.slice(lastIndex, textEnd) })
+            }
+
+            lastIndex = isStandalone ? lineEnd : end
+
+            switch (type) {
+                case '#':
+                case '^': {
+                    const section = { name: name, inverted: type === '^', nodes: [] }
+
+                    parent.nodes.push(section)
+                    stack.push(section)
+                    break
+                }
+
+                case '/':
+                    if (stack.length === 1 || parent.name !== name) {
+                        throw new Error(chrome.i18n.getMessage('template_error_unexpected_close', [name]))
+                    }
+
+                    stack.pop()
+                    break
+
+                default:
+                    parent.nodes.push({ field: name })
+                    break
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(chrome.i18n.getMessage('template_error_unclosed_section', [stack[stack.length - 1].name]))
+        }
+
+        if (lastIndex < template.length) {
+            root.nodes.push({ text: template.slice(lastIndex) })
+        }
+
+        return root.nodes
+    }
+
+    /**
+     * Render a template
+     *
+     * @static
+     * @param {string} template - text of template
+     * @param {Object} context - values of fields
+     * @returns {string}
+     * @throws {Error} template can't be parsed
+     * @memberof ChromeTemplateStorage
+     */
+    static render(template, context) {
+        return ChromeTemplateStorage.renderNodes(ChromeTemplateStorage.parse(template), [context])
+    }
+
+    /**
+     * Render parsed nodes of a template
+     *
+     * @private
+     * @static
+     * @param {Object[]} nodes
+     * @param {Object[]} contexts - contexts from outermost to innermost. Fields are looked up from the innermost outwards
+     * @returns {string}
+     * @memberof ChromeTemplateStorage
+     */
+    static renderNodes(nodes, contexts) {
+        const lookup = name => {
+            const context = contexts.slice().reverse().find(c => c !== null && typeof c === 'object' && name in c)
+            return context ? context[name] : undefined
+        }
+
+        return nodes.map(node => {
+            if (typeof node.text === 'string') {
+                return node.text
+            }
+
+            if (node.field) {
+                const value = lookup(node.field)
+                return (value === undefined || value === null) ? '' : String(value)
+            }
+
+            // section
+            const value = lookup(node.name)
+            const isEmpty = Array.isArray(value) ? value.length === 0 : !value
+
+            if (node.inverted) {
+                return isEmpty ? ChromeTemplateStorage.renderNodes(node.nodes, contexts) : ''
+            }
+
+            if (isEmpty) {
+                return ''
+            }
+
+            return (Array.isArray(value) ? value : [value])
+                .map(item => ChromeTemplateStorage.renderNodes(node.nodes, contexts.concat([item])))
+                .join('')
+        }).join('')
+    }
+
+    /**
+     * Create the context of fields with which a template renders the overview of a page
+     *
+     * @static
+     * @param {Object} overview
+     * @param {string} overview.title - title of page
+     * @param {string} overview.url - url of page
+     * @param {Object[]} overview.docs - create documents of highlights, in order
+     * @param {HighlightDefinition[]} overview.definitions - highlight definitions, for the titles & colors of styles
+     * @returns {Object}
+     * @memberof ChromeTemplateStorage
+     */
+    static createContext({ title, url, docs, definitions }) {
+        const definitionMap = new Map(definitions.map(d => [d.className, d]))
+
+        return {
+            title: title,
+            url: url,
+            date: new Date().toLocaleDateString(),
+            count: docs.length,
+            highlights: docs.map((doc, index) => {
+                const className = doc[DB.DOCUMENT.NAME.CLASS_NAME]
+                const definition = definitionMap.get(className)
+                const style = (definition && definition.style) || ChromeHighlightStorage.SHARED_HIGHLIGHT_STYLE
+
+                return {
+                    text: doc[DB.DOCUMENT.NAME.TEXT],
+                    style: definition ? definition.title : chrome.i18n.getMessage('export_unknown_style'),
+                    color: style['background-color'],
+                    textColor: style.color,
+                    date: new Date(doc[DB.DOCUMENT.NAME.DATE]).toLocaleString(),
+                    position: index + 1,
+                    note: doc[DB.DOCUMENT.NAME.NOTE] || '',
+                    // true for the first of consecutive highlights of the same style (i.e. to add a heading)
+                    isNewStyle: index === 0 || docs[index - 1][DB.DOCUMENT.NAME.CLASS_NAME] !== className,
+                }
+            }),
+        }
+    }
+}
+
+// static properties
+
+// copy to super's static property
+Object.assign(ChromeTemplateStorage.KEYS, {
+    OVERVIEW_TEMPLATES: 'overviewTemplates',
+})
+
+// template of new templates: a heading for each style
+ChromeTemplateStorage.DEFAULT_TEMPLATE = `# {{title}}
+{{url}}
+{{#highlights}}
+{{#isNewStyle}}
+
+## {{style}}
+{{/isNewStyle}}
+- {{text}}
+{{/highlights}}`
+
+ChromeTemplateStorage.DEFAULT_EXTENSION = 'txt'
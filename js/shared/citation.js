@@ -0,0 +1,146 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Static methods for citing the page of a highlight, when the highlight is copied
+ * 
+ * @class Citation
+ */
+class Citation {
+  /**
+   * Create the clipboard data of a highlight: html keeping its colors, and plain text. Both end with a citation of its page
+   * 
+   * @static
+   * @param {Object} doc - 'create' document of highlight
+   * @param {Object} page
+   * @param {string} page.title - title of page
+   * @param {string} page.url - url of page
+   * @param {Object} [options]
+   * @param {HighlightDefinitionFactory.HighlightDefinition} [options.definition] - definition of the highlight's style
+   * @param {string} [options.format] - one of Citation.FORMAT
+   * @param {Date} [options.date] - date the page was accessed
+   * @returns {{html: string, text: string}}
+   * @memberof Citation
+   */
+  static createClipboardData(doc, { title, url }, { definition, format = Citation.FORMAT.PLAIN, date = new Date() } = {}) {
+    const escape = StringUtils.escapeHTML
+    const text = doc[DB.DOCUMENT.NAME.TEXT]
+    // the url links to the highlight
+    const citation = { title, url: TextFragment.createUrl(url, doc), date }
+    const html = text.split(/\r?\n/).map(escape).join('<br>')
+
+    return {
+      html: `<p><mark style="${escape(ChromeHighlightStorage.formatInlineStyle(definition))}">${html}</mark></p>\n` +
+        `<p>${Citation.formatHTML(format, citation)}</p>`,
+      text: `${text}\n\n${Citation.format(format, citation)}`,
+    }
+  }
+
+  /**
+   * Format a citation of a page as plain text
+   * 
+   * @static
+   * @param {string} format - one of Citation.FORMAT
+   * @param {{title: string, url: string, date: Date}} page
+   * @returns {string}
+   * @memberof Citation
+   */
+  static format(format, page) {
+    return Citation.formatParts(format, page).map(({ text }) => text).join('')
+  }
+
+  /**
+   * Format a citation of a page as html, with its title emphasised as the style requires and its url a link
+   * 
+   * @static
+   * @param {string} format - one of Citation.FORMAT
+   * @param {{title: string, url: string, date: Date}} page
+   * @returns {string}
+   * @memberof Citation
+   */
+  static formatHTML(format, page) {
+    const escape = StringUtils.escapeHTML
+
+    return Citation.formatParts(format, page).map(({ text, isItalic, isLink }) => {
+      if (isLink) {
+        return `<a href="${escape(text)}">${escape(text)}</a>`
+      }
+
+      return isItalic ? `<i>${escape(text)}</i>` : escape(text)
+    }).join('')
+  }
+
+  /**
+   * Split a citation into parts, each of which may be italic or a link
+   * 
+   * @private
+   * @static
+   * @param {string} format - one of Citation.FORMAT
+   * @param {{title: string, url: string, date: Date}} page
+   * @returns {Array<{text: string, isItalic: boolean, isLink: boolean}>}
+   * @memberof Citation
+   */
+  static formatParts(format, { title, url, date }) {
+    const text = t => ({ text: t })
+    const italic = t => ({ text: t, isItalic: true })
+    const link = { text: url, isLink: true }
+
+    // site name is the host of the page, without the 'www.' subdomain
+    const site = (() => {
+      try {
+        return new URL(url).hostname.replace(/^www\./, '')
+      } catch (e) {
+        return url
+      }
+    })()
+
+    // the styles are english, so their dates are too (e.g. 'October 19, 2026')
+    const longDate = date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+
+    switch (format) {
+      case Citation.FORMAT.APA:
+        // APA 7, web page without an author or date
+        return [italic(title), text(`. (n.d.). ${site}. Retrieved ${longDate}, from `), link]
+
+      case Citation.FORMAT.MLA: {
+        // MLA 9 (e.g. '19 Oct. 2026')
+        const mlaDate = `${date.getDate()} ${Citation.MLA_MONTHS[date.getMonth()]} ${date.getFullYear()}`
+
+        return [text(`"${title}." `), italic(site), text(', '), link, text(`. Accessed ${mlaDate}.`)]
+      }
+
+      case Citation.FORMAT.CHICAGO:
+        // Chicago 17 (notes & bibliography), web page without an author
+        return [text(`"${title}." ${site}. Accessed ${longDate}. `), link, text('.')]
+
+      default:
+        return [text(`${title} — `), link]
+    }
+  }
+}
+
+// static properties
+
+Citation.FORMAT = {
+  PLAIN: 'plain',
+  APA: 'apa',
+  MLA: 'mla',
+  CHICAGO: 'chicago',
+}
+
+// abbreviations of months in MLA style
+Citation.MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.']
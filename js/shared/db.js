@@ -23,10 +23,13 @@
 class DB {
   /**
    * Creates an instance of DB.
+   * @param {string|Promise<string>} [collectionId] - id of collection whose database is accessed, or a promise resolving to it.
+   *  Defaults to the active collection
    * @memberof DB
    */
-  constructor() {
+  constructor(collectionId) {
     this._db = null
+    this.collectionId = collectionId
   }
 
   // properties
@@ -56,13 +59,21 @@ class DB {
       return Promise.resolve(this._db)
     }
 
-    // try to open existing db
-    const db = new PouchDB(DB.NAME, DB.OPTIONS)
+    let db
 
-    return db.info().then(({doc_count, update_seq}) => {
+    return (typeof this.collectionId === 'undefined' ?
+      new ChromeCollectionStorage().getActiveId() :
+      Promise.resolve(this.collectionId)
+    ).then(collectionId => {
+      // try to open existing db
+      db = new PouchDB(DB.formatName(collectionId), DB.OPTIONS)
+
+      return db.info()
+    }).then(({doc_count, update_seq}) => {
       // if the db is empty assume it is new
       if (doc_count !== 0/* || update_seq !== 0*/) {
-        return
+        // databases created by earlier versions may not have every design document
+        return DB.putMissingDesignDocuments(db)
       }
 
       // put design docs
@@ -237,6 +248,29 @@ class DB {
     return this.getDB().then(db => db.viewCleanup())
   }
   
+  /**
+   * Get information about the database
+   * 
+   * @returns {Promise<Object>} object with doc_count & update_seq properties (among others)
+   * @memberof DB
+   */
+  infoDB() {
+    return this.getDB().then(db => db.info())
+  }
+
+  /**
+   * Start live, two-way replication between the database and a remote database
+   * 
+   * @param {Object} remoteDB - PouchDB instance of remote database
+   * @param {Object} [options] - sync options
+   * @returns {Promise<{handler: Object}>} sync handler (an event emitter), which can be cancelled. It's wrapped because
+   *  the handler is also a thenable, which (for a live sync) never resolves
+   * @memberof DB
+   */
+  syncDB(remoteDB, options = {}) {
+    return this.getDB().then(db => ({ handler: db.sync(remoteDB, options) }))
+  }
+
   /**
    * Runs compaction of the database. 
    * 
@@ -251,17 +285,19 @@ class DB {
    * Dump PouchDB to a stream object (with replication stream plugin)
    * 
    * @param {Object} stream 
+   * @param {Object} [options]
+   * @param {function(Document): boolean} [options.filter] - function returning true for each document to include
    * @returns {Promise}
    * @memberof DB
    */
-  dumpDB(stream) {
+  dumpDB(stream, {filter = () => true} = {}) {
     // const re = new RegExp(`^${DB.DESIGN_VIEW_PREFIX}/`)
     return this.getDB().then(db => {
       const re = new RegExp(`^${DB.DESIGN_VIEW_PREFIX}/`)
 
       return db.dump(stream, {
         // don't include internal documents
-        filter: ({_id}) => !(_id.match(re)) 
+        filter: doc => !(doc._id.match(re)) && filter(doc)
       })
     })
   }
@@ -292,6 +328,89 @@ class DB {
     })
   }
 
+  /**
+   * Read the documents of a dumped DB, without changing our DB
+   * 
+   * @param {string} urlOrString - source of db
+   * @returns {Promise<Document[]>} documents (excluding design documents)
+   * @memberof DB
+   */
+  readDumpDB(urlOrString) {
+    const tmpDB = new PouchDB('_tmpdb', {storage: 'temporary'})
+    const re = new RegExp(`^${DB.DESIGN_VIEW_PREFIX}/`)
+
+    return tmpDB.load(urlOrString).then(() => {
+      return tmpDB.allDocs({include_docs: true})
+    }).then(({rows}) => {
+      const docs = rows.map(({doc}) => doc).filter(({_id}) => !(_id.match(re)))
+
+      return tmpDB.destroy().then(() => docs)
+    }).catch(e => {
+      return tmpDB.destroy().then(() => { throw e })
+    })
+  }
+
+  /**
+   * Get every document (excluding design documents)
+   * 
+   * @returns {Promise<Document[]>}
+   * @memberof DB
+   */
+  getAllDocuments() {
+    const re = new RegExp(`^${DB.DESIGN_VIEW_PREFIX}/`)
+
+    return this.getDB().then(db => db.allDocs({include_docs: true})).then(({rows}) => {
+      return rows.map(({doc}) => doc).filter(({_id}) => !(_id.match(re)))
+    })
+  }
+
+  /**
+   * Split documents into those whose id isn't in our DB, and those whose id is (or was, if the document was removed)
+   * 
+   * @param {Document[]} docs 
+   * @returns {Promise<{newDocs: Document[], existingDocs: Document[]}>}
+   * @memberof DB
+   */
+  partitionDocuments(docs) {
+    return this.getDB().then(db => db.allDocs({
+      keys: docs.map(({_id}) => _id)
+    })).then(({rows}) => {
+      // rows are in the same order as the keys. Removed documents have a value (with deleted property)
+      const isNew = rows.map(row => row.error === 'not_found')
+
+      return {
+        newDocs: docs.filter((doc, index) => isNew[index]),
+        existingDocs: docs.filter((doc, index) => !isNew[index]),
+      }
+    })
+  }
+
+  /**
+   * Add documents of another DB to our DB, keeping their ids. Documents whose id is already used are skipped
+   * 
+   * @param {Document[]} docs - documents, which may have revisions of the other DB
+   * @param {Object<string, string>} [classNames] - object mapping a class name of the documents to the one they should have
+   * @returns {Promise<PutResponse[]>}
+   * @memberof DB
+   */
+  mergeDocuments(docs, classNames = {}) {
+    return this.partitionDocuments(docs).then(({newDocs}) => {
+      return this.bulkDocsDB(newDocs.map(doc => {
+        // the revision is of the other DB
+        const newDoc = Object.assign({}, doc)
+        delete newDoc._rev
+
+        const className = newDoc[DB.DOCUMENT.NAME.CLASS_NAME]
+
+        if (className && classNames[className]) {
+          newDoc[DB.DOCUMENT.NAME.CLASS_NAME] = classNames[className]
+        }
+
+        return newDoc
+      }))
+    })
+  }
+
   //
 
   /**
@@ -301,13 +420,16 @@ class DB {
    * @param {Object|string} xrange - object identifying range of highlight. Usually type XRange. Must be stringifyable.
    * @param {string} className - name of class identifying style of highlight
    * @param {string} text - text contained within highlight
-   * @param {Object} optionals [{title = undefined, date = Date.now(), }={}] - optional things
+   * @param {Object} optionals [{title = undefined, note = undefined, selectors = undefined, frame = undefined, date = Date.now(), }={}] - optional things
    * @param {Object} [options] - options object
    * @returns {Promise<PutResponse>}
    * @memberof DB
    */
   putCreateDocument(match, xrange, className, text, {
     title = undefined,
+    note = undefined,
+    selectors = undefined,
+    frame = undefined,
     date = Date.now(),
   } = {}, options = {}) {
     // the document to be put (put because we specify the _id, which gets used as the DOM highlight id)
@@ -331,6 +453,18 @@ class DB {
       doc[DB.DOCUMENT.NAME.TITLE] = title
     }
 
+    if (typeof note === 'string' && note.length > 0) {
+      doc[DB.DOCUMENT.NAME.NOTE] = note
+    }
+
+    if (Array.isArray(selectors) && selectors.length > 0) {
+      doc[DB.DOCUMENT.NAME.SELECTORS] = selectors
+    }
+
+    if (frame) {
+      doc[DB.DOCUMENT.NAME.FRAME] = frame
+    }
+
     return this.putDB(doc, { id: StringUtils.newUUID() })
   }
 
@@ -338,7 +472,8 @@ class DB {
    * Update values of an existing `create` document
    * 
    * @param {string} docId - id of 'create' document to update
-   * @param {any} values [{ className=undefined, title=undefined }={}] - new values
+   * @param {any} values [{ className=undefined, title=undefined, note=undefined, range=undefined, text=undefined, selectors=undefined, tags=undefined, pageTags=undefined }={}] - new values.
+   *  An empty note string removes the note, and an empty array of tags removes the tags
    * @param {any} [options={rev=undefined}] 
    * @returns {Promise<PutResponse>}
    * @memberof DB
@@ -346,6 +481,12 @@ class DB {
   updateCreateDocument(docId, {
     className=undefined, 
     title=undefined,
+    note=undefined,
+    range=undefined,
+    text=undefined,
+    selectors=undefined,
+    tags=undefined,
+    pageTags=undefined,
   } = {}, options = {}) {
     // options for getting existing 'create' doc
     const o = {}
@@ -360,9 +501,45 @@ class DB {
         throw new Error('incorrect verb')
       }
 
+      // values before the update, to find if it changes anything (i.e. removing a note it doesn't have)
+      const json = JSON.stringify(doc)
+
+      if (className) {
+        doc[DB.DOCUMENT.NAME.CLASS_NAME] = className
+      }
+      if (title) {
+        doc[DB.DOCUMENT.NAME.TITLE] = title
+      }
+      if (typeof note === 'string') {
+        if (note.length > 0) {
+          doc[DB.DOCUMENT.NAME.NOTE] = note
+        } else {
+          delete doc[DB.DOCUMENT.NAME.NOTE]
+        }
+      }
+      if (range) {
+        doc[DB.DOCUMENT.NAME.RANGE] = range
+      }
+      if (typeof text === 'string') {
+        doc[DB.DOCUMENT.NAME.TEXT] = text
+      }
+      if (Array.isArray(selectors) && selectors.length > 0) {
+        doc[DB.DOCUMENT.NAME.SELECTORS] = selectors
+      }
+      for (const [name, value] of [[DB.DOCUMENT.NAME.TAGS, tags], [DB.DOCUMENT.NAME.PAGE_TAGS, pageTags]]) {
+        if (!Array.isArray(value)) {
+          continue
+        }
+
+        if (value.length > 0) {
+          doc[name] = value
+        } else {
+          delete doc[name]
+        }
+      }
+
       // change required?
-      if (className === doc[DB.DOCUMENT.NAME.CLASS_NAME] && 
-        title === doc[DB.DOCUMENT.NAME.TITLE]) {
+      if (JSON.stringify(doc) === json) {
         // fake success
         return {
           ok: true,
@@ -370,13 +547,6 @@ class DB {
 					rev: doc._rev
         }
       }
-
-      if (className) {
-        doc[DB.DOCUMENT.NAME.CLASS_NAME] = className
-      }
-      if (title) {
-        doc[DB.DOCUMENT.NAME.TITLE] = title
-      }
       
       // update existing doc
       return this.putDB(doc, {}, options)
@@ -411,10 +581,49 @@ class DB {
         [DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID]: createDocId
       }
 
+      // played back in the same frame as the create doc
+      if (correspondingDoc[DB.DOCUMENT.NAME.FRAME]) {
+        doc[DB.DOCUMENT.NAME.FRAME] = correspondingDoc[DB.DOCUMENT.NAME.FRAME]
+      }
+
       return this.postDB(doc, options)
     })
   }
 
+  /**
+   * Restore a deleted `create` document. If the document still exists, the 'delete' documents negating it are removed,
+   * otherwise (i.e. it was removed directly) it is put again with its original id.
+   *
+   * @param {Document} doc - 'create' document as it was before being deleted. Its revision is ignored
+   * @returns {Promise<PutResponse[]>} responses for each document put or removed
+   * @memberof DB
+   */
+  restoreCreateDocument(doc) {
+    return this.getDocument(doc._id).then(() => {
+      return this.getMatchingDocuments(doc[DB.DOCUMENT.NAME.MATCH], {
+        verbs: DB.DOCUMENT.VERB.DELETE
+      }).then(docs => {
+        docs = docs.filter(d => d[DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID] === doc._id)
+
+        for (const d of docs) {
+          d['_deleted'] = true
+        }
+
+        return this.bulkDocsDB(docs)
+      })
+    }, e => {
+      if (e.status !== 404) {
+        throw e
+      }
+
+      // a removed document can be put again without a revision
+      const d = Object.assign({}, doc)
+      delete d._rev
+
+      return this.putDB(d).then(response => [response])
+    })
+  }
+
   //
 
   /** 
@@ -429,6 +638,9 @@ class DB {
    * @prop {string} [className] - className identifying style of create highlight. Used in DOM
    * @prop {string} [text] - text within create highlight
    * @prop {string} [title] - title of page highlight was created from
+   * @prop {string} [note] - user's annotation of a create highlight
+   * @prop {Object[]} [selectors] - W3C text quote & position selectors of create highlight, used when its range doesn't resolve
+   * @prop {{url: string, path: string}} [frame] - url of frame containing the highlight, and XPath of its element, if not the top level frame
    * @prop {string} [correspondingDocumentId] - id of 'create' doc associated with this `delete` doc
    */
 
@@ -464,20 +676,202 @@ class DB {
   }
 
   /**
-   * Remove every document for each match that has a create/delete sum of zero (i.e. it does nothing)
+   * @typedef {Object} TrashItem
+   * @prop {Document} doc - deleted 'create' document
+   * @prop {Document} deleteDoc - earliest 'delete' document corresponding to it
+   */
+
+  /**
+   * Get every deleted highlight (the trash), which remains until it is restored or purged
    * 
-   * @param {Object} [options] - bulk docs removal options
+   * @returns {Promise<TrashItem[]>} items, in order of deletion
+   * @memberof DB
+   */
+  getTrashItems() {
+    return this.getAllDocuments().then(docs => {
+      // earliest 'delete' document of each deleted 'create' document
+      const deleteDocs = new Map()
+
+      for (const d of docs.filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.DELETE)) {
+        const id = d[DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID]
+        const deleteDoc = deleteDocs.get(id)
+
+        if (!deleteDoc || d[DB.DOCUMENT.NAME.DATE] < deleteDoc[DB.DOCUMENT.NAME.DATE]) {
+          deleteDocs.set(id, d)
+        }
+      }
+
+      return docs
+        .filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE && deleteDocs.has(d._id))
+        .map(d => ({ doc: d, deleteDoc: deleteDocs.get(d._id) }))
+        .sort((a, b) => a.deleteDoc[DB.DOCUMENT.NAME.DATE] - b.deleteDoc[DB.DOCUMENT.NAME.DATE])
+    })
+  }
+
+  /**
+   * Permanently remove deleted 'create' documents, and their 'delete' documents.
+   * The page title & tags are stored only on the first 'create' document of a match, so if that is removed they are
+   * copied to the first remaining one.
+   * 
+   * @param {Document[]} docs - deleted 'create' documents
+   * @returns {Promise<PutResponse[][]>} responses for the documents of each match
+   * @memberof DB
+   */
+  purgeDocuments(docs) {
+    const ids = new Set(docs.map(d => d._id))
+    const matches = new Set(docs.map(d => d[DB.DOCUMENT.NAME.MATCH]))
+
+    return Promise.all(Array.from(matches).map(match => {
+      return this.getMatchingDocuments(match).then(matchingDocs => {
+        const isPurged = d => ids.has(d._id) || ids.has(d[DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID])
+        const purgedDocs = matchingDocs.filter(isPurged)
+        const firstDoc = matchingDocs.find(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE)
+        const newFirstDoc = matchingDocs.find(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.CREATE && !isPurged(d))
+
+        for (const d of purgedDocs) {
+          d['_deleted'] = true
+        }
+
+        if (firstDoc && newFirstDoc && firstDoc !== newFirstDoc) {
+          for (const name of [DB.DOCUMENT.NAME.TITLE, DB.DOCUMENT.NAME.PAGE_TAGS]) {
+            if (firstDoc[name] && !newFirstDoc[name]) {
+              newFirstDoc[name] = firstDoc[name]
+              purgedDocs.push(newFirstDoc)
+            }
+          }
+        }
+
+        return this.bulkDocsDB(Array.from(new Set(purgedDocs)))
+      })
+    }))
+  }
+
+  /**
+   * Permanently remove every highlight that was deleted before a date
+   * 
+   * @param {number} date - date before which highlights were deleted
    * @returns {Promise<PutResponse[][]>}
    * @memberof DB
    */
-  removeAllSuperfluousDocuments(options = {}) {
-    return this.getSums().then(rows => {
-      return Promise.all(rows
-          .filter(({value}) => value === 0)
-          .map(({key}) => this.removeMatchingDocuments(key, options))
+  purgeTrashItems(date) {
+    return this.getTrashItems().then(items => {
+      return this.purgeDocuments(items
+        .filter(({ deleteDoc }) => deleteDoc[DB.DOCUMENT.NAME.DATE] < date)
+        .map(({ doc }) => doc)
       )
     })
   }
+
+  /**
+   * Change the match of every document whose match is different when formatted again (i.e. because the rules for forming
+   * a match changed). Matches that can't be formatted are unchanged.
+   * 
+   * @param {function(string): string} format - function returning the new match for an existing match
+   * @returns {Promise<Object<string, string>>} object where the property name is the old match, and its value the new match, for each changed match.
+   *  Rejects if the documents of any match couldn't all be changed
+   * @memberof DB
+   */
+  rekeyMatchingDocuments(format) {
+    const changes = {}
+
+    return this.getSums().then(rows => {
+      for (const { key } of rows) {
+        try {
+          const match = format(key)
+
+          if (match !== key) {
+            changes[key] = match
+          }
+        } catch (e) {
+          console.warn(`Unable to format match "${key}"`, e)
+        }
+      }
+
+      return Promise.all(Object.keys(changes).map(match => this.moveMatchingDocuments(match, changes[match])))
+    }).then(() => changes)
+  }
+
+  /**
+   * Change the match of every document with the same match (i.e. re-point a page's highlights to a new url).
+   * Documents keep their ids & dates, so join any documents already using the new match.
+   * 
+   * @param {string} match - existing match
+   * @param {string} newMatch - new match
+   * @param {Object} [options]
+   * @param {number} [options.retries=1] - number of times documents that couldn't be moved (i.e. conflicts) are tried again
+   * @returns {Promise<PutResponse[]>} rejects if any document couldn't be moved
+   * @memberof DB
+   */
+  moveMatchingDocuments(match, newMatch, { retries = 1 } = {}) {
+    return this.getMatchingDocuments(match).then(docs => {
+      for (const d of docs) {
+        d[DB.DOCUMENT.NAME.MATCH] = newMatch
+      }
+
+      return this.bulkDocsDB(docs)
+    }).then(responses => {
+      const errors = responses.filter(r => r.error)
+
+      if (errors.length === 0) {
+        return responses
+      }
+
+      // documents that weren't moved still have the existing match, so are read again (with their latest revision)
+      if (retries > 0) {
+        return this.moveMatchingDocuments(match, newMatch, { retries: retries - 1 }).then(retryResponses => {
+          return responses.filter(r => !r.error).concat(retryResponses)
+        })
+      }
+
+      return Promise.reject(new Error(`Unable to move ${errors.length} document(s) of "${match}": ${errors[0].message || errors[0].name}`))
+    })
+  }
+
+  /**
+   * Move the documents of each match to a single (target) match, merging their pages into one.
+   * The page title & tags are stored only on the first 'create' document of a match, which may now be one of the moved documents,
+   * so the target's title (if any), and the tags of every page, are copied to it.
+   * 
+   * @param {string[]} matches - matches whose documents are moved
+   * @param {string} newMatch - target match, which may or may not already have documents
+   * @returns {Promise}
+   * @memberof DB
+   */
+  mergeMatchingDocuments(matches, newMatch) {
+    const o = {
+      descending: false,
+      limit: 1
+    }
+
+    const otherMatches = matches.filter(match => match !== newMatch)
+
+    // first document of target, then of each other page
+    return Promise.all([newMatch].concat(otherMatches).map(match => this.getMatchingDocuments(match, o))).then(docsArray => {
+      const firstDocs = docsArray.map(([doc]) => doc).filter(doc => doc)
+      const title = docsArray[0].length > 0 ? docsArray[0][0][DB.DOCUMENT.NAME.TITLE] : undefined
+      const pageTags = Array.from(new Set([].concat(...firstDocs.map(doc => doc[DB.DOCUMENT.NAME.PAGE_TAGS] || []))))
+
+      return Promise.all(otherMatches.map(match => this.moveMatchingDocuments(match, newMatch)))
+        .then(() => this.getMatchingDocuments(newMatch, o))
+        .then(([firstDoc]) => {
+          if (!firstDoc ||
+            ((!title || firstDoc[DB.DOCUMENT.NAME.TITLE] === title) &&
+              pageTags.length === (firstDoc[DB.DOCUMENT.NAME.PAGE_TAGS] || []).length)) {
+            return
+          }
+
+          if (title) {
+            firstDoc[DB.DOCUMENT.NAME.TITLE] = title
+          }
+
+          if (pageTags.length > 0) {
+            firstDoc[DB.DOCUMENT.NAME.PAGE_TAGS] = pageTags
+          }
+
+          return this.putDB(firstDoc)
+        })
+    })
+  }
   //
 
   /**
@@ -570,6 +964,23 @@ class DB {
     })
   }
 
+  /**
+   * Get the rows of the term index for a search term
+   * 
+   * @param {string} term - term, as normalized by `DB.tokenize()`
+   * @param {Object} [options] - [{ prefix=false }={}] - if true, get the rows of every term starting with `term`
+   * @returns {Promise<QueryRow[]>} rows where the key is [term, field name], the value is the match of the document,
+   *  and the id is that of the 'create' document containing the term
+   * @memberof DB
+   */
+  getTermRows(term, { prefix = false } = {}) {
+    return this.queryDB(DB.VIEW_NAME.TERM, {
+      startkey: [term],
+      endkey: prefix ? [`${term}\uffff`] : [term, {}],
+      include_docs: false,
+    }).then(({rows}) => rows)
+  }
+
   // static
 
 
@@ -580,10 +991,11 @@ class DB {
    * @private
    * @param {Object} pouchDB - database to put into
    * @param {Object} [options] - bulkDocument options
+   * @param {string[]} [names] - names of views (`DB.VIEW_NAME`) of documents to put. Defaults to all
    * @returns {Promise<PutResponse[]>}
    * @memberof DB
    */
-  static putDesignDocuments(pouchDB, options = {}) {
+  static putDesignDocuments(pouchDB, options = {}, names = Object.values(DB.VIEW_NAME)) {
     // note that we can't use [DB.DESIGN.DOCUMENT.VERB] directly in the stringified function
     console.assert(DB.DOCUMENT.VERB.CREATE === 'create')
     console.assert(DB.DOCUMENT.VERB.DELETE === 'delete')
@@ -622,11 +1034,85 @@ class DB {
             reduce: "_sum"
           }
         }
+      }, {
+        // _design/term_view
+        _id: `${DB.DESIGN_VIEW_PREFIX}/${DB.VIEW_NAME.TERM}`,
+        views: {
+          [DB.VIEW_NAME.TERM]: {
+            map: function (doc) {
+              if (doc.verb !== 'create') {
+                return
+              }
+
+              // title is only defined on the first 'create' document of a page
+              var fields = { text: doc.text, note: doc.note, title: doc.title }
+
+              for (var name in fields) {
+                if (typeof fields[name] !== 'string') {
+                  continue
+                }
+
+                // must be the same as DB.tokenize()
+                var terms = fields[name].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+                  .match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])[\p{L}\p{N}])+/gu) || []
+                var emitted = {}
+
+                for (var i = 0; i < terms.length; i++) {
+                  if (!emitted[terms[i]]) {
+                    emitted[terms[i]] = true
+                    emit([terms[i], name], doc.match)
+                  }
+                }
+              }
+            }.toString()
+          }
+        }
       }
-    ]
+    ].filter(({_id}) => names.some(name => _id === `${DB.DESIGN_VIEW_PREFIX}/${name}`))
 
     return pouchDB.bulkDocs(docs, options)
   }
+
+  /**
+   * Put the standard design documents that don't yet exist in a database
+   * 
+   * @private
+   * @static
+   * @param {Object} pouchDB - database to put into
+   * @returns {Promise<PutResponse[]>}
+   * @memberof DB
+   */
+  static putMissingDesignDocuments(pouchDB) {
+    const names = Object.values(DB.VIEW_NAME)
+
+    return pouchDB.allDocs({
+      keys: names.map(name => `${DB.DESIGN_VIEW_PREFIX}/${name}`)
+    }).then(({rows}) => {
+      // rows are in the same order as the keys
+      const missingNames = names.filter((name, index) => rows[index].error === 'not_found')
+
+      if (missingNames.length === 0) {
+        return []
+      }
+
+      return DB.putDesignDocuments(pouchDB, {}, missingNames)
+    })
+  }
+
+  /**
+   * Split text into the normalized terms of the search index (lower case, without diacritics). Each Chinese or Japanese
+   * character is a term of its own, as words aren't separated by spaces.
+   * 
+   * @static
+   * @param {string} text
+   * @returns {string[]} terms, in order
+   * @memberof DB
+   */
+  static tokenize(text) {
+    // must be the same as the map function of DB.VIEW_NAME.TERM
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}])[\p{L}\p{N}])+/gu) || []
+  }
   /**
    * Sort documents
    * 
@@ -684,8 +1170,8 @@ class DB {
     fragment = false,
     decode = true,
   } = {}) {
-    // @ts-ignore
-    const u = (url instanceof URL && url) || new URL(url)
+    // pages shown in the pdf viewer are matched by the url of the pdf
+    const u = new URL(DB.getDocumentUrl(url.toString()))
 
     // shortcut - basically the match is the entire url
     // if( scheme && query && fragment ) {
@@ -721,12 +1207,75 @@ class DB {
     return decode ? decodeURI(match) : match
   }
 
+  /**
+   * Parse tags from text, where they are separated by commas. Tags are lower case, and any leading '#' is removed
+   * 
+   * @static
+   * @param {string} text - e.g. 'Reading, #todo'
+   * @returns {string[]} unique tags, e.g. ['reading', 'todo']
+   * @memberof DB
+   */
+  static parseTags(text) {
+    return Array.from(new Set(text.split(',')
+      .map(tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase())
+      .filter(tag => tag.length > 0)
+    ))
+  }
+
+  /**
+   * Get the name of the database of a collection
+   * 
+   * @static
+   * @param {string} collectionId - id of collection
+   * @returns {string} name of database
+   * @memberof DB
+   */
+  static formatName(collectionId) {
+    return collectionId ? `${DB.NAME}-${collectionId}` : DB.NAME
+  }
+
+  /**
+   * Get the url of the extension's pdf viewer page, showing a pdf
+   * 
+   * @static
+   * @param {string} url - url of pdf
+   * @returns {string} url of viewer
+   * @memberof DB
+   */
+  static getPdfViewerUrl(url) {
+    const u = new URL(chrome.runtime.getURL(DB.PDF_VIEWER.PATH))
+    u.searchParams.set(DB.PDF_VIEWER.FILE_PARAM, url)
+
+    return u.href
+  }
+
+  /**
+   * Get the url of the document shown by a page. This is the url of the pdf if the page is the extension's pdf viewer
+   * 
+   * @static
+   * @param {string} url - url of page
+   * @returns {string} url of document
+   * @memberof DB
+   */
+  static getDocumentUrl(url) {
+    const u = new URL(url)
+    const viewer = new URL(chrome.runtime.getURL(DB.PDF_VIEWER.PATH))
+
+    if (u.origin !== viewer.origin || u.pathname !== viewer.pathname) {
+      return url
+    }
+
+    return u.searchParams.get(DB.PDF_VIEWER.FILE_PARAM) || url
+  }
+
 }
 
 // static
 
-// name for main database
-DB.NAME = 'http://localhost:3996/highlighter'
+// name for main database (of the default collection), which is always local (and may sync with a remote database)
+DB.NAME = 'highlighter'
+// remote database that was the main database of earlier versions. Existing installations sync with it when updated
+DB.LEGACY_REMOTE_NAME = 'http://localhost:3996/highlighter'
 // options for main database 
 DB.OPTIONS = {
   auto_compaction: true,
@@ -734,10 +1283,18 @@ DB.OPTIONS = {
 
 DB.DESIGN_VIEW_PREFIX = '_design'
 
+// page of extension showing pdfs, whose url is a query parameter
+DB.PDF_VIEWER = {
+  PATH: 'pdf.html',
+  FILE_PARAM: 'file',
+}
+
 // names of design documents in all db, used for map/reduce
 DB.VIEW_NAME = {
   MATCH_DATE: 'match_date_view',
   SUM: 'sum_view',
+  // inverted index of the terms of the text, note & title of 'create' documents
+  TERM: 'term_view',
 }
 
 DB.DOCUMENT = {
@@ -763,6 +1320,16 @@ DB.DOCUMENT = {
     TEXT: 'text',
     // page title of create doc
     TITLE: 'title',
+    // user's note (annotation) attached to a create doc
+    NOTE: 'note',
+    // array of user's tags of the highlight of a create doc
+    TAGS: 'tags',
+    // array of user's tags of the page, stored (like its title) only on its first create doc
+    PAGE_TAGS: 'pageTags',
+    // array of W3C TextQuoteSelector & TextPositionSelector objects of create doc
+    SELECTORS: 'selectors',
+    // url & element XPath of the (sub)frame a create/delete doc's highlight is in. Undefined for top level frame
+    FRAME: 'frame',
     // id of 'create' doc associated with this `delete` doc
     CORRESPONDING_DOC_ID: 'correspondingDocumentId',
     // version of ssh used to create document. Only used ssh v4+
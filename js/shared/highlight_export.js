@@ -0,0 +1,372 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Static helpers exporting the highlights of every page
+ * 
+ * @class HighlightExport
+ */
+class HighlightExport {
+  /**
+   * @typedef {Object} Page
+   * @prop {string} match - match of page (its url)
+   * @prop {string} [title] - title of page
+   * @prop {string[]} tags - tags of page
+   * @prop {DB.Document[]} docs - 'create' documents of page's existing highlights, in date order
+   */
+
+  /**
+   * Get every page with highlights in the active collection
+   * 
+   * @static
+   * @returns {Promise<Page[]>}
+   * @memberof HighlightExport
+   */
+  static getPages() {
+    const db = new DB()
+
+    return db.getSums().then(rows => {
+      return Promise.all(rows.filter(({ value }) => value > 0).map(({ key }) => {
+        // title & tags of page are only on its first document, which may since have been deleted
+        return Promise.all([
+          db.getMatchingDocuments(key, { limit: 1 }),
+          db.getMatchingDocuments(key, { excludeDeletedDocs: true }),
+        ])
+      }))
+    }).then(pages => {
+      return pages.filter(([, docs]) => docs.length > 0).map(([[firstDoc], docs]) => {
+        return {
+          match: firstDoc[DB.DOCUMENT.NAME.MATCH],
+          title: firstDoc[DB.DOCUMENT.NAME.TITLE],
+          tags: firstDoc[DB.DOCUMENT.NAME.PAGE_TAGS] || [],
+          docs: docs,
+        }
+      })
+    })
+  }
+
+  /**
+   * Get the highlight definitions, by class name
+   * 
+   * @static
+   * @returns {Promise<Map<string, HighlightDefinitionFactory.HighlightDefinition>>}
+   * @memberof HighlightExport
+   */
+  static getHighlightDefinitions() {
+    return new ChromeHighlightStorage().getAll().then(items => {
+      return new Map(items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS].map(d => [d.className, d]))
+    })
+  }
+
+  /**
+   * Create a zip archive of markdown files (i.e. an Obsidian or Logseq vault), one per page
+   * 
+   * @static
+   * @returns {Promise<Blob>}
+   * @memberof HighlightExport
+   */
+  static createMarkdownVault() {
+    return Promise.all([
+      HighlightExport.getPages(),
+      HighlightExport.getHighlightDefinitions(),
+    ]).then(([pages, definitions]) => {
+      const zip = new ZipWriter()
+
+      for (const page of pages) {
+        zip.add(HighlightExport.formatFileName(page.match, 'md'), HighlightExport.formatMarkdownPage(page, definitions))
+      }
+
+      return zip.toBlob()
+    })
+  }
+
+  /**
+   * @typedef {Object} CSVOptions
+   * @prop {string[]} columns - columns to include, in order (each one of HighlightExport.CSV_COLUMN)
+   * @prop {string} delimiter - separator of fields
+   * @prop {string} encoding - one of HighlightExport.CSV_ENCODING
+   */
+
+  /**
+   * Create a CSV file with a row for the highlight of every page
+   * 
+   * @static
+   * @param {CSVOptions} options
+   * @returns {Promise<Blob>}
+   * @memberof HighlightExport
+   */
+  static createCSV({ columns, delimiter, encoding }) {
+    return Promise.all([
+      HighlightExport.getPages(),
+      HighlightExport.getHighlightDefinitions(),
+      new ChromeOrphanStorage().getAll(),
+    ]).then(([pages, definitions, orphans]) => {
+      const rows = [columns.map(column => chrome.i18n.getMessage(`export_csv_column_${column}`))]
+
+      for (const page of pages) {
+        const hasOrphans = (orphans[page.match] || []).length > 0
+
+        for (const doc of page.docs) {
+          const definition = definitions.get(doc[DB.DOCUMENT.NAME.CLASS_NAME])
+
+          rows.push(columns.map(column => {
+            switch (column) {
+              case HighlightExport.CSV_COLUMN.PAGE_TITLE:
+                return page.title || ''
+
+              case HighlightExport.CSV_COLUMN.MATCH:
+                return page.match
+
+              case HighlightExport.CSV_COLUMN.STYLE:
+                return (definition && definition.title) || chrome.i18n.getMessage('export_unknown_style')
+
+              case HighlightExport.CSV_COLUMN.TEXT:
+                return doc[DB.DOCUMENT.NAME.TEXT]
+
+              case HighlightExport.CSV_COLUMN.DATE:
+                return HighlightExport.formatDate(new Date(doc[DB.DOCUMENT.NAME.DATE]))
+
+              case HighlightExport.CSV_COLUMN.PAGE_HAS_ORPHANS:
+                return hasOrphans ? 'TRUE' : 'FALSE'
+
+              default:
+                return ''
+            }
+          }))
+        }
+      }
+
+      const csv = rows.map(row => row.map(field => HighlightExport.formatCSVField(field, delimiter)).join(delimiter)).join('\r\n')
+
+      return HighlightExport.encodeText(csv, encoding)
+    })
+  }
+
+  /**
+   * Format a field of a CSV row, quoting it if required
+   * 
+   * @static
+   * @param {string} field
+   * @param {string} delimiter
+   * @returns {string}
+   * @memberof HighlightExport
+   */
+  static formatCSVField(field, delimiter) {
+    // spreadsheets evaluate fields starting with these characters as formulas, which text of web pages shouldn't be
+    if (/^[=+\-@\t\r]/.test(field)) {
+      field = `'${field}`
+    }
+
+    if (field.includes(delimiter) || /["\r\n]/.test(field)) {
+      return `"${field.replace(/"/g, '""')}"`
+    }
+
+    return field
+  }
+
+  /**
+   * Encode text as a blob
+   * 
+   * @static
+   * @param {string} text
+   * @param {string} encoding - one of HighlightExport.CSV_ENCODING
+   * @returns {Blob}
+   * @memberof HighlightExport
+   */
+  static encodeText(text, encoding) {
+    switch (encoding) {
+      case HighlightExport.CSV_ENCODING.UTF16LE: {
+        // byte order mark, then little-endian code units
+        const bytes = new Uint8Array(2 + text.length * 2)
+        const view = new DataView(bytes.buffer)
+
+        view.setUint16(0, 0xFEFF, true)
+
+        for (let i = 0; i < text.length; i++) {
+          view.setUint16(2 + i * 2, text.charCodeAt(i), true)
+        }
+
+        return new Blob([bytes], { type: 'text/csv;charset=utf-16le' })
+      }
+
+      case HighlightExport.CSV_ENCODING.UTF8_BOM:
+        return new Blob(['\uFEFF', text], { type: 'text/csv;charset=utf-8' })
+
+      default:
+        return new Blob([text], { type: 'text/csv;charset=utf-8' })
+    }
+  }
+
+  /**
+   * Format a date as local 'YYYY-MM-DD HH:MM:SS', which spreadsheets recognise
+   * 
+   * @static
+   * @param {Date} date
+   * @returns {string}
+   * @memberof HighlightExport
+   */
+  static formatDate(date) {
+    const pad = n => n.toString().padStart(2, '0')
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  }
+
+  /**
+   * Format a page as markdown, with YAML front matter, and its highlights grouped by style (in the order of the styles)
+   * 
+   * @static
+   * @param {Page} page
+   * @param {Map<string, HighlightDefinitionFactory.HighlightDefinition>} definitions - definitions by class name
+   * @returns {string}
+   * @memberof HighlightExport
+   */
+  static formatMarkdownPage({ match, title, tags, docs }, definitions) {
+    const dates = docs.map(d => d[DB.DOCUMENT.NAME.DATE])
+    const url = HighlightExport.getUrl(match)
+
+    // json strings are valid yaml scalars
+    const frontMatter = [
+      ['url', JSON.stringify(url)],
+      ['title', JSON.stringify(title || url)],
+      ['first_highlight', JSON.stringify(new Date(Math.min(...dates)).toISOString())],
+      ['last_highlight', JSON.stringify(new Date(Math.max(...dates)).toISOString())],
+      ['highlight_count', docs.length.toString()],
+    ]
+
+    if (tags.length > 0) {
+      frontMatter.push(['tags', `[${tags.map(t => JSON.stringify(t)).join(', ')}]`])
+    }
+
+    let markdown = `---\n${frontMatter.map(([key, value]) => `${key}: ${value}`).join('\n')}\n---\n\n`
+    markdown += `# [${HighlightExport.escapeMarkdown(title || url)}](${HighlightExport.escapeMarkdownUrl(url)})\n`
+
+    // class names in the order of the styles, then any class names without a style
+    const classNames = Array.from(new Set([
+      ...Array.from(definitions.keys()),
+      ...docs.map(d => d[DB.DOCUMENT.NAME.CLASS_NAME]),
+    ])).filter(className => docs.some(d => d[DB.DOCUMENT.NAME.CLASS_NAME] === className))
+
+    for (const className of classNames) {
+      const definition = definitions.get(className)
+
+      markdown += `\n## ${(definition && definition.title) || chrome.i18n.getMessage('export_unknown_style')}\n\n`
+
+      for (const doc of docs.filter(d => d[DB.DOCUMENT.NAME.CLASS_NAME] === className)) {
+        // continuation lines are indented, so they're part of the list item
+        markdown += `- ${doc[DB.DOCUMENT.NAME.TEXT].trim().split(/\r?\n/).join('\n  ')}\n`
+
+        if (doc[DB.DOCUMENT.NAME.NOTE]) {
+          markdown += `  - ${doc[DB.DOCUMENT.NAME.NOTE].trim().split(/\r?\n/).join('\n    ')}\n`
+        }
+      }
+    }
+
+    return markdown
+  }
+
+  /**
+   * Form a file name for a page that stays the same across exports (so re-exporting replaces files rather than adding them).
+   * It's the readable part of the match, and a hash of the whole match (as different matches can have the same readable part)
+   * 
+   * @static
+   * @param {string} match
+   * @param {string} extension - extension of file, without '.'
+   * @returns {string}
+   * @memberof HighlightExport
+   */
+  static formatFileName(match, extension) {
+    let name
+
+    try {
+      const url = new URL(HighlightExport.getUrl(match))
+      name = `${url.hostname}${url.pathname}`
+    } catch (e) {
+      name = match
+    }
+
+    name = name
+      .replace(/[^\p{L}\p{N}._-]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, HighlightExport.MAX_FILE_NAME_LENGTH)
+
+    const hash = ZipWriter.crc32(new TextEncoder().encode(match)).toString(16).padStart(8, '0')
+
+    return `${name}-${hash}.${extension}`
+  }
+
+  /**
+   * Get the url of a page's document from its match
+   * 
+   * @static
+   * @param {string} match
+   * @returns {string} url, or the match if it isn't a url
+   * @memberof HighlightExport
+   */
+  static getUrl(match) {
+    try {
+      return DB.getDocumentUrl(match)
+    } catch (e) {
+      return match
+    }
+  }
+
+  /**
+   * Escape characters of text that markdown would interpret inside a link's text
+   * 
+   * @static
+   * @param {string} text
+   * @returns {string}
+   * @memberof HighlightExport
+   */
+  static escapeMarkdown(text) {
+    return text.replace(/[\\[\]]/g, '\\$&').replace(/\s+/g, ' ')
+  }
+
+  /**
+   * Escape characters of a url that would end a markdown link's destination
+   * 
+   * @static
+   * @param {string} url
+   * @returns {string}
+   * @memberof HighlightExport
+   */
+  static escapeMarkdownUrl(url) {
+    return url.replace(/[\s()<>]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)
+  }
+}
+
+// static properties
+
+// maximum length of the readable part of a file name
+HighlightExport.MAX_FILE_NAME_LENGTH = 80
+
+HighlightExport.CSV_COLUMN = {
+  PAGE_TITLE: 'page_title',
+  MATCH: 'match',
+  STYLE: 'style',
+  TEXT: 'text',
+  DATE: 'date',
+  PAGE_HAS_ORPHANS: 'page_has_orphans',
+}
+
+HighlightExport.CSV_ENCODING = {
+  UTF8: 'utf-8',
+  // Excel only recognises UTF-8 files (i.e. with Chinese text) by their byte order mark
+  UTF8_BOM: 'utf-8-bom',
+  UTF16LE: 'utf-16le',
+}
@@ -0,0 +1,304 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Full text search of the highlights of every page, using the term index of the database (`DB.VIEW_NAME.TERM`).
+ * Highlights must contain every term of the query in their text, note or page title, and are ranked by a BM25-like score.
+ * 
+ * @class HighlightSearch
+ */
+class HighlightSearch {
+  /**
+   * Creates an instance of HighlightSearch.
+   * 
+   * @param {DB} [db] - database to search
+   * @memberof HighlightSearch
+   */
+  constructor(db = new DB()) {
+    this.db = db
+  }
+
+  /**
+   * @typedef {Object} Term
+   * @prop {string} value - normalized term
+   * @prop {boolean} prefix - true if the term matches any term starting with its value
+   * @memberof HighlightSearch
+   */
+
+  /**
+   * @typedef {Object} Query
+   * @prop {Term[]} terms - terms that must all be found
+   * @prop {Term[][]} phrases - sequences of terms that must each be found, in order, in the same field
+   * @memberof HighlightSearch
+   */
+
+  /**
+   * @typedef {Object} Filters
+   * @prop {string} [className] - class name of the highlight's style
+   * @prop {number} [fromDate] - earliest date of creation
+   * @prop {number} [toDate] - latest date of creation
+   * @prop {string} [domain] - host name of the page, which also matches its subdomains
+   * @memberof HighlightSearch
+   */
+
+  /**
+   * @typedef {Object} Result
+   * @prop {DB.Document} doc - 'create' document of highlight
+   * @prop {string} [title] - title of the highlight's page
+   * @prop {number} score - relevance
+   * @memberof HighlightSearch
+   */
+
+  /**
+   * Search all highlights that haven't been deleted
+   * 
+   * @param {string} text - text of query (see `HighlightSearch.parseQuery()`)
+   * @param {Filters} [filters={}]
+   * @returns {Promise<Result[]>} results, most relevant first
+   * @memberof HighlightSearch
+   */
+  search(text, filters = {}) {
+    const query = HighlightSearch.parseQuery(text)
+
+    if (query.terms.length === 0) {
+      return Promise.resolve([])
+    }
+
+    // inverse document frequency of each term
+    let idfs
+
+    return Promise.all([
+      Promise.all(query.terms.map(({ value, prefix }) => this.db.getTermRows(value, { prefix: prefix }))),
+      this.db.getSums(),
+    ]).then(([rowsArray, sums]) => {
+      // number of highlights (create docs minus delete docs)
+      const count = sums.reduce((sum, { value }) => sum + Math.max(value, 0), 0)
+
+      idfs = rowsArray.map(rows => {
+        const frequency = new Set(rows.map(({ id }) => id)).size
+        return Math.log(1 + (Math.max(count - frequency, 0) + 0.5) / (frequency + 0.5))
+      })
+
+      // pages containing every term, in any field of any document. The value of each row is its document's match
+      const matches = rowsArray
+        .map(rows => new Set(rows.map(({ value }) => value)))
+        .reduce((s1, s2) => new Set(Array.from(s1).filter(match => s2.has(match))))
+
+      return Promise.all(Array.from(matches)
+        .filter(match => !filters.domain || HighlightSearch.isMatchInDomain(match, filters.domain))
+        .map(match => this.db.getMatchingDocuments(match))
+      )
+    }).then(docsArray => {
+      /** @type {Result[]} */
+      const results = []
+
+      for (const docs of docsArray) {
+        // the title is only defined on the first document, even if it has since been deleted
+        const title = docs.length > 0 ? docs[0][DB.DOCUMENT.NAME.TITLE] : undefined
+        const deletedIds = new Set(docs
+          .filter(d => d[DB.DOCUMENT.NAME.VERB] === DB.DOCUMENT.VERB.DELETE)
+          .map(d => d[DB.DOCUMENT.NAME.CORRESPONDING_DOC_ID])
+        )
+
+        for (const doc of docs) {
+          if (doc[DB.DOCUMENT.NAME.VERB] !== DB.DOCUMENT.VERB.CREATE ||
+            deletedIds.has(doc._id) ||
+            !HighlightSearch.isDocumentFiltered(doc, filters)) {
+            continue
+          }
+
+          const score = HighlightSearch.scoreDocument(doc, title, query, idfs)
+
+          if (score > 0) {
+            results.push({ doc: doc, title: title, score: score })
+          }
+        }
+      }
+
+      // most relevant, then most recent, first
+      return results.sort((r1, r2) => (r2.score - r1.score) || (r2.doc.date - r1.doc.date))
+    })
+  }
+
+  // static
+
+  /**
+   * Parse the text of a query. Each word is a term that must be found, and a word ending with '*' matches any term
+   * starting with it. Text in double quotes is a phrase, whose terms must be found together, in order. Words
+   * containing many terms (e.g. 'e-mail', or Chinese words) are phrases too.
+   * 
+   * @static
+   * @param {string} text
+   * @returns {Query}
+   * @memberof HighlightSearch
+   */
+  static parseQuery(text) {
+    /** @type {Query} */
+    const query = {
+      terms: [],
+      phrases: [],
+    }
+
+    const re = /"([^"]*)"?|(\S+)/g
+    let result
+
+    while ((result = re.exec(text)) !== null) {
+      const word = typeof result[1] === 'string' ? result[1] : result[2]
+      const prefix = typeof result[2] === 'string' && word.endsWith('*')
+      const terms = DB.tokenize(word).map((value, index, values) => {
+        return {
+          value: value,
+          prefix: prefix && index === values.length - 1
+        }
+      })
+
+      if (terms.length > 1) {
+        query.phrases.push(terms)
+      }
+
+      for (const term of terms) {
+        if (!query.terms.some(t => t.value === term.value && t.prefix === term.prefix)) {
+          query.terms.push(term)
+        }
+      }
+    }
+
+    return query
+  }
+
+  /**
+   * Score a 'create' document
+   * 
+   * @static
+   * @param {DB.Document} doc - 'create' document
+   * @param {string} [title] - title of its page
+   * @param {Query} query
+   * @param {number[]} idfs - inverse document frequency of each term of the query
+   * @returns {number} score, or 0 if the document doesn't contain every term & phrase
+   * @memberof HighlightSearch
+   */
+  static scoreDocument(doc, title, query, idfs) {
+    const fields = [
+      { text: doc[DB.DOCUMENT.NAME.TEXT], weight: HighlightSearch.FIELD_WEIGHT.TEXT },
+      { text: doc[DB.DOCUMENT.NAME.NOTE], weight: HighlightSearch.FIELD_WEIGHT.NOTE },
+      { text: title, weight: HighlightSearch.FIELD_WEIGHT.TITLE },
+    ]
+      .filter(({ text }) => typeof text === 'string')
+      .map(({ text, weight }) => ({ terms: DB.tokenize(text), weight: weight }))
+
+    if (!query.phrases.every(phrase => fields.some(({ terms }) => HighlightSearch.indexOfPhrase(terms, phrase) !== -1))) {
+      return 0
+    }
+
+    let score = 0
+
+    for (const [index, term] of query.terms.entries()) {
+      const frequency = fields.reduce((sum, { terms, weight }) => {
+        return sum + weight * terms.filter(t => HighlightSearch.isTermMatch(term, t)).length
+      }, 0)
+
+      if (frequency === 0) {
+        return 0
+      }
+
+      // term frequency saturates
+      score += idfs[index] * frequency * (HighlightSearch.K1 + 1) / (frequency + HighlightSearch.K1)
+    }
+
+    return score
+  }
+
+  /**
+   * Find a phrase in an array of terms
+   * 
+   * @static
+   * @param {string[]} terms - terms of field
+   * @param {Term[]} phrase
+   * @returns {number} index of first term of phrase, or -1 if not found
+   * @memberof HighlightSearch
+   */
+  static indexOfPhrase(terms, phrase) {
+    for (let i = 0; i + phrase.length <= terms.length; i++) {
+      if (phrase.every((term, j) => HighlightSearch.isTermMatch(term, terms[i + j]))) {
+        return i
+      }
+    }
+
+    return -1
+  }
+
+  /**
+   * Does a term of a query match a term of a document
+   * 
+   * @static
+   * @param {Term} term - term of query
+   * @param {string} value - term of document
+   * @returns {boolean}
+   * @memberof HighlightSearch
+   */
+  static isTermMatch(term, value) {
+    return term.prefix ? value.startsWith(term.value) : value === term.value
+  }
+
+  /**
+   * Is the page of a match in a domain (or one of its subdomains)
+   * 
+   * @static
+   * @param {string} match
+   * @param {string} domain
+   * @returns {boolean}
+   * @memberof HighlightSearch
+   */
+  static isMatchInDomain(match, domain) {
+    try {
+      const hostname = new URL(match).hostname
+      const d = domain.trim().toLowerCase()
+
+      return hostname === d || hostname.endsWith(`.${d}`)
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Does a 'create' document pass the filters of a search
+   * 
+   * @static
+   * @param {DB.Document} doc
+   * @param {Filters} filters
+   * @returns {boolean}
+   * @memberof HighlightSearch
+   */
+  static isDocumentFiltered(doc, { className, fromDate, toDate } = {}) {
+    return (!className || doc[DB.DOCUMENT.NAME.CLASS_NAME] === className) &&
+      (typeof fromDate !== 'number' || doc[DB.DOCUMENT.NAME.DATE] >= fromDate) &&
+      (typeof toDate !== 'number' || doc[DB.DOCUMENT.NAME.DATE] <= toDate)
+  }
+}
+
+// static properties
+
+// relative importance of a term found in each field of a highlight
+HighlightSearch.FIELD_WEIGHT = {
+  TEXT: 1,
+  NOTE: 1,
+  // the title of the page applies to all its highlights
+  TITLE: 0.5,
+}
+
+// term frequency saturation
+HighlightSearch.K1 = 1.2
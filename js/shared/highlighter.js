@@ -24,10 +24,30 @@ class Highlighter {
   /**
    * Creates an instance of Highlight.
    * @param {Array<number>|number} [tabId] - id or (in case of delete method) array, of ids of tabs of associated tabs
+   * @param {number} [frameId=0] - id of frame in which highlights are created. Other methods find the frame of the highlight's document
    * @memberof Highlighter
    */
-  constructor(tabId) {
+  constructor(tabId, frameId = 0) {
     this.tabId = tabId
+    this.frameId = frameId
+  }
+
+  /**
+   * Database of the collection of the tab's page, or of the active collection if there is no tab (i.e. options page)
+   *
+   * @private
+   * @readonly
+   * @type {DB}
+   * @memberof Highlighter
+   */
+  get db() {
+    if (!this._db) {
+      const tabId = (typeof this.tabId === 'number' && this.tabId) || (Array.isArray(this.tabId) && this.tabId[0])
+
+      this._db = new DB(tabId ? new ChromeTabs(tabId).getCollectionId() : undefined)
+    }
+
+    return this._db
   }
 
   /**
@@ -47,14 +67,30 @@ class Highlighter {
     }
 
     // requires single tab id
-    const tabs = new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0])
-    const db = new DB()
+    const tabs = new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0], this.frameId)
+    const db = this.db
 
     // document to create
     let doc = {}
+    const optional = {}
+
+    // describe the range by its text too, so it can be found if the range's XPath no longer resolves.
+    // The selectors are optional, so failing to get them doesn't prevent the highlight
+    return tabs.getRangeSelectors(xrange).catch(() => null).then(selectors => {
+      if (selectors) {
+        optional.selectors = selectors
+      }
 
-    // if this is the first create document to be posted, we want the title too
-    return db.getMatchingSum(match).then(sum => {
+      // highlights in a subframe must know which frame to be played back in
+      return tabs.getFrame()
+    }).then(frame => {
+      if (frame) {
+        optional.frame = frame
+      }
+
+      // if this is the first create document to be posted, we want the title too
+      return db.getMatchingSum(match)
+    }).then(sum => {
       if (sum != 0) {
         // resolve to undefined title
         return Promise.resolve()
@@ -67,7 +103,6 @@ class Highlighter {
       delete xrange.collapsed
 
       // ignore tabs where the title == url (i.e. not explicity defined)
-      const optional = {}
       if (tab && tab.title !== tab.url) {
         optional.title = tab.title
       }
@@ -100,6 +135,10 @@ class Highlighter {
 
       // (re) show page action on success
       chrome.pageAction.show(tabs.tabId)
+
+      return db.getDocument(doc.id)
+    }).then(createDoc => {
+      return this.addJournalEntry(ChromeJournalStorage.ENTRY_TYPE.CREATE, createDoc, { doc: createDoc })
     })
     
     // .then(() => {
@@ -118,13 +157,38 @@ class Highlighter {
    * @memberof Highlighter
    */
   update(docId, className) {
-    return new DB().updateCreateDocument(docId, { className: className }).then(({ ok }) => {
+    return this.db.getDocument(docId).then(doc => {
+      return this.restyle(docId, className).then(() => {
+        if (doc[DB.DOCUMENT.NAME.CLASS_NAME] === className) {
+          return
+        }
+
+        return this.addJournalEntry(ChromeJournalStorage.ENTRY_TYPE.RESTYLE, doc, {
+          from: doc[DB.DOCUMENT.NAME.CLASS_NAME],
+          to: className,
+        })
+      })
+    })
+  }
+
+  /**
+   * Change the class name of a highlight's 'create' document, then in DOM, without journaling it
+   * 
+   * @private
+   * @param {string} docId - id of 'create' document to change
+   * @param {string} className - new class name defining highlight style
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  restyle(docId, className) {
+    return this.db.updateCreateDocument(docId, { className: className }).then(({ ok }) => {
       if (!ok) {
         return Promise.reject(new Error("Response not OK"));
       }
 
       // document updated - now update DOM
-      const tabs = new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0])
+      return this.getTabsForDocument(docId)
+    }).then(tabs => {
       return tabs.updateHighlight(docId, className)
     }).then(ok => {
       if (!ok) {
@@ -134,174 +198,505 @@ class Highlighter {
   }
 
   /**
-   * Delete a highlight in the database, and in the page DOM.
+   * Re-attach a highlight that couldn't be found in the page (an orphan) to the current selection.
+   * Its 'create' document takes the range, text and selectors of the selection, then the highlight is created in the DOM.
+   * 
+   * @param {string} docId - id of 'create' document of the orphaned highlight
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  reattach(docId) {
+    const db = this.db
+
+    let tabs, xrange, text, selectors, doc
+
+    // the selection must be in the frame the highlight was created in
+    return db.getDocument(docId).then(createDoc => {
+      doc = createDoc
+
+      return new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0]).forFrame(doc[DB.DOCUMENT.NAME.FRAME])
+    }).then(frameTabs => {
+      tabs = frameTabs
+
+      return tabs.getSelectionRange()
+    }).then(range => {
+      if (range.collapsed) {
+        return Promise.reject(new Error("Collapsed range"))
+      }
+
+      xrange = range
+      delete xrange.collapsed
+
+      return Promise.all([
+        tabs.getRangeText(xrange),
+        tabs.getRangeSelectors(xrange).catch(() => null),
+      ])
+    }).then(([rangeText, rangeSelectors]) => {
+      text = rangeText
+      selectors = rangeSelectors || undefined
+
+      return db.updateCreateDocument(docId, {
+        range: xrange,
+        text: text,
+        selectors: selectors,
+      })
+    }).then(({ ok }) => {
+      if (!ok) {
+        return Promise.reject(new Error("Response not OK"));
+      }
+
+      return tabs.createHighlight(
+        xrange,
+        doc[DB.DOCUMENT.NAME.CLASS_NAME],
+        docId,
+        doc[DB.DOCUMENT.NAME.VERSION] || 3,
+        { text, selectors }
+      )
+    }).then(ok => {
+      if (!ok) {
+        return Promise.reject(new Error("Error creating highlight in DOM"));
+      }
+
+      // note (tooltip) can only be applied to existing mark elements
+      return doc[DB.DOCUMENT.NAME.NOTE] && tabs.updateHighlightNote(docId, doc[DB.DOCUMENT.NAME.NOTE])
+    }).then(() => {
+      return new ChromeOrphanStorage().removeOrphan(docId)
+    }).then(() => {
+      return this.addJournalEntry(ChromeJournalStorage.ENTRY_TYPE.EDIT, doc, {
+        from: {
+          range: doc[DB.DOCUMENT.NAME.RANGE],
+          text: doc[DB.DOCUMENT.NAME.TEXT],
+          selectors: doc[DB.DOCUMENT.NAME.SELECTORS],
+        },
+        to: { range: xrange, text, selectors },
+      })
+    })
+  }
+
+  /**
+   * Change the range (and its text) of a highlight's 'create' document, then replace the highlight in the DOM, without journaling it.
+   * The highlight is an orphan if the range can't be found in the DOM.
+   * 
+   * @private
+   * @param {string} docId - id of 'create' document to change
+   * @param {Object} values - { range, text, selectors } new values
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  setRange(docId, { range, text, selectors }) {
+    const db = this.db
+
+    let tabs, doc
+
+    return db.updateCreateDocument(docId, { range, text, selectors }).then(({ ok }) => {
+      if (!ok) {
+        return Promise.reject(new Error("Response not OK"));
+      }
+
+      return db.getDocument(docId)
+    }).then(createDoc => {
+      doc = createDoc
+
+      return new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0]).forFrame(doc[DB.DOCUMENT.NAME.FRAME])
+    }).then(frameTabs => {
+      tabs = frameTabs
+
+      // the existing highlight may not be in the DOM (result ignored)
+      return tabs.removeHighlight(docId).catch(() => false)
+    }).then(() => {
+      return tabs.createHighlight(
+        range,
+        doc[DB.DOCUMENT.NAME.CLASS_NAME],
+        docId,
+        doc[DB.DOCUMENT.NAME.VERSION] || 3,
+        { text, selectors }
+      )
+    }).then(ok => {
+      const storage = new ChromeOrphanStorage()
+
+      if (!ok) {
+        return storage.updateOrphans(doc[DB.DOCUMENT.NAME.MATCH], [docId], [docId])
+      }
+
+      return Promise.resolve(doc[DB.DOCUMENT.NAME.NOTE] && tabs.updateHighlightNote(docId, doc[DB.DOCUMENT.NAME.NOTE])).then(() => {
+        return storage.removeOrphan(docId)
+      })
+    })
+  }
+
+  /**
+   * Set or clear the note of a highlight, first by revising its 'create' document, then in DOM.
+   * The highlight not being in the DOM isn't an error, as the note is stored regardless.
+   * 
+   * @param {string} docId - id of 'create' document to change
+   * @param {string} note - note text. Empty string removes the note
+   * @returns {Promise<boolean>} true if the highlight in the DOM was also updated
+   * @memberof Highlighter
+   */
+  updateNote(docId, note) {
+    return this.db.updateCreateDocument(docId, { note: note }).then(({ ok }) => {
+      if (!ok) {
+        return Promise.reject(new Error("Response not OK"));
+      }
+
+      // document updated - now update DOM
+      return this.getTabsForDocument(docId).then(tabs => {
+        return tabs.updateHighlightNote(docId, note)
+      }).catch(() => false)
+    })
+  }
+
+  /**
+   * Delete a highlight in the database (moving it to the trash), and in the page DOM.
    * NB: this.tabId can be array|undefined. If undefined, query api for tab with match name.
    * 
    * @param {string} docId - id of the document representing the highlight to remove
-   * @returns {Promise<Object>} ok/id/rev object
+   * @returns {Promise<Object>} ok/id/rev object of the 'delete' document
    * @memberof Highlighter
    */
   delete(docId) {
-    const db = new DB()
+    return this.db.getDocument(docId).then(doc => {
+      return this.remove(docId).then(response => {
+        return this.addJournalEntry(ChromeJournalStorage.ENTRY_TYPE.DELETE, doc, { doc: doc }).then(() => response)
+      })
+    })
+  }
 
-    // make array
-    let tabIds = (typeof this.tabId === 'number' && [this.tabId]) || this.tabId
+  /**
+   * Delete a highlight in the database, and in the page DOM, without journaling it.
+   * A 'delete' document is posted, so the highlight stays in the trash until it's restored or purged
+   * 
+   * @private
+   * @param {string} docId - id of the document representing the highlight to remove
+   * @returns {Promise<Object>} ok/id/rev object of the 'delete' document
+   * @memberof Highlighter
+   */
+  remove(docId) {
+    const db = this.db
 
-    // match property of the document representing the highlight to be deleted
-    let match
+    // match & frame properties of the document representing the highlight to be deleted, and the response of its 'delete' document
+    let match, frame, response, tabIds
 
     // make sure original document exists, and store its 'match' property
     return db.getDocument(docId).then(doc => {
       console.assert(doc.verb === 'create')
 
       match = doc.match
+      frame = doc[DB.DOCUMENT.NAME.FRAME]
 
-      // if its also the last 'create' document we can delete it directly
-      return db.getMatchingDocuments(match, {
-        descending: false,
-        verbs: DB.DOCUMENT.VERB.CREATE
-      }).then(docs => {
-        console.assert(docs.length >= 1)
-        const lastDoc = docs[docs.length - 1]
-
-        // if the last non-delete document was our 'create' doc we can delete directly
-        if (lastDoc._id === doc._id) {
-          console.log('Highlight is the latest "create" document - removing directly')
-          return db.removeDB(doc._id, doc._rev)
-        } else {
-          // post an additional 'delete' document
-          return db.postDeleteDocument(docId)
-        }
-      })
-    }).then(({ ok }) => {
-      if (!ok) {
+      return db.postDeleteDocument(docId)
+    }).then(r => {
+      response = r
+
+      if (!response.ok) {
         // 'delete' document wasn't posted
         return Promise.reject(new Error("Error removing document"))
       }
 
-      // if the tab id is undefined, *try* to query it from the match title
-      if (typeof tabIds === 'undefined') {
-        return ChromeTabs.query({
-          url: encodeURI(match),
-          status: 'complete'
-        }).then(tabs => {
-          // update tabIds argument array
-          tabIds = tabs.map(tab => tab.id).filter(tabId => tabId !== chrome.tabs.TAB_ID_NONE)
-        })
-      }
-    }).then(() => {
-      // if tab specified, try and remove highlight from DOM (result ignored)
-      console.assert(Array.isArray(tabIds))
+      return this.getTabIds(match)
+    }).then(ids => {
+      tabIds = ids
 
       // ignores errors
       return Promise.all(tabIds.map(tabId => {
-        return new ChromeTabs(tabId).removeHighlight(docId).catch(() => { /* */ })
+        return new ChromeTabs(tabId).forFrame(frame).then(tabs => {
+          return tabs.removeHighlight(docId)
+        }).catch(() => { /* */ })
       }))
     }).then(() => {
       // Get sum of create(+1) & delete(-1) verbs for a specific match
-      // If equal, there are no highlights for the page, so the page action can be removed,
-      // and the remaining documents are useless
+      // If equal, there are no highlights for the page, so the page action can be removed
       return db.getMatchingSum(match)
     }).then(sum => {
       console.log(`Sum: ${sum} [${match}]`);
 
-      if (sum > 0) {
-        // empty doc implies no matching documents needed to be removed (not an error)
-        return []
+      if (sum <= 0) {
+        for (const id of tabIds) {
+          chrome.pageAction.hide(id)
+        }
       }
 
-      console.log(`Removing all documents for ${match}`);
+      return response
+    })
+  }
+
+  /**
+   * Delete all highlights associated with a 'match', moving them to the trash
+   * 
+   * @param {string} match - match string identifying highlights to remove
+   * @returns {Promise<Boolean[]>} - array of bool for each deleted highlight, true if it was removed from the DOM of a tab
+   * @memberof Highlighter
+   */
+  deleteMatching(match) {
+    const db = this.db
+
+    let docs
 
+    return db.getMatchingDocuments(match, {
+      excludeDeletedDocs: true,
+      verbs: DB.DOCUMENT.VERB.CREATE
+    }).then(createDocs => {
+      docs = createDocs
+
+      return Promise.all(docs.map(doc => db.postDeleteDocument(doc._id)))
+    }).then(() => {
+      return this.getTabIds(match)
+    }).then(tabIds => {
       for (const id of tabIds) {
         chrome.pageAction.hide(id)
       }
 
-      // can delete all documents (for this match)
-      // return array of objects {ok,id,rev} for each removed doc
-      return db.removeMatchingDocuments(match)
+      // highlights can be in any frame of the tabs
+      return Promise.all(tabIds.map(tabId => {
+        const tabs = new ChromeTabs(tabId)
+
+        return tabs.getAllFrames().catch(() => [{ frameId: 0 }]).then(frames => frames.map(({ frameId }) => new ChromeTabs(tabId, frameId)))
+      }))
+    }).then(frameTabsArray => {
+      const frameTabs = [].concat(...frameTabsArray)
+
+      // the ids of the documents identify their highlights in the DOM (although some won't match)
+      return Promise.all(docs.map(({ _id }) => {
+        return Promise.all(frameTabs.map(t => t.removeHighlight(_id).catch(() => false))).then(oks => oks.includes(true))
+      }))
+    }).then(results => {
+      // the journal's operations are on highlights that were deleted since
+      return new ChromeJournalStorage().removeJournal(match).then(() => results)
     })
   }
 
   /**
-   * Delete all documents associated with a 'match'
+   * Restore a deleted highlight from the trash, replaying it in any tab of its page
    * 
-   * @param {string} match - match string identifying highlights to remove
-   * @returns {Promise<Boolean[]>} - array of bool for each deleted highlight in the tab
+   * @param {string} docId - id of deleted 'create' document
+   * @returns {Promise}
    * @memberof Highlighter
    */
-  deleteMatching(match) {
-    return new DB().removeMatchingDocuments(match).then(responses => {
-      const tabs = new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0])
+  undelete(docId) {
+    return this.db.getDocument(docId).then(doc => {
+      return this.restore(doc).then(() => {
+        return this.addJournalEntry(ChromeJournalStorage.ENTRY_TYPE.CREATE, doc, { doc: doc })
+      })
+    })
+  }
 
-      chrome.pageAction.hide(tabs.tabId)
+  /**
+   * Get the ids of the tabs of the highlighter, or if it has none, query the ids of the tabs showing a page
+   * 
+   * @private
+   * @param {string} match - match of page
+   * @returns {Promise<number[]>}
+   * @memberof Highlighter
+   */
+  getTabIds(match) {
+    // make array
+    const tabIds = (typeof this.tabId === 'number' && [this.tabId]) || this.tabId
 
-      // Response is an array containing the id and rev of each deleted document.
-      // We can use id to remove highlights in the DOM (although some won't match)
-      return Promise.all(responses
-        .filter(r => r.ok)
-        .map(({ id }) => tabs.removeHighlight(id))
-      )
+    if (typeof tabIds !== 'undefined') {
+      return Promise.resolve(tabIds)
+    }
+
+    // match rules (and the pdf viewer) mean the url of a tab isn't its match, so format the match of each loaded tab
+    return Promise.all([
+      ChromeTabs.query({ status: 'complete' }),
+      new ChromeMatchRuleStorage().getAll(),
+    ]).then(([tabs, rules]) => {
+      return tabs.filter(tab => {
+        if (tab.id === chrome.tabs.TAB_ID_NONE || !tab.url) {
+          return false
+        }
+
+        try {
+          return ChromeMatchRuleStorage.formatMatch(tab.url, rules) === match
+        } catch (e) {
+          // url that can't be parsed
+          return false
+        }
+      }).map(tab => tab.id)
     })
   }
 
   /**
-   * Undo the last undoable document in the journal (by negating it)
+   * Get a ChromeTabs instance for the (single) tab, targeting the frame containing a document's highlight
    * 
+   * @private
+   * @param {string} docId - id of 'create' document
+   * @returns {Promise<ChromeTabs>}
    * @memberof Highlighter
    */
-  undo() {
+  getTabsForDocument(docId) {
     const tabs = new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0])
-    
-    return tabs.get().then(({ url }) => {
-      // build match using tab's url, and get the last document
-      const match = DB.formatMatch(url)
-
-      return new DB().getMatchingDocuments(match, { descending: true })
-    }).then(docs => {
-      // find last 'undoable' document that has not already been negated 
-      let deletedDocIds = new Set()
-
-      for (const doc of docs) {
-        switch (doc.verb) {
-          case DB.DOCUMENT.VERB.DELETE:
-            deletedDocIds.add(doc.correspondingDocumentId)
-            break
-
-          case DB.DOCUMENT.VERB.CREATE:
-            // is it already deleted?
-            if (!deletedDocIds.has(doc._id)) {
-              // add a negating document
-              return this.delete(doc._id)
+
+    return this.db.getDocument(docId).then(doc => {
+      return tabs.forFrame(doc[DB.DOCUMENT.NAME.FRAME])
+    })
+  }
+
+  /**
+   * Restore a deleted highlight, first in the database, then in the DOM of each tab (see `getTabIds()`), without journaling it.
+   * The highlight is an orphan if its range can't be found in the DOM of a tab.
+   * 
+   * @private
+   * @param {Object} doc - 'create' document as it was before being deleted
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  restore(doc) {
+    return this.db.restoreCreateDocument(doc).then(() => {
+      return this.getTabIds(doc[DB.DOCUMENT.NAME.MATCH])
+    }).then(tabIds => {
+      return Promise.all(tabIds.map(tabId => {
+        chrome.pageAction.show(tabId)
+
+        return new ChromeTabs(tabId).forFrame(doc[DB.DOCUMENT.NAME.FRAME]).then(tabs => {
+          return tabs.createHighlight(
+            doc[DB.DOCUMENT.NAME.RANGE],
+            doc[DB.DOCUMENT.NAME.CLASS_NAME],
+            doc._id,
+            doc[DB.DOCUMENT.NAME.VERSION] || 3,
+            { text: doc[DB.DOCUMENT.NAME.TEXT], selectors: doc[DB.DOCUMENT.NAME.SELECTORS] }
+          ).then(ok => {
+            if (!ok) {
+              return false
             }
-            break
 
-          default:
-            console.error(`unknown verb ${doc.verb}`)
+            return Promise.resolve(doc[DB.DOCUMENT.NAME.NOTE] && tabs.updateHighlightNote(doc._id, doc[DB.DOCUMENT.NAME.NOTE])).then(() => true)
+          })
+        }).catch(() => false)
+      })).then(oks => {
+        if (oks.every(ok => ok)) {
+          return
         }
+
+        return new ChromeOrphanStorage().updateOrphans(doc[DB.DOCUMENT.NAME.MATCH], [doc._id], [doc._id])
+      })
+    })
+  }
+
+  /**
+   * Add an operation on a highlight to the journal of its page.
+   * Failing to journal an operation doesn't fail the operation
+   * 
+   * @private
+   * @param {string} type - one of ChromeJournalStorage.ENTRY_TYPE
+   * @param {Object} doc - 'create' document of highlight, before the operation
+   * @param {Object} [values] - additional properties of the entry
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  addJournalEntry(type, doc, values = {}) {
+    return new ChromeJournalStorage().addEntry(doc[DB.DOCUMENT.NAME.MATCH], Object.assign({
+      type: type,
+      docId: doc._id,
+      text: doc[DB.DOCUMENT.NAME.TEXT],
+      date: Date.now(),
+    }, values)).catch(e => {
+      console.error(e)
+    })
+  }
+
+  /**
+   * Undo the latest applied operation in the journal of the tab's page
+   * 
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  undo() {
+    return this.walkJournal(true)
+  }
+
+  /**
+   * Redo the earliest undone operation in the journal of the tab's page
+   * 
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  redo() {
+    return this.walkJournal(false)
+  }
+
+  /**
+   * Undo or redo the next operation in the journal of the tab's page
+   * 
+   * @private
+   * @param {boolean} isUndo - true to move back through the journal, false to move forward
+   * @returns {Promise} rejects if there's no operation to undo/redo
+   * @memberof Highlighter
+   */
+  walkJournal(isUndo) {
+    const tabs = new ChromeTabs((typeof this.tabId === 'number' && this.tabId) || this.tabId[0])
+    const storage = new ChromeJournalStorage()
+
+    let match, journal
+
+    return tabs.get().then(({ url }) => {
+      // build match using tab's url
+      return new ChromeMatchRuleStorage().formatMatch(url)
+    }).then(m => {
+      match = m
+
+      return storage.getJournal(match)
+    }).then(j => {
+      journal = j
+
+      const entry = isUndo ?
+        ChromeJournalStorage.getUndoEntry(journal) :
+        ChromeJournalStorage.getRedoEntry(journal)
+
+      if (!entry) {
+        return Promise.reject(new Error(`No operations to ${isUndo ? 'undo' : 'redo'}.`))
       }
 
-      return Promise.reject(new Error("No create documents to undo."))
-
-      // THIS CRASHES CHROME
-
-      // var latestCreateDoc = docs.find(function (doc) {
-      // 	switch (doc.verb) {
-      // 	case "delete":
-      // 		deletedDocumentIds.add(doc.correspondingDocumentId);
-      // 		return false;
-      //
-      // 	case "create":
-      // 		// is it already deleted?
-      // 		return deletedDocumentIds.has(doc._id) === false
-      // 	}
-      // });
-      //
-      // if (lastCreateDoc) {
-      // 	// add a negating document
-      // 	return _eventPage.deleteHighlight(tabId, lastCreateDoc._id);
-      // } else {
-      // 	return Promise.reject("No create documents to undo.");
-      // }
+      return this.applyJournalEntry(entry, isUndo).then(() => {
+        journal.index += isUndo ? -1 : 1
+      }, e => {
+        // the operation can't be applied (e.g. its document was removed by other means), so it is discarded
+        journal.entries.splice(journal.entries.indexOf(entry), 1)
+
+        if (isUndo) {
+          journal.index--
+        }
+
+        return storage.setJournal(match, journal).then(() => Promise.reject(e))
+      })
+    }).then(() => {
+      return storage.setJournal(match, journal)
     })
   }
-}
\ No newline at end of file
+
+  /**
+   * Apply the inverse of a journal entry's operation (undo), or the operation again (redo)
+   * 
+   * @private
+   * @param {Object} entry - journal entry. The document of 'create' & 'delete' entries is replaced when its highlight is deleted
+   * @param {boolean} isUndo - true to apply the inverse
+   * @returns {Promise}
+   * @memberof Highlighter
+   */
+  applyJournalEntry(entry, isUndo) {
+    switch (entry.type) {
+      case ChromeJournalStorage.ENTRY_TYPE.CREATE:
+      case ChromeJournalStorage.ENTRY_TYPE.DELETE:
+        // undoing a 'create' deletes the highlight, as does redoing a 'delete'
+        if ((entry.type === ChromeJournalStorage.ENTRY_TYPE.CREATE) === isUndo) {
+          // keep changes made since the operation (e.g. its note) for when it's restored
+          return this.db.getDocument(entry.docId).then(doc => {
+            entry.doc = doc
+
+            return this.remove(entry.docId)
+          })
+        }
+
+        return this.restore(entry.doc)
+
+      case ChromeJournalStorage.ENTRY_TYPE.RESTYLE:
+        return this.restyle(entry.docId, isUndo ? entry.from : entry.to)
+
+      case ChromeJournalStorage.ENTRY_TYPE.EDIT:
+        return this.setRange(entry.docId, isUndo ? entry.from : entry.to)
+
+      default:
+        return Promise.reject(new Error(`unknown journal entry type ${entry.type}`))
+    }
+  }
+}
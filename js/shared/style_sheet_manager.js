@@ -93,6 +93,11 @@ class StyleSheetManager {
 						${StyleSheetManager.DECLARATIONS.CLOSE_HOVER_FOCUS}
 				}`,
 
+				// note
+				`.${this.sharedHighlightClassName}.${StyleSheetManager.CLASS_NAME.NOTE} {
+						${StyleSheetManager.DECLARATIONS.NOTE}
+				}`,
+
 				`@media print {
 					.${this.sharedHighlightClassName} {
 						${StyleSheetManager.DECLARATIONS.MEDIA_PRINT__SHARED_HIGHLIGHT}
@@ -234,7 +239,9 @@ class StyleSheetManager {
 
 StyleSheetManager.CLASS_NAME = {
   // close button added to each mark element
-  CLOSE: 'ssh-close'
+  CLOSE: 'ssh-close',
+  // added to each mark element of a highlight that has a note
+  NOTE: 'ssh-note'
 }
 
 StyleSheetManager.DECLARATIONS = {
@@ -248,6 +255,12 @@ StyleSheetManager.DECLARATIONS = {
     margin: 0px !important;
 	`,
 
+	// highlight with a note shows it as a tooltip (title attribute)
+	NOTE: `
+		text-decoration: underline dotted !important;
+		cursor: help;
+	`,
+
 	MEDIA_PRINT__SHARED_HIGHLIGHT: `
 		box-shadow: unset !important;
 		-webkit-print-color-adjust: exact !important;
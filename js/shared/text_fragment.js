@@ -0,0 +1,138 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Static methods for text fragment links, which scroll to (and indicate) some text of a page when opened.
+ * https://wicg.github.io/scroll-to-text-fragment/
+ * 
+ * @class TextFragment
+ */
+class TextFragment {
+  /**
+   * Create the url of a page that scrolls to the text of a highlight
+   * 
+   * @static
+   * @param {string} url - url of page
+   * @param {Object} doc - 'create' document of highlight
+   * @returns {string} url with a text directive, or the url without its directive if the highlight has no text
+   * @memberof TextFragment
+   */
+  static createUrl(url, doc) {
+    // remove any existing directive (but keep the fragment, so the page can still use it)
+    const pageUrl = url.replace(/:~:.*$/, '')
+    const directive = TextFragment.createDirective(doc)
+
+    if (!directive) {
+      return pageUrl
+    }
+
+    return `${pageUrl}${pageUrl.includes('#') ? '' : '#'}:~:${directive}`
+  }
+
+  /**
+   * Create the text directive of a highlight, in the form 'text=[prefix-,]start[,end][,-suffix]'.
+   * The prefix & suffix come from the text surrounding the highlight when it was created, if that was stored
+   * 
+   * @static
+   * @param {Object} doc - 'create' document of highlight
+   * @returns {string|null} directive, or null if the highlight has no text
+   * @memberof TextFragment
+   */
+  static createDirective(doc) {
+    const quote = (doc[DB.DOCUMENT.NAME.SELECTORS] || []).find(s => s.type === 'TextQuoteSelector')
+    const exact = (quote && quote.exact) || doc[DB.DOCUMENT.NAME.TEXT] || ''
+    const words = TextFragment.splitWords(exact)
+
+    if (words.length === 0) {
+      return null
+    }
+
+    const encode = TextFragment.encode
+    const max = TextFragment.MAX_WORDS
+    const parts = []
+
+    // context must be at word boundaries of the text, otherwise it can't match
+    if (quote && quote.prefix && (/[\s\p{P}]$/u.test(quote.prefix) || /^[\s\p{P}]/u.test(exact))) {
+      // the first word may be cut
+      const prefixWords = TextFragment.splitWords(quote.prefix)
+      const completeWords = /^\s/.test(quote.prefix) ? prefixWords : prefixWords.slice(1)
+
+      if (completeWords.length > 0) {
+        parts.push(`${encode(completeWords.slice(-TextFragment.CONTEXT_WORDS).join(' '))}-`)
+      }
+    }
+
+    // long text is matched by its first & last words (or characters, if it has no spaces) instead
+    if (words.length > max * 2) {
+      parts.push(encode(words.slice(0, max).join(' ')), encode(words.slice(-max).join(' ')))
+    } else if (words.length === 1 && words[0].length > TextFragment.MAX_CHARACTERS * 2) {
+      parts.push(encode(words[0].slice(0, TextFragment.MAX_CHARACTERS)), encode(words[0].slice(-TextFragment.MAX_CHARACTERS)))
+    } else {
+      parts.push(encode(words.join(' ')))
+    }
+
+    if (quote && quote.suffix && (/^[\s\p{P}]/u.test(quote.suffix) || /[\s\p{P}]$/u.test(exact))) {
+      // the last word may be cut
+      const suffixWords = TextFragment.splitWords(quote.suffix)
+      const completeWords = /\s$/.test(quote.suffix) ? suffixWords : suffixWords.slice(0, -1)
+
+      if (completeWords.length > 0) {
+        parts.push(`-${encode(completeWords.slice(0, TextFragment.CONTEXT_WORDS).join(' '))}`)
+      }
+    }
+
+    return `text=${parts.join(',')}`
+  }
+
+  /**
+   * Split text into words
+   * 
+   * @private
+   * @static
+   * @param {string} text
+   * @returns {string[]}
+   * @memberof TextFragment
+   */
+  static splitWords(text) {
+    return text.trim().split(/\s+/).filter(w => w.length > 0)
+  }
+
+  /**
+   * Percent-encode a term of a directive
+   * 
+   * @private
+   * @static
+   * @param {string} term
+   * @returns {string}
+   * @memberof TextFragment
+   */
+  static encode(term) {
+    // characters with meaning within the directive, as well as those encodeURIComponent encodes
+    return encodeURIComponent(term).replace(/-/g, '%2D').replace(/,/g, '%2C').replace(/&/g, '%26')
+  }
+}
+
+// static properties
+
+// number of words at the start & end of long text, with which the directive matches it
+TextFragment.MAX_WORDS = 5
+
+// number of words of the context before & after the text
+TextFragment.CONTEXT_WORDS = 3
+
+// number of characters at the start & end of long text without spaces (i.e. Chinese)
+TextFragment.MAX_CHARACTERS = 10
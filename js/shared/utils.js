@@ -43,6 +43,22 @@ class StringUtils {
       return v.toString(16);
     });
   }
+
+  /**
+   * Escape text for use as the content (or a quoted attribute value) of an html element
+   * 
+   * @static
+   * @param {string} text
+   * @returns {string}
+   * @memberof StringUtils
+   */
+  static escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
 }
 
 class DataUtils {
@@ -128,8 +144,66 @@ class ClipboardUtils {
 
 		return result
 	}
+
+	/**
+	 * Copy html to clipboard, with a plain text alternative for targets that don't accept rich text
+	 * 
+	 * @static
+	 * @param {string} html - html to copy
+	 * @param {string} text - plain text alternative
+	 * @param {Document} document - document in which the copy command is executed
+	 * @returns {boolean}
+	 * @memberof ClipboardUtils
+	 */
+	static copyHTML(html, text, document) {
+		// replace the data of the copy event, instead of copying a selection
+		const listener = event => {
+			event.clipboardData.setData('text/html', html)
+			event.clipboardData.setData('text/plain', text)
+			event.preventDefault()
+		}
+
+		document.addEventListener('copy', listener)
+
+		const result = document.execCommand('copy')
+
+		document.removeEventListener('copy', listener)
+
+		return result
+	}
+}
+
+/**
+ * Static methods for saving files
+ * 
+ * @class DownloadUtils
+ */
+class DownloadUtils {
+	/**
+	 * Save a blob as a file in the downloads folder, by clicking a temporary anchor to its object url
+	 * 
+	 * @static
+	 * @param {Blob} blob - content of file
+	 * @param {string} fileName - suggested name of file
+	 * @param {Document} [document=window.document] - document in which the anchor is created
+	 * @memberof DownloadUtils
+	 */
+	static saveBlob(blob, fileName, document = window.document) {
+		const anchorElm = document.createElement("a")
+		const url = URL.createObjectURL(blob)
+
+		anchorElm.download = fileName
+		anchorElm.href = url
+		anchorElm.click()
+
+		// the download has started long before then
+		setTimeout(() => URL.revokeObjectURL(url), DownloadUtils.REVOKE_URL_DELAY)
+	}
 }
 
+// delay (ms) after which the object url of a saved file is revoked
+DownloadUtils.REVOKE_URL_DELAY = 60 * 1000
+
 /**
  * Static methods for base64 things
  * 
@@ -0,0 +1,423 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Static helpers converting highlights to and from the W3C Web Annotation Data Model (JSON-LD), as used by tools like Hypothesis.
+ * A highlight's style is the annotation's 'styleClass' (with its CSS as the annotation's stylesheet), and a tag of its title.
+ * 
+ * @see https://www.w3.org/TR/annotation-model/
+ * @class WebAnnotation
+ */
+class WebAnnotation {
+  /**
+   * Create a collection of annotations of the highlights of every page
+   * 
+   * @static
+   * @returns {Promise<Object>} AnnotationCollection
+   * @memberof WebAnnotation
+   */
+  static createCollection() {
+    return Promise.all([
+      HighlightExport.getPages(),
+      HighlightExport.getHighlightDefinitions(),
+    ]).then(([pages, definitions]) => {
+      const annotations = []
+
+      for (const page of pages) {
+        for (const doc of page.docs) {
+          annotations.push(WebAnnotation.toAnnotation(doc, definitions.get(doc[DB.DOCUMENT.NAME.CLASS_NAME])))
+        }
+      }
+
+      return {
+        '@context': WebAnnotation.CONTEXT,
+        type: 'AnnotationCollection',
+        label: chrome.i18n.getMessage('extension_name'),
+        total: annotations.length,
+        first: {
+          type: 'AnnotationPage',
+          startIndex: 0,
+          items: annotations,
+        },
+      }
+    })
+  }
+
+  /**
+   * Convert a 'create' document to an annotation
+   * 
+   * @static
+   * @param {DB.Document} doc
+   * @param {HighlightDefinitionFactory.HighlightDefinition} [definition] - definition of document's style
+   * @returns {Object} Annotation
+   * @memberof WebAnnotation
+   */
+  static toAnnotation(doc, definition) {
+    const className = doc[DB.DOCUMENT.NAME.CLASS_NAME]
+    const note = doc[DB.DOCUMENT.NAME.NOTE]
+    const body = []
+
+    if (definition && definition.title) {
+      body.push({ type: 'TextualBody', purpose: 'tagging', value: definition.title })
+    }
+
+    for (const tag of doc[DB.DOCUMENT.NAME.TAGS] || []) {
+      body.push({ type: 'TextualBody', purpose: 'tagging', value: tag })
+    }
+
+    if (note) {
+      body.push({ type: 'TextualBody', purpose: 'commenting', value: note, format: 'text/plain' })
+    }
+
+    const annotation = {
+      '@context': WebAnnotation.CONTEXT,
+      id: `${WebAnnotation.ID_PREFIX}${doc._id}`,
+      type: 'Annotation',
+      motivation: note ? 'commenting' : 'highlighting',
+      created: new Date(doc[DB.DOCUMENT.NAME.DATE]).toISOString(),
+      target: {
+        source: HighlightExport.getUrl(doc[DB.DOCUMENT.NAME.MATCH]),
+        styleClass: className,
+        selector: WebAnnotation.toSelectors(doc),
+      },
+    }
+
+    if (body.length > 0) {
+      annotation.body = body
+    }
+
+    if (definition && definition.style) {
+      annotation.stylesheet = {
+        type: 'CssStylesheet',
+        value: `.${className} { ${Object.entries(definition.style).map(([p, v]) => `${p}: ${v};`).join(' ')} }`,
+      }
+    }
+
+    return annotation
+  }
+
+  /**
+   * Get the selectors of a 'create' document: its XPath range, and its text quote & position
+   * 
+   * @static
+   * @param {DB.Document} doc
+   * @returns {Object[]}
+   * @memberof WebAnnotation
+   */
+  static toSelectors(doc) {
+    const selectors = []
+    const xrange = doc[DB.DOCUMENT.NAME.RANGE]
+
+    // offsets within the XPath containers refine each end
+    if (xrange && typeof xrange === 'object' && xrange.startContainerPath) {
+      const endContainerPath = xrange.endContainerPath || xrange.startContainerPath
+      const endOffset = xrange.endContainerPath ? xrange.endOffset : xrange.startOffset
+
+      selectors.push({
+        type: 'RangeSelector',
+        startSelector: {
+          type: 'XPathSelector',
+          value: xrange.startContainerPath,
+          refinedBy: { type: 'TextPositionSelector', start: xrange.startOffset, end: xrange.startOffset },
+        },
+        endSelector: {
+          type: 'XPathSelector',
+          value: endContainerPath,
+          refinedBy: { type: 'TextPositionSelector', start: endOffset, end: endOffset },
+        },
+      })
+    }
+
+    const docSelectors = doc[DB.DOCUMENT.NAME.SELECTORS] || []
+    selectors.push(...docSelectors)
+
+    // documents created before selectors existed still have their text
+    if (!docSelectors.some(s => s.type === WebAnnotation.SELECTOR_TYPE.TEXT_QUOTE)) {
+      selectors.push({ type: WebAnnotation.SELECTOR_TYPE.TEXT_QUOTE, exact: doc[DB.DOCUMENT.NAME.TEXT] })
+    }
+
+    return selectors
+  }
+
+  /**
+   * Get the annotations of parsed JSON(-LD). Accepts an annotation, an array of them, a collection or page of them,
+   * or a Hypothesis API search result
+   * 
+   * @static
+   * @param {Object|Object[]} json
+   * @returns {Object[]} annotations
+   * @memberof WebAnnotation
+   */
+  static getAnnotations(json) {
+    if (Array.isArray(json)) {
+      return json
+    }
+
+    if (!json || typeof json !== 'object') {
+      return []
+    }
+
+    // AnnotationCollection, AnnotationPage, Hypothesis search result
+    for (const items of [json.first && json.first.items, json.items, json.rows]) {
+      if (Array.isArray(items)) {
+        return items
+      }
+    }
+
+    return [json]
+  }
+
+  /**
+   * Convert an annotation into a 'create' document. The document's id is formed from the annotation's id, so importing it again
+   * doesn't duplicate it.
+   * 
+   * @static
+   * @param {Object} annotation - W3C (or Hypothesis) annotation
+   * @param {Object} context
+   * @param {HighlightDefinitionFactory.HighlightDefinition[]} context.definitions - existing highlight definitions
+   * @param {ChromeMatchRuleStorage.MatchRule[]} context.rules - rules forming the match of a url
+   * @returns {Promise<DB.Document|null>} document, or null if the annotation isn't a highlight of a web page's text
+   * @memberof WebAnnotation
+   */
+  static toDocument(annotation, { definitions, rules }) {
+    const target = WebAnnotation.asArray(annotation && annotation.target)
+      .find(t => t && typeof t === 'object' && t.source)
+
+    const source = target && (typeof target.source === 'string' ? target.source : target.source.id)
+    const selectors = target ? WebAnnotation.asArray(target.selector).filter(s => s && typeof s === 'object') : []
+    const quote = selectors.find(s => s.type === WebAnnotation.SELECTOR_TYPE.TEXT_QUOTE)
+
+    if (!source || !quote || typeof quote.exact !== 'string' || quote.exact.length === 0) {
+      return Promise.resolve(null)
+    }
+
+    let match
+
+    try {
+      match = ChromeMatchRuleStorage.formatMatch(source, rules)
+    } catch (e) {
+      return Promise.resolve(null)
+    }
+
+    const bodies = WebAnnotation.asArray(annotation.body)
+      .map(b => typeof b === 'string' ? { type: 'TextualBody', value: b } : b)
+      .filter(b => b && typeof b.value === 'string')
+
+    // Hypothesis keeps tags & text outside of the body
+    let tags = bodies.filter(b => b.purpose === 'tagging').map(b => b.value)
+      .concat(Array.isArray(annotation.tags) ? annotation.tags.filter(t => typeof t === 'string') : [])
+
+    const notes = bodies.filter(b => b.purpose !== 'tagging').map(b => b.value)
+      .concat(typeof annotation.text === 'string' ? [annotation.text] : [])
+      .filter(n => n.trim().length > 0)
+
+    // style is the target's style class, else the first tag that is the title of a style, else the first style
+    let definition = definitions.find(d => d.className === target.styleClass)
+
+    if (!definition) {
+      definition = definitions.find(d => tags.some(t => t.toLowerCase() === (d.title || '').toLowerCase()))
+    }
+
+    if (definition) {
+      tags = tags.filter(t => t.toLowerCase() !== (definition.title || '').toLowerCase())
+    } else {
+      definition = definitions[0]
+    }
+
+    const date = Date.parse(annotation.created)
+    const components = chrome.runtime.getManifest().version.split(".")
+
+    const doc = {
+      [DB.DOCUMENT.NAME.VERB]: DB.DOCUMENT.VERB.CREATE,
+      [DB.DOCUMENT.NAME.MATCH]: match,
+      [DB.DOCUMENT.NAME.RANGE]: WebAnnotation.toXRange(selectors),
+      [DB.DOCUMENT.NAME.CLASS_NAME]: definition.className,
+      [DB.DOCUMENT.NAME.TEXT]: quote.exact,
+      [DB.DOCUMENT.NAME.DATE]: isNaN(date) ? Date.now() : date,
+      [DB.DOCUMENT.NAME.VERSION]: components.length > 0 ? parseInt(components[0]) : 4,
+      [DB.DOCUMENT.NAME.SELECTORS]: selectors.filter(s => Object.values(WebAnnotation.SELECTOR_TYPE).includes(s.type)),
+    }
+
+    if (notes.length > 0) {
+      doc[DB.DOCUMENT.NAME.NOTE] = notes.join('\n\n')
+    }
+
+    tags = DB.parseTags(tags.join(','))
+
+    if (tags.length > 0) {
+      doc[DB.DOCUMENT.NAME.TAGS] = tags
+    }
+
+    return WebAnnotation.toDocumentId(annotation.id).then(id => Object.assign({ _id: id }, doc))
+  }
+
+  /**
+   * Get the XPath range of the selectors. Either a W3C RangeSelector of XPathSelectors refined by TextPositionSelectors,
+   * or a Hypothesis RangeSelector.
+   * 
+   * @static
+   * @param {Object[]} selectors
+   * @returns {Object} XRange. If the selectors don't have one, it's a collapsed range, so the highlight is found by its text when played back
+   * @memberof WebAnnotation
+   */
+  static toXRange(selectors) {
+    const selector = selectors.find(s => s.type === 'RangeSelector')
+
+    if (selector && selector.startSelector && selector.endSelector) {
+      const { startSelector, endSelector } = selector
+
+      if (startSelector.type === 'XPathSelector' && endSelector.type === 'XPathSelector' &&
+        startSelector.refinedBy && endSelector.refinedBy) {
+        return {
+          startContainerPath: startSelector.value,
+          startOffset: startSelector.refinedBy.start,
+          endContainerPath: endSelector.value,
+          endOffset: endSelector.refinedBy.start,
+          collapsed: false,
+        }
+      }
+    }
+
+    // Hypothesis paths are relative to the body
+    if (selector && typeof selector.startContainer === 'string' && typeof selector.endContainer === 'string') {
+      return {
+        startContainerPath: `/html/body${selector.startContainer}`,
+        startOffset: selector.startOffset,
+        endContainerPath: `/html/body${selector.endContainer}`,
+        endOffset: selector.endOffset,
+        collapsed: false,
+      }
+    }
+
+    return {
+      startContainerPath: '/html/body',
+      startOffset: 0,
+      endContainerPath: '/html/body',
+      endOffset: 0,
+      collapsed: true,
+    }
+  }
+
+  /**
+   * Form the id of the document of an annotation. Annotations exported by this extension have the id of their document.
+   * Otherwise (including other UUIDs, which may not be valid document ids) it's a UUID formed from a hash of the annotation's id,
+   * or a new UUID if it has none
+   * 
+   * @static
+   * @param {string} [annotationId]
+   * @returns {Promise<string>}
+   * @memberof WebAnnotation
+   */
+  static toDocumentId(annotationId) {
+    if (typeof annotationId !== 'string' || annotationId.length === 0) {
+      return Promise.resolve(StringUtils.newUUID())
+    }
+
+    const id = annotationId.startsWith(WebAnnotation.ID_PREFIX) && annotationId.slice(WebAnnotation.ID_PREFIX.length)
+
+    if (id && WebAnnotation.DOCUMENT_ID_REGEX.test(id)) {
+      return Promise.resolve(id)
+    }
+
+    return crypto.subtle.digest('SHA-1', new TextEncoder().encode(annotationId)).then(buffer => {
+      const hex = Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+
+      // same form as StringUtils.newUUID() (beginning with a letter, as it's used as an element id)
+      return [
+        (parseInt(hex[0], 16) % 6 + 0xa).toString(16) + hex.slice(1, 8),
+        hex.slice(8, 12),
+        `4${hex.slice(13, 16)}`,
+        ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.slice(17, 20),
+        hex.slice(20, 32),
+      ].join('-')
+    })
+  }
+
+  /**
+   * Add the highlights of annotations to the database of the active collection. Highlights that were already imported are skipped
+   * 
+   * @static
+   * @param {string} text - JSON(-LD) of annotations
+   * @returns {Promise<{added: number, skipped: number, invalid: number, failed: number}>} numbers of highlights added, already existing,
+   *  of annotations that aren't highlights, and of highlights the database rejected
+   * @memberof WebAnnotation
+   */
+  static import(text) {
+    const annotations = WebAnnotation.getAnnotations(JSON.parse(text))
+    const db = new DB()
+
+    return Promise.all([
+      new ChromeHighlightStorage().getAll(),
+      new ChromeMatchRuleStorage().getAll(),
+    ]).then(([items, rules]) => {
+      const context = {
+        definitions: items[ChromeHighlightStorage.KEYS.HIGHLIGHT_DEFINITIONS],
+        rules: rules,
+      }
+
+      return Promise.all(annotations.map(a => WebAnnotation.toDocument(a, context)))
+    }).then(docs => {
+      // the same annotation may be in the file more than once
+      const validDocs = Array.from(new Map(docs.filter(d => d).map(d => [d._id, d])).values())
+
+      return db.partitionDocuments(validDocs).then(({ newDocs, existingDocs }) => {
+        return db.mergeDocuments(newDocs).then(responses => {
+          const added = responses.filter(r => r.ok).length
+
+          return {
+            added: added,
+            skipped: existingDocs.length,
+            invalid: docs.filter(d => !d).length,
+            failed: responses.length - added,
+          }
+        })
+      })
+    })
+  }
+
+  /**
+   * Wrap a value that may or may not be an array in an array
+   * 
+   * @static
+   * @param {*} value
+   * @returns {Array}
+   * @memberof WebAnnotation
+   */
+  static asArray(value) {
+    if (typeof value === 'undefined' || value === null) {
+      return []
+    }
+
+    return Array.isArray(value) ? value : [value]
+  }
+}
+
+// static properties
+
+WebAnnotation.CONTEXT = 'http://www.w3.org/ns/anno.jsonld'
+
+// prefix of the ids of annotations, followed by the id of the document
+WebAnnotation.ID_PREFIX = 'urn:uuid:'
+// form of the ids of documents (StringUtils.newUUID())
+WebAnnotation.DOCUMENT_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+
+// selectors stored in 'create' documents (as TextAnchor.SELECTOR_TYPE)
+WebAnnotation.SELECTOR_TYPE = {
+  FRAGMENT: 'FragmentSelector',
+  TEXT_QUOTE: 'TextQuoteSelector',
+  TEXT_POSITION: 'TextPositionSelector',
+}
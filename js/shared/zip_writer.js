@@ -0,0 +1,198 @@
+/*
+ * This file is part of Super Simple Highlighter.
+ * 
+ * Super Simple Highlighter is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * Super Simple Highlighter is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with Foobar.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Writer of zip archives, whose files are stored without compression (which every unzip tool can read)
+ * 
+ * @class ZipWriter
+ */
+class ZipWriter {
+  /**
+   * Creates an instance of ZipWriter.
+   * 
+   * @param {Date} [date] - modification date of the files
+   * @memberof ZipWriter
+   */
+  constructor(date = new Date()) {
+    this.date = date
+
+    /** @type {Array<{name: Uint8Array, data: Uint8Array, crc: number, offset: number}>} */
+    this.entries = []
+    /** @type {Uint8Array[]} */
+    this.parts = []
+    this.offset = 0
+  }
+
+  /**
+   * Add a file
+   * 
+   * @param {string} name - path of file in archive, using '/' as separator
+   * @param {string|Uint8Array} content - content of file. Strings are encoded as UTF-8
+   * @returns {ZipWriter} this
+   * @memberof ZipWriter
+   */
+  add(name, content) {
+    const encoder = new TextEncoder()
+    const nameBytes = encoder.encode(name)
+    const data = typeof content === 'string' ? encoder.encode(content) : content
+    const crc = ZipWriter.crc32(data)
+
+    const header = new DataView(new ArrayBuffer(30))
+    header.setUint32(0, ZipWriter.SIGNATURE.LOCAL_FILE_HEADER, true)
+    this.setCommonFields(header, 4, crc, data.length, nameBytes.length)
+
+    this.entries.push({ name: nameBytes, data: data, crc: crc, offset: this.offset })
+    this.append(new Uint8Array(header.buffer), nameBytes, data)
+
+    return this
+  }
+
+  /**
+   * Create the archive of the added files
+   * 
+   * @param {string} [type='application/zip'] - mime type of blob
+   * @returns {Blob}
+   * @memberof ZipWriter
+   */
+  toBlob(type = 'application/zip') {
+    const parts = this.parts.slice()
+    const directoryOffset = this.offset
+    let directorySize = 0
+
+    // central directory
+    for (const { name, data, crc, offset } of this.entries) {
+      const header = new DataView(new ArrayBuffer(46))
+      header.setUint32(0, ZipWriter.SIGNATURE.CENTRAL_DIRECTORY_HEADER, true)
+      // version made by
+      header.setUint16(4, ZipWriter.VERSION, true)
+      this.setCommonFields(header, 6, crc, data.length, name.length)
+      // comment length, disk number, attributes (all 0), then offset of local header
+      header.setUint32(42, offset, true)
+
+      parts.push(new Uint8Array(header.buffer), name)
+      directorySize += header.byteLength + name.length
+    }
+
+    // end of central directory record
+    const end = new DataView(new ArrayBuffer(22))
+    end.setUint32(0, ZipWriter.SIGNATURE.END_OF_CENTRAL_DIRECTORY, true)
+    end.setUint16(8, this.entries.length, true)
+    end.setUint16(10, this.entries.length, true)
+    end.setUint32(12, directorySize, true)
+    end.setUint32(16, directoryOffset, true)
+
+    parts.push(new Uint8Array(end.buffer))
+
+    return new Blob(parts, { type: type })
+  }
+
+  /**
+   * Set the fields shared by local file headers and central directory headers, from 'version needed to extract'
+   * to 'extra field length'
+   * 
+   * @private
+   * @param {DataView} view - header
+   * @param {number} offset - offset of 'version needed to extract' field
+   * @param {number} crc
+   * @param {number} size - size of (uncompressed) data
+   * @param {number} nameLength - length of encoded name
+   * @memberof ZipWriter
+   */
+  setCommonFields(view, offset, crc, size, nameLength) {
+    const d = this.date
+
+    view.setUint16(offset, ZipWriter.VERSION, true)
+    view.setUint16(offset + 2, ZipWriter.FLAG.UTF8, true)
+    // compression method (stored)
+    view.setUint16(offset + 4, 0, true)
+    // MS-DOS time & date
+    view.setUint16(offset + 6, (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2), true)
+    view.setUint16(offset + 8, ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(), true)
+    view.setUint32(offset + 10, crc, true)
+    // compressed & uncompressed sizes are the same
+    view.setUint32(offset + 14, size, true)
+    view.setUint32(offset + 18, size, true)
+    view.setUint16(offset + 22, nameLength, true)
+  }
+
+  /**
+   * Append parts to the archive
+   * 
+   * @private
+   * @param {...Uint8Array} parts
+   * @memberof ZipWriter
+   */
+  append(...parts) {
+    for (const part of parts) {
+      this.parts.push(part)
+      this.offset += part.length
+    }
+  }
+
+  // static
+
+  /**
+   * Calculate the CRC-32 checksum of data
+   * 
+   * @static
+   * @param {Uint8Array} data
+   * @returns {number} unsigned checksum
+   * @memberof ZipWriter
+   */
+  static crc32(data) {
+    if (!ZipWriter.CRC_TABLE) {
+      ZipWriter.CRC_TABLE = new Uint32Array(256)
+
+      for (let n = 0; n < 256; n++) {
+        let c = n
+
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1)
+        }
+
+        ZipWriter.CRC_TABLE[n] = c
+      }
+    }
+
+    let crc = 0xFFFFFFFF
+
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipWriter.CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8)
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0
+  }
+}
+
+// static properties
+
+ZipWriter.SIGNATURE = {
+  LOCAL_FILE_HEADER: 0x04034b50,
+  CENTRAL_DIRECTORY_HEADER: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+}
+
+// version 2.0 (needed for folders)
+ZipWriter.VERSION = 20
+
+ZipWriter.FLAG = {
+  // names are UTF-8
+  UTF8: 0x0800,
+}
+
+// lazily created lookup table of crc32()
+ZipWriter.CRC_TABLE = null